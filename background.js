@@ -1,13 +1,35 @@
 // Background script for Adobe Web SDK Inspector
 
+// Shared helpers, also loaded by the DevTools panel
+importScripts('endpoints.js', 'decoder.js', 'sessions.js', 'paths.js', 'rules.js', 'schema.js', 'overrides.js', 'faults.js', 'consent.js');
+
 // Global state management
 const state = {
   isListening: false,
   targetPaths: [],
   debugMode: false,
-  requestCounter: 0
+  requestCounter: 0,
+  endpointPatterns: [...EdgeEndpoints.DEFAULT_PATTERNS],
+  activeSessionId: null,
+  retention: { ...SessionStore.DEFAULT_RETENTION },
+  validationRules: [],
+  sandboxDatastreams: {},
+  datastreamOverrides: [],
+  faultRules: []
 };
 
+// Compiled matchers for state.endpointPatterns
+let compiledEndpointPatterns = EdgeEndpoints.parse(state.endpointPatterns).patterns;
+
+// Parsed state.datastreamOverrides
+let activeOverrides = [];
+
+// Parsed state.faultRules
+let activeFaultRules = [];
+
+// Chrome request IDs already processed before being redirected, e.g. by an override rule
+const redirectedRequests = new Set();
+
 // LRU Cache implementation with automatic timeout
 class RequestCache {
   constructor(maxSize = 100, expiryMs = 5 * 60 * 1000) {
@@ -76,10 +98,51 @@ class RequestCache {
 // Create cache instance
 const requestCache = new RequestCache();
 
+// Recent results kept per tab so a panel can catch up when it (re)connects
+class TabEventStreams {
+  constructor(maxPerTab = 200) {
+    this.maxPerTab = maxPerTab;
+    this.streams = new Map();
+  }
+
+  push(tabId, message) {
+    if (!this.streams.has(tabId)) {
+      this.streams.set(tabId, []);
+    }
+    
+    const stream = this.streams.get(tabId);
+    stream.push(message);
+    
+    // Drop the oldest entries once the stream is full
+    if (stream.length > this.maxPerTab) {
+      stream.splice(0, stream.length - this.maxPerTab);
+    }
+  }
+
+  get(tabId) {
+    return this.streams.get(tabId) || [];
+  }
+
+  getAll() {
+    const all = [];
+    for (const stream of this.streams.values()) {
+      all.push(...stream);
+    }
+    return all.sort((a, b) => a.capturedAt - b.capturedAt);
+  }
+
+  clear(tabId) {
+    this.streams.delete(tabId);
+  }
+}
+
+const tabEventStreams = new TabEventStreams();
+
 // Persistent connection management
 class DevToolsConnectionManager {
   constructor() {
     this.connections = new Set();
+    this.subscriptions = new Map();
   }
 
   add(port) {
@@ -89,9 +152,34 @@ class DevToolsConnectionManager {
     // Set up disconnect handler
     port.onDisconnect.addListener(() => {
       this.connections.delete(port);
+      this.subscriptions.delete(port);
     });
   }
 
+  // Remember which tab a panel inspects and replay that tab's stream
+  subscribe(port, tabId, allTabs = false) {
+    this.subscriptions.set(port, { tabId, allTabs: !!allTabs });
+    
+    try {
+      port.postMessage({
+        action: 'streamReplay',
+        messages: allTabs ? tabEventStreams.getAll() : tabEventStreams.get(tabId)
+      });
+    } catch (e) {
+      this.connections.delete(port);
+      this.subscriptions.delete(port);
+    }
+  }
+
+  // Panels only receive tab messages for their inspected tab unless they view all tabs
+  wantsMessage(port, message) {
+    const subscription = this.subscriptions.get(port);
+    if (!subscription || subscription.allTabs || message.tabId === undefined) {
+      return true;
+    }
+    return subscription.tabId === message.tabId;
+  }
+
   broadcast(message) {
     if (this.connections.size === 0) {
       try {
@@ -106,11 +194,14 @@ class DevToolsConnectionManager {
     
     // Send to all connected DevTools panels
     for (const port of this.connections) {
+      if (!this.wantsMessage(port, message)) continue;
+      
       try {
         port.postMessage(message);
       } catch (e) {
         // Remove bad connection
         this.connections.delete(port);
+        this.subscriptions.delete(port);
       }
     }
   }
@@ -156,15 +247,10 @@ const utils = {
     return [...new Set([...defaultPaths, ...cleanPaths])];
   },
   
-  // Reliable property access with path notation
+  // Reliable property access with the path expression syntax (indices, wildcards, filters)
   getNestedProperty(obj, path) {
     if (!obj || !path) return undefined;
-    try {
-      const keys = path.split('.');
-      return keys.reduce((acc, key) => (acc && acc[key] !== undefined) ? acc[key] : undefined, obj);
-    } catch (e) {
-      return undefined;
-    }
+    return PathExpression.evaluate(obj, path);
   },
   
   // Better JSON parsing with error protection
@@ -180,10 +266,61 @@ const utils = {
   
   // URL validation for Adobe SDK requests
   isAdobeWebSdkUrl(url) {
-    if (!url || typeof url !== 'string') return false;
-    return url.includes('/ee/') && 
-           url.includes('configId=') && 
-           url.includes('requestId=');
+    return this.matchEndpoint(url) !== null;
+  },
+  
+  // Find the user-managed endpoint pattern that matches a request URL
+  matchEndpoint(url) {
+    return EdgeEndpoints.match(url, compiledEndpointPatterns);
+  },
+  
+  // Edge endpoint name from the URL path (interact, collect or set-consent)
+  getEdgeEndpoint(url) {
+    return EdgeEndpoints.getEndpointName(url);
+  },
+  
+  // Find a JSON payload carried in the query string of a GET request
+  extractQueryPayload(url) {
+    try {
+      for (const value of new URL(url).searchParams.values()) {
+        if (!value.trim().startsWith('{')) continue;
+        
+        const payload = JSON.parse(value);
+        if (payload && Array.isArray(payload.events)) {
+          return value;
+        }
+        if (payload && payload.xdm) {
+          // A single event sent without the events wrapper
+          return JSON.stringify({ events: [payload] });
+        }
+      }
+    } catch (e) {
+      this.debugLog("Error extracting query payload:", e);
+    }
+    return '';
+  },
+  
+  // Extract the Edge requestId query parameter shared by every event in a call
+  getEdgeRequestId(url) {
+    try {
+      return new URL(url).searchParams.get('requestId');
+    } catch (e) {
+      return null;
+    }
+  },
+  
+  // Requests made by the extension itself, such as replays, are never captured
+  isExtensionRequest(details) {
+    return !!details.initiator && details.initiator === `chrome-extension://${chrome.runtime.id}`;
+  },
+  
+  // Get the datastream ID a request was sent to
+  getConfigId(url) {
+    try {
+      return new URL(url).searchParams.get('configId');
+    } catch (e) {
+      return null;
+    }
   },
   
   // Request type determination
@@ -195,6 +332,13 @@ const utils = {
     return reqType;
   },
   
+  // How the Web SDK sent the request - sendBeacon, fetch or GET
+  getTransport(details) {
+    if (details.type === 'ping') return 'sendBeacon';
+    if (details.method === 'GET') return 'GET';
+    return this.getRequestType(details.url, details.type === 'xmlhttprequest' ? 'fetch' : details.type);
+  },
+  
   // Debug logging helper
   debugLog(...args) {
     if (state.debugMode) {
@@ -208,7 +352,7 @@ const stateManager = {
   // Load state from storage
   init() {
     return new Promise(resolve => {
-      chrome.storage.local.get(['isListening', 'targetPaths', 'debugMode'], (result) => {
+      chrome.storage.local.get(['isListening', 'targetPaths', 'debugMode', 'endpointPatterns', 'activeSessionId', 'retention', 'validationRules', 'sandboxDatastreams', 'datastreamOverrides', 'faultRules'], (result) => {
         if (result.isListening !== undefined) {
           state.isListening = !!result.isListening;
         }
@@ -228,6 +372,34 @@ const stateManager = {
           this.savePaths(state.targetPaths);
         }
         
+        if (Array.isArray(result.endpointPatterns)) {
+          this.saveEndpointPatterns(result.endpointPatterns);
+        }
+        
+        if (result.activeSessionId !== undefined) {
+          state.activeSessionId = result.activeSessionId;
+        }
+        
+        if (result.retention) {
+          state.retention = { ...state.retention, ...result.retention };
+        }
+        
+        if (Array.isArray(result.validationRules)) {
+          state.validationRules = ValidationRules.parseRules(result.validationRules).rules;
+        }
+        
+        if (result.sandboxDatastreams && typeof result.sandboxDatastreams === 'object') {
+          state.sandboxDatastreams = result.sandboxDatastreams;
+        }
+        
+        if (Array.isArray(result.datastreamOverrides)) {
+          state.datastreamOverrides = result.datastreamOverrides;
+        }
+        
+        if (Array.isArray(result.faultRules)) {
+          state.faultRules = result.faultRules;
+        }
+        
         utils.debugLog("State initialized:", state);
         resolve(state);
       });
@@ -259,6 +431,34 @@ const stateManager = {
     return sanitized;
   },
   
+  // Update the endpoint patterns, keeping only the lines that compile
+  saveEndpointPatterns(lines) {
+    const { patterns, errors } = EdgeEndpoints.parse(lines);
+    
+    // Never end up matching nothing - fall back to the Adobe defaults
+    state.endpointPatterns = patterns.length > 0
+      ? patterns.map(pattern => pattern.source)
+      : [...EdgeEndpoints.DEFAULT_PATTERNS];
+    compiledEndpointPatterns = EdgeEndpoints.parse(state.endpointPatterns).patterns;
+    
+    chrome.storage.local.set({ endpointPatterns: state.endpointPatterns });
+    utils.debugLog("Endpoint patterns updated:", state.endpointPatterns, errors);
+    return { endpointPatterns: state.endpointPatterns, errors };
+  },
+  
+  // Update the validation rules, keeping the current ones if the new set has errors
+  saveValidationRules(rules) {
+    const { rules: parsed, errors } = ValidationRules.parseRules(rules);
+    if (errors.length > 0) {
+      return { validationRules: state.validationRules, errors };
+    }
+    
+    state.validationRules = parsed;
+    chrome.storage.local.set({ validationRules: parsed });
+    utils.debugLog("Validation rules updated:", parsed.length);
+    return { validationRules: parsed, errors };
+  },
+  
   // Get current state for API consumers
   getState() {
     // Ensure paths are always sanitized
@@ -267,8 +467,183 @@ const stateManager = {
   }
 };
 
+// Recording session management - captured events are kept in IndexedDB
+const sessionManager = {
+  ready: null,
+  
+  // Resume the stored active session or start a new one, then apply retention
+  init() {
+    this.ready = (async () => {
+      const session = state.activeSessionId !== null
+        ? await SessionStore.getSession(state.activeSessionId)
+        : null;
+      
+      if (!session) {
+        await this.startSession();
+      } else {
+        await this.applyRetention();
+      }
+    })().catch((error) => {
+      utils.debugLog("Error initializing recording session:", error);
+    });
+    return this.ready;
+  },
+  
+  // Start recording into a new named session
+  async startSession(name) {
+    const session = await SessionStore.createSession(name);
+    state.activeSessionId = session.id;
+    chrome.storage.local.set({ activeSessionId: session.id });
+    utils.debugLog("Recording session started:", session);
+    
+    await this.applyRetention();
+    return session;
+  },
+  
+  // Update the retention policy and prune old sessions
+  async setRetention(retention) {
+    state.retention = { ...state.retention, ...retention };
+    chrome.storage.local.set({ retention: state.retention });
+    return this.applyRetention();
+  },
+  
+  async applyRetention() {
+    const removed = await SessionStore.applyRetention(state.retention, state.activeSessionId);
+    if (removed.length > 0) {
+      utils.debugLog(`Removed ${removed.length} session(s) by retention policy`);
+    }
+    return removed;
+  },
+  
+  // Store a displayed result in the active session, or the given one for imports
+  async record(message, { requestBody, sessionId, network } = {}) {
+    try {
+      await this.ready;
+      await SessionStore.addEvent(sessionId || state.activeSessionId, {
+        capturedAt: message.capturedAt,
+        tabId: message.tabId,
+        url: message.url,
+        requestInfo: message.requestInfo,
+        results: message.results,
+        fullXdm: message.fullXdm,
+        requestBody,
+        response: message.requestInfo.response,
+        network
+      });
+    } catch (error) {
+      utils.debugLog("Error storing event:", error);
+    }
+  },
+  
+  // Store a response captured by a DevTools panel with its events
+  async recordResponse(requestId, response) {
+    try {
+      await this.ready;
+      await SessionStore.attachResponse(requestId, response);
+    } catch (error) {
+      utils.debugLog("Error storing response:", error);
+    }
+  },
+  
+  // Store the headers and timings of a completed request with its events
+  async recordNetwork(requestId, network) {
+    try {
+      await this.ready;
+      await SessionStore.attachNetwork(requestId, network);
+    } catch (error) {
+      utils.debugLog("Error storing request headers:", error);
+    }
+  }
+};
+
+// Consent state per tab, as last set by a set-consent call
+// Mirrored to storage.session, as the Map is lost whenever the service worker is suspended
+const consentManager = {
+  states: new Map(),
+  ready: Promise.resolve(),
+  
+  // Restore the states saved before the service worker was last suspended
+  init() {
+    this.ready = chrome.storage.session.get('consentStates')
+      .then((result) => {
+        (result.consentStates || []).forEach(([key, value]) => {
+          if (!this.states.has(key)) this.states.set(key, value);
+        });
+      })
+      .catch(error => utils.debugLog("Error restoring consent states:", error));
+    return this.ready;
+  },
+  
+  // Entries rather than an object, so numeric tab IDs keep their type
+  persist() {
+    chrome.storage.session.set({ consentStates: [...this.states] })
+      .catch(error => utils.debugLog("Error saving consent states:", error));
+  },
+  
+  // Imported HAR entries get their own state per session
+  getKey(requestInfo) {
+    return requestInfo.source === 'har' ? `har:${requestInfo.sessionId}` : requestInfo.tabId;
+  },
+  
+  // The consent an event was captured under - unknown until a set-consent call is seen
+  describe(requestInfo) {
+    return this.states.get(this.getKey(requestInfo)) || { state: 'unknown', since: null };
+  },
+  
+  update(requestInfo, consentState) {
+    this.states.set(this.getKey(requestInfo), {
+      state: consentState,
+      since: requestInfo.capturedAt || Date.now()
+    });
+    this.persist();
+  },
+  
+  clear(tabId) {
+    if (this.states.delete(tabId)) this.persist();
+  }
+};
+
 // Request processing logic
 const requestProcessor = {
+  // Decode the payload of a request - POST bodies from fetch and sendBeacon, GET query strings
+  async readRequestData(details) {
+    if (details.method === 'POST' && details.requestBody) {
+      utils.debugLog("Processing POST request body");
+      const decoded = await BodyDecoder.decodeRequestBody(details.requestBody);
+      utils.debugLog("Request data extracted, length:", decoded.text.length, "compression:", decoded.compression);
+      return decoded;
+    }
+    
+    if (details.method === 'GET') {
+      utils.debugLog("Processing GET request query");
+      return { text: utils.extractQueryPayload(details.url), compression: null, warnings: [] };
+    }
+    
+    return { text: '', compression: null, warnings: [] };
+  },
+  
+  // Surface a body that could not be decoded in the DevTools panel
+  reportDecodeError(error, url, requestInfo = {}) {
+    utils.debugLog("Error decoding request data:", error);
+    
+    this.deliver({
+      action: 'decodeError',
+      url,
+      tabId: requestInfo.tabId,
+      capturedAt: requestInfo.capturedAt || Date.now(),
+      error: error && error.message ? error.message : String(error),
+      requestInfo: {
+        method: requestInfo.method,
+        type: requestInfo.type,
+        transport: requestInfo.transport,
+        endpoint: utils.getEdgeEndpoint(url),
+        matchedPattern: requestInfo.matchedPattern,
+        requestId: utils.getEdgeRequestId(url) || requestInfo.requestId,
+        source: requestInfo.source
+      }
+    }, requestInfo);
+  },
+  
   processRequestData(requestData, url, requestInfo = {}) {
     try {
       state.requestCounter++;
@@ -277,11 +652,15 @@ const requestProcessor = {
       const jsonData = utils.safeParseJson(requestData);
       if (!jsonData) {
         utils.debugLog("Failed to parse JSON from request data");
+        this.reportDecodeError(new Error('Request body is not valid JSON'), url, requestInfo);
         return;
       }
       
       // Process different data structures appropriately
-      if (jsonData.events && Array.isArray(jsonData.events)) {
+      if (Array.isArray(jsonData.consent)) {
+        utils.debugLog("Processing consent data");
+        this.processConsent(jsonData, url, requestInfo);
+      } else if (jsonData.events && Array.isArray(jsonData.events)) {
         utils.debugLog("Processing event data");
         this.processEventData(jsonData, url, requestInfo);
       } else if (jsonData.meta || jsonData.requestId) {
@@ -294,66 +673,98 @@ const requestProcessor = {
   },
   
   processEventData(jsonData, url, requestInfo) {
-    const results = {};
-    let hasMatches = false;
-    
-    // Get the first event's XDM data
-    if (!jsonData.events[0]) {
+    if (jsonData.events.length === 0) {
       utils.debugLog("No events found in data");
       return;
     }
     
-    const event = jsonData.events[0];
-    const targetObject = event.xdm || event;
-    
-    utils.debugLog("Processing event:", targetObject.eventType || "unknown");
-    
-    // Add eventType as a standard field if not already specified
-    if (!state.targetPaths.includes('eventType') && targetObject.eventType) {
-      results['eventType'] = targetObject.eventType;
-      hasMatches = true;
-    }
+    // Alloy can batch several events into one call - each one becomes its own result
+    const batchSize = jsonData.events.length;
+    // An override redirects the request, so Edge receives it on the override's datastream
+    const configId = requestInfo.datastreamOverride ? requestInfo.datastreamOverride.toConfigId : utils.getConfigId(url);
     
-    // Extract all specified target paths
-    state.targetPaths.forEach(path => {
-      const value = utils.getNestedProperty(targetObject, path);
-      if (value !== undefined) {
-        results[path] = value;
-        hasMatches = true;
-        utils.debugLog(`Found match for path ${path}:`, value);
+    jsonData.events.forEach((event, batchIndex) => {
+      if (!event) {
+        utils.debugLog(`Skipping empty event at batch index ${batchIndex}`);
+        return;
+      }
+      
+      const targetObject = event.xdm || event;
+      
+      utils.debugLog(`Processing event ${batchIndex + 1}/${batchSize}:`, targetObject.eventType || "unknown");
+      
+      const results = this.extractTargetPaths(targetObject);
+      
+      // Add eventType as a standard field if not already specified
+      if (!state.targetPaths.includes('eventType') && targetObject.eventType) {
+        results['eventType'] = targetObject.eventType;
+      }
+      
+      // Check the event against the rules for its eventType
+      const validation = ValidationRules.validateEvent(targetObject, state.validationRules);
+      if (validation && validation.status !== 'pass') {
+        utils.debugLog(`Validation ${validation.status} for event ${batchIndex + 1}/${batchSize}:`, validation.issues);
+      }
+      
+      // Check the event against the JSON Schemas bound to its datastream
+      const schemaValidation = schemaManager.validate(targetObject, configId);
+      
+      // Send results if matches found
+      if (Object.keys(results).length > 0) {
+        utils.debugLog(`Sending results for event ${batchIndex + 1}/${batchSize}`);
+        this.sendResults(results, url, { ...requestInfo, batchIndex, batchSize, validation, schemaValidation }, targetObject);
+      } else {
+        utils.debugLog(`No matches found in event ${batchIndex + 1}/${batchSize}`);
       }
     });
+  },
+  
+  // set-consent calls carry a consent array instead of events
+  processConsent(jsonData, url, requestInfo) {
+    const entries = ConsentDecoder.decode(jsonData.consent);
+    const consentState = ConsentDecoder.combine(entries);
+    
+    requestInfo.consentChange = {
+      state: consentState,
+      previousState: consentManager.describe(requestInfo).state,
+      entries
+    };
+    consentManager.update(requestInfo, consentState);
+    
+    const results = {
+      ...this.extractTargetPaths(jsonData),
+      eventType: 'set-consent',
+      consent: consentState
+    };
+    this.sendResults(results, url, requestInfo, jsonData);
+  },
+  
+  processMetadata(jsonData, url, requestInfo) {
+    // Try to find matches in top-level objects
+    const results = this.extractTargetPaths(jsonData);
     
     // Send results if matches found
-    if (hasMatches) {
-      utils.debugLog("Sending results for event data");
-      this.sendResults(results, url, requestInfo, targetObject);
+    if (Object.keys(results).length > 0) {
+      utils.debugLog("Sending results for metadata");
+      this.sendResults(results, url, requestInfo, jsonData);
     } else {
-      utils.debugLog("No matches found in event data");
+      utils.debugLog("No matches found in metadata");
     }
   },
   
-  processMetadata(jsonData, url, requestInfo) {
+  // Extract all specified target paths from an object
+  extractTargetPaths(targetObject) {
     const results = {};
-    let hasMatches = false;
     
-    // Try to find matches in top-level objects
     state.targetPaths.forEach(path => {
-      const value = utils.getNestedProperty(jsonData, path);
+      const value = utils.getNestedProperty(targetObject, path);
       if (value !== undefined) {
         results[path] = value;
-        hasMatches = true;
-        utils.debugLog(`Found match for path ${path} in metadata:`, value);
+        utils.debugLog(`Found match for path ${path}:`, value);
       }
     });
     
-    // Send results if matches found
-    if (hasMatches) {
-      utils.debugLog("Sending results for metadata");
-      this.sendResults(results, url, requestInfo, jsonData);
-    } else {
-      utils.debugLog("No matches found in metadata");
-    }
+    return results;
   },
   
   sendResults(results, url, requestInfo, fullXdm) {
@@ -362,7 +773,22 @@ const requestProcessor = {
       method: requestInfo.method,
       type: requestInfo.type,
       statusCode: requestInfo.statusCode,
-      response: requestInfo.response
+      response: requestInfo.response,
+      // Every event of a batched call shares the Edge request ID
+      requestId: utils.getEdgeRequestId(url) || requestInfo.requestId,
+      batchIndex: requestInfo.batchIndex,
+      batchSize: requestInfo.batchSize,
+      transport: requestInfo.transport,
+      endpoint: utils.getEdgeEndpoint(url),
+      matchedPattern: requestInfo.matchedPattern,
+      compression: requestInfo.compression,
+      decodeWarnings: requestInfo.decodeWarnings,
+      validation: requestInfo.validation || null,
+      schemaValidation: requestInfo.schemaValidation || null,
+      datastreamOverride: requestInfo.datastreamOverride,
+      consent: consentManager.describe(requestInfo),
+      consentChange: requestInfo.consentChange,
+      source: requestInfo.source
     };
     
     // Prepare message for both content script and DevTools
@@ -371,7 +797,9 @@ const requestProcessor = {
       results,
       url,
       requestInfo: completeRequestInfo,
-      fullXdm
+      fullXdm,
+      tabId: requestInfo.tabId,
+      capturedAt: requestInfo.capturedAt || Date.now()
     };
     
     utils.debugLog("Prepared message for broadcast:", 
@@ -382,30 +810,76 @@ const requestProcessor = {
       })
     );
     
-    // Send to content script in active tab
-    this.sendToContentScript(message);
+    // Send to content script in the tab that sent the request
+    if (requestInfo.source !== 'har') {
+      this.sendToContentScript(message, requestInfo.documentId);
+    }
+    
+    // Keep the tab's stream and send to DevTools panels
+    this.deliver(message, requestInfo);
     
-    // Send to DevTools panels
+    // Persist to the recording session
+    sessionManager.record(message, {
+      requestBody: requestInfo.requestBody,
+      sessionId: requestInfo.sessionId,
+      network: requestInfo.network
+    });
+  },
+  
+  // Hand a message to its audience - imported entries go back to the importer only
+  deliver(message, requestInfo = {}) {
+    if (Array.isArray(requestInfo.collected)) {
+      requestInfo.collected.push(message);
+    } else {
+      this.publish(message);
+    }
+  },
+  
+  // Record a tab message in its stream and broadcast it to DevTools panels
+  publish(message) {
+    if (message.tabId !== undefined) {
+      tabEventStreams.push(message.tabId, message);
+    }
     devToolsManager.broadcast(message);
   },
   
-  sendToContentScript(message) {
+  // Publish when an Edge request was sent, answered and finished, for the panel timeline
+  reportTiming(details, requestInfo) {
+    this.publish({
+      action: 'requestTiming',
+      tabId: details.tabId,
+      capturedAt: requestInfo.sentAt || details.timeStamp,
+      timing: {
+        requestId: utils.getEdgeRequestId(details.url) || details.requestId,
+        url: details.url,
+        sentAt: requestInfo.sentAt || null,
+        responseAt: requestInfo.responseAt || null,
+        completedAt: details.timeStamp,
+        statusCode: details.statusCode || null,
+        error: details.error || null
+      }
+    });
+  },
+  
+  sendToContentScript(message, documentId) {
+    // Requests from service workers and other non-tab contexts have no page console
+    if (!(message.tabId >= 0)) {
+      utils.debugLog("Request has no tab, skipping content script");
+      return;
+    }
+    
     try {
-      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs && tabs.length > 0 && tabs[0]?.id) {
-          utils.debugLog("Sending to content script in tab:", tabs[0].id);
-          
-          chrome.tabs.sendMessage(tabs[0].id, message)
-            .then(() => {
-              utils.debugLog("Message sent to content script successfully");
-            })
-            .catch((error) => {
-              utils.debugLog("Error sending message to content script:", error);
-            });
-        } else {
-          utils.debugLog("No active tab found to send message to");
-        }
-      });
+      utils.debugLog("Sending to content script in tab:", message.tabId);
+      
+      // Target the exact document so prerendered pages get their own output
+      const options = documentId ? { documentId } : undefined;
+      chrome.tabs.sendMessage(message.tabId, message, options)
+        .then(() => {
+          utils.debugLog("Message sent to content script successfully");
+        })
+        .catch((error) => {
+          utils.debugLog("Error sending message to content script:", error);
+        });
     } catch (e) {
       utils.debugLog("Exception in sendToContentScript:", e);
     }
@@ -423,8 +897,317 @@ chrome.runtime.onInstalled.addListener(() => {
   utils.debugLog("Extension installed, default state set");
 });
 
-// Initialize state from storage
-stateManager.init();
+// Edited requests resent from the DevTools panel
+const replayer = {
+  // Send a request body to an Edge endpoint and decode the response
+  async send(url, body) {
+    const parsedUrl = new URL(url);
+    if (!/^https?:$/.test(parsedUrl.protocol)) {
+      throw new Error(`Cannot replay to ${parsedUrl.protocol} URLs`);
+    }
+    
+    const startedAt = Date.now();
+    const response = await fetch(url, {
+      method: 'POST',
+      body,
+      // Send the same first-party cookies alloy would
+      credentials: 'include',
+      headers: { 'Content-Type': 'text/plain;charset=UTF-8' }
+    });
+    const text = await response.text();
+    
+    utils.debugLog(`Replayed request to ${url}: ${response.status}`);
+    return {
+      url,
+      statusCode: response.status,
+      statusText: response.statusText,
+      headers: [...response.headers].map(([name, value]) => ({ name, value })),
+      body: utils.safeParseJson(text) || text,
+      durationMs: Date.now() - startedAt
+    };
+  }
+};
+
+// Datastream overrides, applied as declarativeNetRequest dynamic rules
+const overrideManager = {
+  // Replace the override rules, leaving rules in other ID ranges alone
+  async applyRules() {
+    activeOverrides = DatastreamOverrides.parse(state.datastreamOverrides).overrides;
+    
+    const existing = await chrome.declarativeNetRequest.getDynamicRules();
+    await chrome.declarativeNetRequest.updateDynamicRules({
+      removeRuleIds: existing.map(rule => rule.id).filter(DatastreamOverrides.isOverrideRuleId),
+      addRules: DatastreamOverrides.toRules(activeOverrides)
+    });
+    
+    utils.debugLog(`Applied ${activeOverrides.length} datastream override(s)`);
+    return activeOverrides;
+  },
+  
+  init() {
+    return this.applyRules().catch((error) => {
+      utils.debugLog("Error applying datastream overrides:", error);
+    });
+  },
+  
+  // Update the override lines, keeping only the ones that parse
+  async save(lines) {
+    const { overrides, errors } = DatastreamOverrides.parse(lines);
+    state.datastreamOverrides = overrides.map(override => override.source);
+    chrome.storage.local.set({ datastreamOverrides: state.datastreamOverrides });
+    
+    await this.applyRules();
+    return { datastreamOverrides: state.datastreamOverrides, errors };
+  },
+  
+  // Describe the override that will rewrite a request, if any
+  describe(details) {
+    const override = DatastreamOverrides.match(activeOverrides, details.url, details.initiator);
+    return override ? {
+      fromConfigId: override.fromConfigId,
+      toConfigId: override.toConfigId,
+      label: override.label
+    } : undefined;
+  }
+};
+
+// Fault rules - URL blocks are dynamic rules, the rest is applied by page-hooks.js
+const faultManager = {
+  // Replace the fault rules, leaving rules in other ID ranges alone
+  async applyRules() {
+    activeFaultRules = FaultRules.parse(state.faultRules).rules;
+    
+    const existing = await chrome.declarativeNetRequest.getDynamicRules();
+    await chrome.declarativeNetRequest.updateDynamicRules({
+      removeRuleIds: existing.map(rule => rule.id).filter(FaultRules.isFaultRuleId),
+      addRules: FaultRules.toRules(activeFaultRules)
+    });
+    
+    utils.debugLog(`Applied ${activeFaultRules.length} fault rule(s)`);
+    return activeFaultRules;
+  },
+  
+  init() {
+    return this.applyRules().catch((error) => {
+      utils.debugLog("Error applying fault rules:", error);
+    });
+  },
+  
+  // Update the rule lines, keeping only the ones that parse - content scripts pick them up from storage
+  async save(lines) {
+    const { rules, errors } = FaultRules.parse(lines);
+    state.faultRules = rules.map(rule => rule.source);
+    chrome.storage.local.set({ faultRules: state.faultRules });
+    
+    await this.applyRules();
+    return { faultRules: state.faultRules, errors };
+  },
+  
+  // Send a request a rule was applied to to the panels of its tab
+  report(fault, tabId) {
+    requestProcessor.publish({
+      action: 'faultApplied',
+      tabId,
+      capturedAt: fault.at || Date.now(),
+      fault
+    });
+  },
+  
+  // Attribute a request the browser blocked to the URL block rule that matches it
+  reportBlock(details) {
+    const rule = FaultRules.match(activeFaultRules.filter(FaultRules.isNetworkRule), details.url);
+    
+    // The body is not read here - panels find the events by requestId
+    this.report({
+      // Blocked by another extension or the browser when no rule of ours matches
+      rule: rule ? rule.source : null,
+      action: 'block',
+      value: null,
+      url: details.url,
+      requestId: utils.getEdgeRequestId(details.url) || details.requestId,
+      eventTypes: [],
+      transport: utils.getTransport(details),
+      at: Date.now()
+    }, details.tabId);
+  }
+};
+
+// HAR file import - runs recorded entries through the live capture pipeline
+const harImporter = {
+  // Decode a HAR response body into the parsed Edge response
+  readResponse(response) {
+    const content = response && response.content;
+    if (!content || !content.text) return undefined;
+    
+    let text = content.text;
+    if (content.encoding === 'base64') {
+      try {
+        const bytes = Uint8Array.from(atob(text), ch => ch.charCodeAt(0));
+        text = new TextDecoder().decode(bytes);
+      } catch (e) {
+        return undefined;
+      }
+    }
+    return utils.safeParseJson(text) || undefined;
+  },
+  
+  // Get the transport alloy used from the HAR resource type
+  getTransport(entry) {
+    if (entry.request.method === 'GET') return 'GET';
+    return entry._resourceType === 'ping' ? 'sendBeacon' : 'fetch';
+  },
+  
+  async importHar(name, entries) {
+    await sessionManager.ready;
+    const session = await SessionStore.createSession(`HAR: ${name}`);
+    const collected = [];
+    let skipped = 0;
+    
+    (Array.isArray(entries) ? entries : []).forEach((entry, index) => {
+      const request = entry && entry.request;
+      const match = request ? utils.matchEndpoint(request.url) : null;
+      if (!match) {
+        skipped++;
+        return;
+      }
+      
+      const response = entry.response || {};
+      const startedAt = Date.parse(entry.startedDateTime) || Date.now();
+      const text = request.method === 'GET'
+        ? utils.extractQueryPayload(request.url)
+        : ((request.postData && request.postData.text) || '');
+      
+      if (!text) {
+        skipped++;
+        return;
+      }
+      
+      const requestInfo = {
+        source: 'har',
+        sessionId: session.id,
+        collected,
+        url: request.url,
+        method: request.method,
+        type: entry._resourceType || 'har',
+        requestId: `har-${session.id}-${index}`,
+        statusCode: response.status,
+        response: this.readResponse(response),
+        transport: this.getTransport(entry),
+        matchedPattern: match.source,
+        capturedAt: startedAt,
+        requestBody: text,
+        network: {
+          requestHeaders: request.headers || [],
+          responseHeaders: response.headers || [],
+          statusCode: response.status,
+          statusLine: `${response.httpVersion || 'HTTP/1.1'} ${response.status} ${response.statusText || ''}`.trim(),
+          startedAt,
+          completedAt: startedAt + Math.max(0, entry.time || 0)
+        }
+      };
+      
+      requestProcessor.processRequestData(text, request.url, requestInfo);
+    });
+    
+    utils.debugLog(`Imported ${collected.length} result(s) from ${name}, skipped ${skipped} entries`);
+    return { session, messages: collected, skipped };
+  }
+};
+
+// Imported XDM JSON Schemas, kept in memory for synchronous validation
+const schemaManager = {
+  ready: null,
+  records: [],
+  
+  // Violations kept per schema, so unknown-field floods stay readable
+  MAX_VIOLATIONS: 200,
+  
+  init() {
+    this.ready = this.reload().catch((error) => {
+      utils.debugLog("Error loading schemas:", error);
+    });
+    return this.ready;
+  },
+  
+  async reload() {
+    this.records = await SessionStore.listSchemas();
+    utils.debugLog(`Loaded ${this.records.length} schema(s)`);
+    return this.records;
+  },
+  
+  // List schemas without their (large) documents
+  summarize() {
+    const documents = this.records.map(record => record.schema);
+    return this.records.map(record => ({
+      id: record.id,
+      name: record.name,
+      title: record.schema.title || '',
+      schemaId: record.schema.$id || '',
+      bindings: record.bindings,
+      importedAt: record.importedAt,
+      unresolvedRefs: XdmSchema.findUnresolvedRefs(record.schema, documents)
+    }));
+  },
+  
+  async importSchema(name, schema) {
+    const error = XdmSchema.checkSchema(schema);
+    if (error) {
+      throw new Error(error);
+    }
+    
+    await SessionStore.addSchema({ name, schema, bindings: [] });
+    await this.reload();
+    return this.summarize();
+  },
+  
+  async setBindings(schemaId, bindings) {
+    const cleaned = [...new Set((bindings || []).map(binding => String(binding).trim()).filter(Boolean))];
+    await SessionStore.updateSchemaBindings(schemaId, cleaned);
+    await this.reload();
+    return this.summarize();
+  },
+  
+  async deleteSchema(schemaId) {
+    await SessionStore.deleteSchema(schemaId);
+    await this.reload();
+    return this.summarize();
+  },
+  
+  // Update which datastreams belong to each sandbox
+  setSandboxDatastreams(mapping) {
+    state.sandboxDatastreams = mapping || {};
+    chrome.storage.local.set({ sandboxDatastreams: state.sandboxDatastreams });
+    return state.sandboxDatastreams;
+  },
+  
+  // Validate an event against every schema bound to the request's datastream
+  validate(xdm, configId) {
+    const bound = XdmSchema.findBound(this.records, configId, state.sandboxDatastreams);
+    if (bound.length === 0) return null;
+    
+    const documents = this.records.map(record => record.schema);
+    return bound.map(record => {
+      const { violations, unresolvedRefs } = XdmSchema.validate(xdm, record.schema, documents);
+      return {
+        schemaId: record.id,
+        name: record.schema.title || record.name,
+        violations: violations.slice(0, this.MAX_VIOLATIONS),
+        violationCount: violations.length,
+        unresolvedRefs
+      };
+    });
+  }
+};
+
+consentManager.init();
+
+// Initialize state from storage, then resume recording
+stateManager.init().then(() => {
+  sessionManager.init();
+  schemaManager.init();
+  overrideManager.init();
+  faultManager.init();
+});
 
 // Track connections from DevTools panels
 chrome.runtime.onConnect.addListener((port) => {
@@ -435,7 +1218,12 @@ chrome.runtime.onConnect.addListener((port) => {
     // Listen for messages from this DevTools panel
     port.onMessage.addListener((message) => {
       utils.debugLog("Message from DevTools panel:", message);
-      // Handle messages as needed
+      
+      if (message && (message.action === 'devtools-init' || message.action === 'subscribe')) {
+        devToolsManager.subscribe(port, message.tabId, message.allTabs);
+      } else if (message && message.action === 'responseCaptured') {
+        sessionManager.recordResponse(message.requestId, message.response);
+      }
     });
   }
 });
@@ -461,10 +1249,166 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         sendResponse({ status: 'success', sanitizedPaths });
         break;
         
+      case 'updateEndpointPatterns':
+        sendResponse({ status: 'success', ...stateManager.saveEndpointPatterns(message.patterns) });
+        break;
+        
+      case 'updateValidationRules':
+        sendResponse({ status: 'success', ...stateManager.saveValidationRules(message.rules) });
+        break;
+        
       case 'getStatus':
         sendResponse(stateManager.getState());
         break;
         
+      case 'listSessions':
+        SessionStore.listSessions()
+          .then(sessions => sendResponse({ status: 'success', sessions, activeSessionId: state.activeSessionId }))
+          .catch(error => sendResponse({ status: 'error', message: error.message }));
+        break;
+        
+      case 'startSession':
+        sessionManager.startSession(message.name)
+          .then(session => sendResponse({ status: 'success', session }))
+          .catch(error => sendResponse({ status: 'error', message: error.message }));
+        break;
+        
+      case 'loadSession':
+        Promise.all([SessionStore.getSession(message.sessionId), SessionStore.getEvents(message.sessionId)])
+          .then(([session, events]) => sendResponse({ status: 'success', session, events }))
+          .catch(error => sendResponse({ status: 'error', message: error.message }));
+        break;
+        
+      case 'deleteSession':
+        SessionStore.deleteSession(message.sessionId)
+          // Keep recording somewhere if the active session was removed
+          .then(() => message.sessionId === state.activeSessionId ? sessionManager.startSession() : null)
+          .then(() => sendResponse({ status: 'success', activeSessionId: state.activeSessionId }))
+          .catch(error => sendResponse({ status: 'error', message: error.message }));
+        break;
+        
+      case 'updateRetention':
+        sessionManager.setRetention(message.retention)
+          .then(removed => sendResponse({ status: 'success', retention: state.retention, removed }))
+          .catch(error => sendResponse({ status: 'error', message: error.message }));
+        break;
+        
+      case 'getRequest':
+        SessionStore.getRequestEvents(message.requestId)
+          .then(events => {
+            const event = events.find(candidate => candidate.requestBody) || events[0];
+            sendResponse(event
+              ? { status: 'success', url: event.url, requestBody: event.requestBody, response: event.response }
+              : { status: 'error', message: 'Request is not stored in any session' });
+          })
+          .catch(error => sendResponse({ status: 'error', message: error.message }));
+        break;
+        
+      case 'replayRequest':
+        replayer.send(message.url, message.body)
+          .then(result => sendResponse({ status: 'success', result }))
+          .catch(error => sendResponse({ status: 'error', message: error.message }));
+        break;
+        
+      case 'updateDatastreamOverrides':
+        overrideManager.save(message.overrides)
+          .then(result => sendResponse({ status: 'success', ...result }))
+          .catch(error => sendResponse({ status: 'error', message: error.message }));
+        break;
+      
+      case 'updateFaultRules':
+        faultManager.save(message.faultRules)
+          .then(result => sendResponse({ status: 'success', ...result }))
+          .catch(error => sendResponse({ status: 'error', message: error.message }));
+        break;
+      
+      case 'faultApplied':
+        // Page-side captures follow the same listening switch as network captures
+        if (!state.isListening) {
+          sendResponse({ status: 'ignored' });
+          break;
+        }
+        faultManager.report(message.fault, sender.tab ? sender.tab.id : undefined);
+        sendResponse({ status: 'success' });
+        break;
+        
+      case 'alloyCommand':
+        // Each command is published when called and again when linked or settled
+        if (!state.isListening) {
+          sendResponse({ status: 'ignored' });
+          break;
+        }
+        requestProcessor.publish({
+          action: 'alloyCommand',
+          tabId: sender.tab ? sender.tab.id : undefined,
+          capturedAt: message.command.startedAt || Date.now(),
+          command: message.command
+        });
+        sendResponse({ status: 'success' });
+        break;
+      
+      case 'dataLayerEvent':
+        if (!state.isListening) {
+          sendResponse({ status: 'ignored' });
+          break;
+        }
+        requestProcessor.publish({
+          action: 'dataLayerEvent',
+          tabId: sender.tab ? sender.tab.id : undefined,
+          capturedAt: message.entry.at || Date.now(),
+          entry: message.entry
+        });
+        sendResponse({ status: 'success' });
+        break;
+      
+      case 'pageMarker':
+        if (!state.isListening) {
+          sendResponse({ status: 'ignored' });
+          break;
+        }
+        requestProcessor.publish({
+          action: 'pageMarker',
+          tabId: sender.tab ? sender.tab.id : undefined,
+          capturedAt: message.marker.at || Date.now(),
+          marker: message.marker
+        });
+        sendResponse({ status: 'success' });
+        break;
+      
+      case 'importHar':
+        harImporter.importHar(message.name, message.entries)
+          .then(result => sendResponse({ status: 'success', ...result }))
+          .catch(error => sendResponse({ status: 'error', message: error.message }));
+        break;
+        
+      case 'listSchemas':
+        schemaManager.ready
+          .then(() => sendResponse({ status: 'success', schemas: schemaManager.summarize(), sandboxDatastreams: state.sandboxDatastreams }))
+          .catch(error => sendResponse({ status: 'error', message: error.message }));
+        break;
+        
+      case 'importSchema':
+        schemaManager.importSchema(message.name, message.schema)
+          .then(schemas => sendResponse({ status: 'success', schemas }))
+          .catch(error => sendResponse({ status: 'error', message: error.message }));
+        break;
+        
+      case 'updateSchemaBindings':
+        schemaManager.setBindings(message.schemaId, message.bindings)
+          .then(schemas => sendResponse({ status: 'success', schemas }))
+          .catch(error => sendResponse({ status: 'error', message: error.message }));
+        break;
+        
+      case 'deleteSchema':
+        schemaManager.deleteSchema(message.schemaId)
+          .then(schemas => sendResponse({ status: 'success', schemas }))
+          .catch(error => sendResponse({ status: 'error', message: error.message }));
+        break;
+        
+      case 'updateSandboxDatastreams':
+        sendResponse({ status: 'success', sandboxDatastreams: schemaManager.setSandboxDatastreams(message.sandboxDatastreams) });
+        break;
+        
       case 'toggleDebug':
         stateManager.setDebugMode(message.value);
         sendResponse({ status: 'success' });
@@ -486,6 +1430,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true; // Indicate async response
 });
 
+// Drop the event stream of closed tabs
+chrome.tabs.onRemoved.addListener((tabId) => {
+  tabEventStreams.clear(tabId);
+  consentManager.clear(tabId);
+});
+
 // Network request monitoring
 const setupNetworkListeners = () => {
   utils.debugLog("Setting up network listeners");
@@ -496,7 +1446,7 @@ const setupNetworkListeners = () => {
       if (!state.isListening) return { cancel: false };
       
       // Quick validation to reduce processing overhead
-      if (!utils.isAdobeWebSdkUrl(details.url)) return { cancel: false };
+      if (!utils.isAdobeWebSdkUrl(details.url) || utils.isExtensionRequest(details)) return { cancel: false };
       
       utils.debugLog("Detected Adobe SDK request (onBeforeSendHeaders):", details.url);
       
@@ -513,7 +1463,7 @@ const setupNetworkListeners = () => {
       if (!state.isListening) return { cancel: false };
       
       // Quick validation to reduce processing overhead
-      if (!utils.isAdobeWebSdkUrl(details.url)) return { cancel: false };
+      if (!utils.isAdobeWebSdkUrl(details.url) || utils.isExtensionRequest(details)) return { cancel: false };
       
       utils.debugLog("Storing request info in cache (onSendHeaders):", details.requestId);
       
@@ -523,7 +1473,10 @@ const setupNetworkListeners = () => {
         method: details.method,
         type: details.type,
         timestamp: Date.now(),
-        requestId: details.requestId
+        // Browser timestamps, with sub-millisecond precision, for the timeline
+        sentAt: details.timeStamp,
+        requestId: details.requestId,
+        requestHeaders: details.requestHeaders || []
       });
       
       return { cancel: false };
@@ -538,70 +1491,84 @@ const setupNetworkListeners = () => {
       if (!state.isListening) return { cancel: false };
       
       // Quick validation to reduce processing overhead
-      if (!utils.isAdobeWebSdkUrl(details.url)) return { cancel: false };
+      if (!utils.isAdobeWebSdkUrl(details.url) || utils.isExtensionRequest(details)) return { cancel: false };
       
       utils.debugLog("Examining request (onBeforeRequest):", details.url);
       
-      // Only process POST requests with request bodies
-      if (details.method === 'POST' && details.requestBody) {
-        utils.debugLog("Processing POST request body");
-        
-        let requestData = '';
-        if (details.requestBody.raw && details.requestBody.raw.length > 0) {
-          try {
-            // Convert raw bytes to string
-            const rawBytes = new Uint8Array(details.requestBody.raw[0].bytes);
-            requestData = decodeURIComponent(String.fromCharCode.apply(null, rawBytes));
-            utils.debugLog("Request data extracted, length:", requestData.length);
-          } catch (e) {
-            utils.debugLog("Error extracting request data:", e);
-          }
-        } else if (details.requestBody.formData) {
-          // For form data payloads
-          utils.debugLog("Form data detected");
-          try {
-            requestData = JSON.stringify(details.requestBody.formData);
-          } catch (e) {
-            utils.debugLog("Error stringifying form data:", e);
-          }
-        }
-        
-        if (requestData) {
-          // Get cached request info
-          const requestInfo = requestCache.get(details.requestId) || { 
-            url: details.url,
-            method: details.method,
-            type: details.type,
-            requestId: details.requestId
-          };
-          
-          // Process the data
-          requestProcessor.processRequestData(requestData, details.url, requestInfo);
-        } else {
-          utils.debugLog("No request data found");
-        }
+      // The body was already read before the redirect - don't show the event twice
+      if (redirectedRequests.delete(details.requestId)) {
+        utils.debugLog("Skipping redirected request:", details.url);
+        return { cancel: false };
       }
       
+      // Get cached request info
+      const requestInfo = requestCache.get(details.requestId) || { 
+        url: details.url,
+        method: details.method,
+        type: details.type,
+        requestId: details.requestId
+      };
+      requestInfo.tabId = details.tabId;
+      requestInfo.documentId = details.frameType === 'outermost_frame' ? details.documentId : undefined;
+      requestInfo.transport = utils.getTransport(details);
+      requestInfo.matchedPattern = (utils.matchEndpoint(details.url) || {}).source;
+      requestInfo.datastreamOverride = overrideManager.describe(details);
+      
+      // Events are marked with the tab's consent, which may still be loading after a restart
+      Promise.all([requestProcessor.readRequestData(details), consentManager.ready])
+        .then(([{ text, compression, warnings }]) => {
+          requestInfo.compression = compression;
+          requestInfo.decodeWarnings = warnings;
+          requestInfo.requestBody = text;
+          
+          if (text) {
+            // Process the data
+            requestProcessor.processRequestData(text, details.url, requestInfo);
+          } else {
+            utils.debugLog("No request data found");
+          }
+        })
+        .catch((error) => {
+          requestProcessor.reportDecodeError(error, details.url, requestInfo);
+        });
+      
       return { cancel: false };
     },
     { urls: ["<all_urls>"] },
     ["requestBody"]
   );
 
+  // Remember redirected requests so their second onBeforeRequest is skipped
+  chrome.webRequest.onBeforeRedirect.addListener(
+    (details) => {
+      if (!state.isListening) return;
+      
+      // Quick validation to reduce processing overhead
+      if (!utils.isAdobeWebSdkUrl(details.url) || utils.isExtensionRequest(details)) return;
+      
+      utils.debugLog("Request redirected:", details.url, "->", details.redirectUrl);
+      redirectedRequests.add(details.requestId);
+    },
+    { urls: ["<all_urls>"] }
+  );
+  
   // Capture response data
   chrome.webRequest.onHeadersReceived.addListener(
     (details) => {
       if (!state.isListening) return { cancel: false };
       
       // Quick validation to reduce processing overhead
-      if (!utils.isAdobeWebSdkUrl(details.url)) return { cancel: false };
+      if (!utils.isAdobeWebSdkUrl(details.url) || utils.isExtensionRequest(details)) return { cancel: false };
       
       utils.debugLog("Received response headers:", details.statusCode);
       
-      // Update cached request with status code
+      // Update cached request with status code and response headers
       const requestInfo = requestCache.get(details.requestId);
       if (requestInfo) {
         requestInfo.statusCode = details.statusCode;
+        requestInfo.statusLine = details.statusLine;
+        requestInfo.responseHeaders = details.responseHeaders || [];
+        requestInfo.responseAt = details.timeStamp;
         requestCache.set(details.requestId, requestInfo);
       }
       
@@ -614,10 +1581,11 @@ const setupNetworkListeners = () => {
   // Handle completed requests
   chrome.webRequest.onCompleted.addListener(
     (details) => {
+      redirectedRequests.delete(details.requestId);
       if (!state.isListening) return;
       
       // Quick validation to reduce processing overhead
-      if (!utils.isAdobeWebSdkUrl(details.url)) return;
+      if (!utils.isAdobeWebSdkUrl(details.url) || utils.isExtensionRequest(details)) return;
       
       utils.debugLog("Request completed:", details.url);
       
@@ -627,6 +1595,41 @@ const setupNetworkListeners = () => {
       if (requestInfo) {
         requestInfo.statusCode = details.statusCode;
         requestCache.set(details.requestId, requestInfo);
+        
+        // Keep headers and timings with the recorded events for HAR export
+        sessionManager.recordNetwork(utils.getEdgeRequestId(details.url) || details.requestId, {
+          requestHeaders: requestInfo.requestHeaders || [],
+          responseHeaders: requestInfo.responseHeaders || [],
+          statusCode: details.statusCode,
+          statusLine: requestInfo.statusLine || '',
+          // timestamp is rewritten on every cache write, so use the send time from onSendHeaders
+          startedAt: requestInfo.sentAt || details.timeStamp,
+          completedAt: details.timeStamp
+        });
+        requestProcessor.reportTiming(details, requestInfo);
+      }
+    },
+    { urls: ["<all_urls>"] }
+  );
+  
+  // Report requests that never completed, e.g. blocked by a fault rule
+  chrome.webRequest.onErrorOccurred.addListener(
+    (details) => {
+      redirectedRequests.delete(details.requestId);
+      
+      // Quick validation to reduce processing overhead
+      if (!utils.isAdobeWebSdkUrl(details.url) || utils.isExtensionRequest(details)) return;
+      
+      utils.debugLog("Request failed:", details.url, details.error);
+      
+      // Blocks are reported even when not listening so fault rules are never silent
+      if (details.error === 'net::ERR_BLOCKED_BY_CLIENT') {
+        faultManager.reportBlock(details);
+      }
+      
+      const requestInfo = requestCache.get(details.requestId);
+      if (state.isListening && requestInfo) {
+        requestProcessor.reportTiming(details, requestInfo);
       }
     },
     { urls: ["<all_urls>"] }
@@ -0,0 +1,238 @@
+// Consent decoding for Adobe Web SDK Inspector
+// Shared by the background service worker and the DevTools panel
+
+/**
+ * Decodes the `consent` array of set-consent calls and the payload of
+ * consent:preferences response handles into entries with a collect state:
+ * `in`, `out` or `pending`.
+ *
+ * - Adobe 1.0: `{ general: 'in' | 'out' }`
+ * - Adobe 2.0: `{ collect: { val }, personalize: { content: { val } }, ... }`
+ *   where y, dy and the legal bases (LI, CT, CP, VI, PI) count as in,
+ *   n and dn as out, and p or u as pending.
+ * - IAB TCF 2.0: the TC string's core segment is parsed. Like Edge, collection
+ *   needs consent to purposes 1 and 10 and to Adobe's vendor ID 565 whenever
+ *   GDPR applies.
+ */
+self.ConsentDecoder = (function ConsentDecoder() {
+  const ADOBE_VENDOR_ID = 565;
+  const TCF_REQUIRED_PURPOSES = [1, 10];
+  
+  const TCF_PURPOSES = {
+    1: 'Store and/or access information on a device',
+    2: 'Use limited data to select advertising',
+    3: 'Create profiles for personalised advertising',
+    4: 'Use profiles to select personalised advertising',
+    5: 'Create profiles to personalise content',
+    6: 'Use profiles to select personalised content',
+    7: 'Measure advertising performance',
+    8: 'Measure content performance',
+    9: 'Understand audiences through statistics or combinations of data',
+    10: 'Develop and improve services',
+    11: 'Use limited data to select content'
+  };
+  
+  const IN_VALUES = ['y', 'dy', 'LI', 'CT', 'CP', 'VI', 'PI'];
+  const OUT_VALUES = ['n', 'dn'];
+  
+  /**
+   * Map an Adobe 2.0 consent value to a collect state
+   * @param {string} value - e.g. y, n or p
+   * @returns {string} in, out or pending
+   */
+  function toState(value) {
+    if (IN_VALUES.includes(value)) return 'in';
+    if (OUT_VALUES.includes(value)) return 'out';
+    return 'pending';
+  }
+  
+  /**
+   * Flatten the `val` leaves of an Adobe 2.0 consent object
+   * @param {Object} value - The consent object
+   * @param {string} prefix - The path of the object
+   * @param {Object} into - Values collected so far, keyed by path
+   * @returns {Object} Values keyed by path, e.g. { 'personalize.content': 'y' }
+   */
+  function flattenAdobeValues(value, prefix = '', into = {}) {
+    Object.keys(value || {}).forEach(key => {
+      const child = value[key];
+      if (key === 'metadata' || !child || typeof child !== 'object') return;
+      
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (typeof child.val === 'string') {
+        into[path] = child.val;
+      } else {
+        flattenAdobeValues(child, path, into);
+      }
+    });
+    return into;
+  }
+  
+  /**
+   * Read bits from a base64url TC string segment
+   * @param {string} segment - The base64url segment
+   * @returns {Object} Reader with int(bits), bool(), letters(count) and ids(count)
+   */
+  function createBitReader(segment) {
+    const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+    const bits = [...binary].map(ch => ch.charCodeAt(0).toString(2).padStart(8, '0')).join('');
+    let offset = 0;
+    
+    const reader = {
+      int(length) {
+        if (offset + length > bits.length) throw new Error('TC string is truncated');
+        // parseInt keeps 36-bit timestamps exact, unlike bitwise operators
+        const value = parseInt(bits.slice(offset, offset + length), 2);
+        offset += length;
+        return value;
+      },
+      bool() {
+        return reader.int(1) === 1;
+      },
+      letters(count) {
+        return Array.from({ length: count }, () => String.fromCharCode(97 + reader.int(6))).join('').toUpperCase();
+      },
+      // A bitfield of `count` flags, returned as the 1-based IDs that are set
+      ids(count) {
+        const ids = [];
+        for (let id = 1; id <= count; id++) {
+          if (reader.bool()) ids.push(id);
+        }
+        return ids;
+      }
+    };
+    return reader;
+  }
+  
+  /**
+   * Read a vendor section, bitfield or range encoded
+   * @param {Object} reader - The bit reader
+   * @returns {number[]} The vendor IDs that are set
+   */
+  function readVendors(reader) {
+    const maxVendorId = reader.int(16);
+    if (!reader.bool()) return reader.ids(maxVendorId);
+    
+    const vendors = [];
+    const entries = reader.int(12);
+    for (let index = 0; index < entries; index++) {
+      const isRange = reader.bool();
+      const start = reader.int(16);
+      const end = isRange ? reader.int(16) : start;
+      for (let id = start; id <= end; id++) vendors.push(id);
+    }
+    return vendors;
+  }
+  
+  /**
+   * Parse the core segment of an IAB TCF 2.x TC string
+   * @param {string} tcString - The TC string
+   * @returns {Object} The parsed fields
+   */
+  function parseTcString(tcString) {
+    const reader = createBitReader(String(tcString).split('.')[0]);
+    const version = reader.int(6);
+    if (version !== 2) throw new Error(`Unsupported TC string version ${version}`);
+    
+    return {
+      version,
+      created: new Date(reader.int(36) * 100).toISOString(),
+      lastUpdated: new Date(reader.int(36) * 100).toISOString(),
+      cmpId: reader.int(12),
+      cmpVersion: reader.int(12),
+      consentScreen: reader.int(6),
+      consentLanguage: reader.letters(2),
+      vendorListVersion: reader.int(12),
+      tcfPolicyVersion: reader.int(6),
+      isServiceSpecific: reader.bool(),
+      useNonStandardTexts: reader.bool(),
+      specialFeatureOptIns: reader.ids(12),
+      purposesConsent: reader.ids(24),
+      purposesLegitimateInterest: reader.ids(24),
+      purposeOneTreatment: reader.bool(),
+      publisherCC: reader.letters(2),
+      vendorConsents: readVendors(reader),
+      vendorLegitimateInterests: readVendors(reader)
+    };
+  }
+  
+  /**
+   * Decode one consent entry
+   * @param {Object} entry - Object with standard, version and value
+   * @returns {Object} Object with standard, version, state, summary and details
+   */
+  function decodeEntry(entry) {
+    const standard = entry.standard || entry.consentStandard || 'unknown';
+    const version = entry.version || entry.consentStandardVersion || '';
+    const decoded = { standard, version, state: 'pending', summary: '', details: null };
+    
+    if (standard === 'Adobe' && version === '1.0') {
+      const general = entry.value && entry.value.general;
+      decoded.state = general === 'in' ? 'in' : (general === 'out' ? 'out' : 'pending');
+      decoded.summary = `general=${general}`;
+      decoded.details = { general };
+    } else if (standard === 'Adobe' && version === '2.0') {
+      const values = flattenAdobeValues(entry.value);
+      decoded.state = values.collect ? toState(values.collect) : 'pending';
+      decoded.summary = Object.keys(values).map(path => `${path}=${values[path]}`).join(', ');
+      decoded.details = values;
+    } else if (standard === 'IAB TCF') {
+      const gdprApplies = entry.gdprApplies !== false;
+      try {
+        const tcf = parseTcString(entry.value);
+        const purposesGranted = TCF_REQUIRED_PURPOSES.every(purpose => tcf.purposesConsent.includes(purpose));
+        const vendorGranted = tcf.vendorConsents.includes(ADOBE_VENDOR_ID);
+        
+        decoded.state = !gdprApplies || (purposesGranted && vendorGranted) ? 'in' : 'out';
+        decoded.summary = gdprApplies
+          ? `purposes ${tcf.purposesConsent.join(', ') || 'none'}; Adobe vendor ${vendorGranted ? 'granted' : 'not granted'}`
+          : 'GDPR does not apply';
+        decoded.details = { ...tcf, gdprApplies };
+      } catch (e) {
+        decoded.summary = `Could not parse TC string: ${e.message}`;
+      }
+    } else {
+      decoded.summary = 'Unsupported consent standard';
+    }
+    
+    return decoded;
+  }
+  
+  /**
+   * Decode a consent array
+   * @param {Object[]} consent - The consent entries of a set-consent call or response handle
+   * @returns {Object[]} The decoded entries
+   */
+  function decode(consent) {
+    return (Array.isArray(consent) ? consent : []).filter(Boolean).map(decodeEntry);
+  }
+  
+  /**
+   * Combine decoded entries into one collect state - any out wins, then any pending
+   * @param {Object[]} entries - Decoded entries
+   * @returns {string} in, out, pending or unknown when there are no entries
+   */
+  function combine(entries) {
+    if (entries.length === 0) return 'unknown';
+    if (entries.some(entry => entry.state === 'out')) return 'out';
+    if (entries.some(entry => entry.state === 'pending')) return 'pending';
+    return 'in';
+  }
+  
+  /**
+   * Get the name of a TCF purpose
+   * @param {number} purpose - The purpose ID
+   * @returns {string} The purpose name
+   */
+  function getPurposeName(purpose) {
+    return TCF_PURPOSES[purpose] || `Purpose ${purpose}`;
+  }
+  
+  return {
+    decode,
+    combine,
+    parseTcString,
+    getPurposeName
+  };
+})();
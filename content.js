@@ -17,6 +17,15 @@
     debugMode: false
   };
   
+  // Marks window messages exchanged with page-hooks.js
+  const PAGE_MESSAGE_SOURCE = 'adobe-websdk-inspector';
+  // Pairs this content script with the page hooks it configured, so stray messages that only copy the
+  // source marker are dropped. Page scripts can read window messages, so it does not keep them out
+  const PAGE_NONCE = Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+  
+  // Last config sent to the page hooks, resent when they announce themselves
+  let pageConfig = null;
+  
   /**
    * Debug logging helper
    * @param {...any} args - Arguments to log
@@ -48,10 +57,43 @@
       
       // Begin a console group with the event type header
       console.group(
-        `%c🕵🏻‍♂️ ${eventTypeValue} || AEP Web SDK 🕵🏻‍♂️`, 
+        `%c🕵🏻‍♂️ ${eventTypeValue}${formatBatchPosition(requestInfo)} || AEP Web SDK 🕵🏻‍♂️`, 
         config.headerStyle
       );
       
+      // Show how the request was sent, e.g. a sendBeacon to /collect on unload
+      if (requestInfo && requestInfo.transport) {
+        const endpoint = requestInfo.endpoint ? ` to /${requestInfo.endpoint}` : '';
+        console.log(`Sent via ${requestInfo.transport}${endpoint}`);
+      }
+      
+      // Show when the extension sent the request to a different datastream
+      if (requestInfo && requestInfo.datastreamOverride) {
+        const override = requestInfo.datastreamOverride;
+        console.log(`Datastream override (${override.label}): ${override.fromConfigId} → ${override.toConfigId}`);
+      }
+      
+      // Show consent changes, and events sent before consent was given
+      if (requestInfo && requestInfo.consentChange) {
+        const change = requestInfo.consentChange;
+        console.log(`Consent changed: ${change.previousState} → ${change.state}`);
+        change.entries.forEach(entry => {
+          console.log(`  ${entry.standard} ${entry.version}: ${entry.summary}`);
+        });
+      } else if (requestInfo && requestInfo.consent && ['pending', 'out'].includes(requestInfo.consent.state)) {
+        console.warn(`Captured while consent was ${requestInfo.consent.state === 'out' ? 'declined' : 'pending'}`);
+      }
+      
+      // Show which request this event travelled in when it was batched
+      if (requestInfo && requestInfo.batchSize > 1) {
+        console.log(`Request ID: ${requestInfo.requestId}`);
+      }
+      
+      // Show rule failures before the values so they are not missed
+      if (requestInfo && requestInfo.validation) {
+        displayValidation(requestInfo.validation);
+      }
+      
       // Split results into simple and complex values
       const { simpleValues, complexValues } = categorizeResults(results);
       
@@ -90,6 +132,16 @@
     return "unknown";
   }
   
+  /**
+   * Format the position of an event within a batched request
+   * @param {Object} requestInfo - Information about the request
+   * @returns {string} The position suffix, or an empty string for single-event requests
+   */
+  function formatBatchPosition(requestInfo) {
+    if (!requestInfo || !(requestInfo.batchSize > 1)) return '';
+    return ` [${requestInfo.batchIndex + 1}/${requestInfo.batchSize}]`;
+  }
+  
   /**
    * Categorize results into simple and complex values
    * @param {Object} results - The extracted data fields
@@ -139,6 +191,24 @@
     console.groupEnd();
   }
   
+  /**
+   * Display validation rule failures as warnings
+   * @param {Object} validation - The validation result with status and issues
+   */
+  function displayValidation(validation) {
+    if (validation.status === 'pass') {
+      console.log(`Validation passed (${validation.ruleCount} rule(s))`);
+      return;
+    }
+    
+    console.group(`Validation ${validation.status === 'error' ? 'failed' : 'warnings'}`);
+    validation.issues.forEach(issue => {
+      const location = issue.path ? `${issue.path}: ` : '';
+      console.warn(`[${issue.severity}] ${location}${issue.message} (rule: ${issue.rule})`);
+    });
+    console.groupEnd();
+  }
+  
   /**
    * Display the full XDM object in a collapsible group
    * @param {Object} fullXdm - The complete XDM object
@@ -149,6 +219,119 @@
     console.groupEnd();
   }
   
+  /**
+   * Get the target origin for window messages to the page hooks
+   * @returns {string} The page's origin, or '*' for opaque origins (file: and sandboxed pages), which cannot be targeted
+   */
+  function getPageOrigin() {
+    return /^https?:\/\//.test(window.origin) ? window.origin : '*';
+  }
+  
+  /**
+   * Post a message to the page hooks in the main world
+   * @param {string} type - The message type
+   * @param {Object} payload - The message payload
+   */
+  function postToPage(type, payload) {
+    window.postMessage({ source: PAGE_MESSAGE_SOURCE, direction: 'to-page', type, payload, nonce: PAGE_NONCE }, getPageOrigin());
+  }
+  
+  /**
+   * Compile the fault rules applied in the page and the endpoint patterns for the page hooks
+   * @param {string[]} faultLines - The stored fault rule lines
+   * @param {string[]} endpointLines - The stored endpoint patterns
+   * @param {boolean} listening - Whether the inspector is recording
+   * @returns {Object} Serializable rules, endpoint matchers and the listening state
+   */
+  function buildPageConfig(faultLines, endpointLines, listening) {
+    const lines = Array.isArray(endpointLines) ? endpointLines : EdgeEndpoints.DEFAULT_PATTERNS;
+    
+    return {
+      rules: FaultRules.parse(faultLines).rules.filter(rule => !FaultRules.isNetworkRule(rule)),
+      endpoints: EdgeEndpoints.parse(lines).patterns.map(pattern => ({
+        hostSource: pattern.hostRegExp.source,
+        hostFlags: pattern.hostRegExp.flags,
+        pathSource: pattern.pathRegExp.source,
+        pathFlags: pattern.pathRegExp.flags
+      })),
+      listening
+    };
+  }
+  
+  /**
+   * Load the page hooks config from storage and send it to the page
+   */
+  function loadPageConfig() {
+    try {
+      chrome.storage.local.get(['faultRules', 'endpointPatterns', 'isListening'], (result) => {
+        pageConfig = buildPageConfig(result.faultRules, result.endpointPatterns, !!result.isListening);
+        debugLog(`Sending ${pageConfig.rules.length} fault rule(s) to the page`);
+        postToPage('config', pageConfig);
+      });
+    } catch (e) {
+      console.error("Error loading fault rules from storage:", e);
+    }
+  }
+  
+  /**
+   * Log a request a fault rule was applied to
+   * @param {Object} fault - The fault reported by the page hooks
+   */
+  function displayFault(fault) {
+    const eventTypes = fault.eventTypes.length > 0 ? fault.eventTypes.join(', ') : 'unknown events';
+    const detail = fault.action === 'delay' ? ` by ${fault.value}ms` : (fault.action === 'fail' ? ` with ${fault.value}` : '');
+    console.warn(`%cAdobe Web SDK%c ${fault.action}${detail}: ${eventTypes} (rule: ${fault.rule})`, config.headerStyle, '');
+  }
+  
+  /**
+   * Forward a page capture to the background script
+   * @param {Object} message - The runtime message
+   * @param {string} description - What is forwarded, for the debug log
+   */
+  function sendToBackground(message, description) {
+    try {
+      // Reading lastError in the callback keeps a missing receiver from surfacing as an unchecked error
+      chrome.runtime.sendMessage(message, () => {
+        if (chrome.runtime.lastError) {
+          debugLog(`Error reporting ${description} to background:`, chrome.runtime.lastError.message);
+        }
+      });
+    } catch (e) {
+      debugLog(`Error reporting ${description} to background:`, e);
+    }
+  }
+  
+  /**
+   * Handle window messages from the page hooks
+   * @param {MessageEvent} event - The message event
+   */
+  function handlePageMessage(event) {
+    const message = event.data;
+    if (event.source !== window || !message || message.source !== PAGE_MESSAGE_SOURCE || message.direction !== 'to-extension') {
+      return;
+    }
+    // The hooks announce themselves before they have the nonce; anything else must carry it
+    if (message.type !== 'pageReady' && message.nonce !== PAGE_NONCE) {
+      debugLog(`Ignoring page message without the nonce: ${message.type}`);
+      return;
+    }
+    
+    if (message.type === 'pageReady' && pageConfig) {
+      postToPage('config', pageConfig);
+    } else if (message.type === 'faultApplied' && message.payload && Array.isArray(message.payload.eventTypes)) {
+      displayFault(message.payload);
+      sendToBackground({ action: 'faultApplied', fault: message.payload }, 'fault');
+    } else if (message.type === 'alloyCommand' && message.payload && typeof message.payload.id === 'string') {
+      debugLog(`alloy command ${message.payload.command} ${message.payload.status}`);
+      sendToBackground({ action: 'alloyCommand', command: message.payload }, 'alloy command');
+    } else if (message.type === 'dataLayerEvent' && message.payload && typeof message.payload.id === 'string') {
+      debugLog(`${message.payload.source} ${message.payload.kind}`);
+      sendToBackground({ action: 'dataLayerEvent', entry: message.payload }, 'data layer entry');
+    } else if (message.type === 'pageMarker' && message.payload && typeof message.payload.kind === 'string') {
+      sendToBackground({ action: 'pageMarker', marker: message.payload }, 'page marker');
+    }
+  }
+  
   /**
    * Handle message from background script
    * @param {Object} message - The message object
@@ -218,6 +401,19 @@
       console.error("Error registering message listener:", e);
     }
     
+    // Bridge the page hooks and keep their fault rules current
+    window.addEventListener('message', handlePageMessage);
+    loadPageConfig();
+    try {
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && (changes.faultRules || changes.endpointPatterns || changes.isListening)) {
+          loadPageConfig();
+        }
+      });
+    } catch (e) {
+      console.error("Error watching fault rules:", e);
+    }
+    
     // Display initialization message
     console.log(
       '%cAdobe Web SDK Inspector activated',
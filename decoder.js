@@ -0,0 +1,170 @@
+// Request body decoding for Adobe Web SDK Inspector
+// Turns webRequest requestBody data into text
+
+self.BodyDecoder = (function BodyDecoder() {
+  // Magic bytes of compressed bodies
+  const GZIP_MAGIC = [0x1f, 0x8b];
+  
+  /**
+   * Concatenate all raw byte chunks of a request body
+   * @param {Object[]} rawParts - The requestBody.raw entries
+   * @param {string[]} warnings - Collects parts that could not be read
+   * @returns {Uint8Array} The combined bytes
+   */
+  function concatRawParts(rawParts, warnings) {
+    const chunks = [];
+    let totalLength = 0;
+    
+    rawParts.forEach((part, index) => {
+      if (part && part.bytes) {
+        const chunk = new Uint8Array(part.bytes);
+        chunks.push(chunk);
+        totalLength += chunk.length;
+      } else if (part && part.file) {
+        // Extensions cannot read file-backed upload parts
+        warnings.push(`Skipped file-backed part ${index + 1}: ${part.file}`);
+      }
+    });
+    
+    const bytes = new Uint8Array(totalLength);
+    let offset = 0;
+    chunks.forEach(chunk => {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return bytes;
+  }
+  
+  /**
+   * Detect whether bytes are gzip or zlib/deflate compressed
+   * @param {Uint8Array} bytes - The body bytes
+   * @returns {string|null} gzip, deflate or null when uncompressed
+   */
+  function detectCompression(bytes) {
+    if (bytes.length < 2) return null;
+    
+    if (bytes[0] === GZIP_MAGIC[0] && bytes[1] === GZIP_MAGIC[1]) {
+      return 'gzip';
+    }
+    
+    // zlib header: deflate method (0x?8) with a checksum that is a multiple of 31
+    if ((bytes[0] & 0x0f) === 8 && ((bytes[0] << 8) | bytes[1]) % 31 === 0) {
+      return 'deflate';
+    }
+    return null;
+  }
+  
+  /**
+   * Decompress bytes with the browser's DecompressionStream
+   * @param {Uint8Array} bytes - The compressed bytes
+   * @param {string} format - gzip or deflate
+   * @returns {Promise<Uint8Array>} The decompressed bytes
+   */
+  async function decompress(bytes, format) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+  
+  /**
+   * Decode body bytes to text, decompressing them first if needed
+   * @param {Uint8Array} bytes - The body bytes
+   * @returns {Promise<Object>} Object with text and compression
+   */
+  async function decodeBytes(bytes) {
+    const compression = detectCompression(bytes);
+    let bodyBytes = bytes;
+    
+    if (compression) {
+      try {
+        bodyBytes = await decompress(bytes, compression);
+      } catch (e) {
+        // The zlib header check is weak, so a failed inflate may just be plain text
+        if (compression === 'gzip') {
+          throw new Error(`Could not decompress gzip body: ${e.message}`);
+        }
+        return decodeText(bytes, null);
+      }
+    }
+    
+    return decodeText(bodyBytes, compression);
+  }
+  
+  /**
+   * Decode uncompressed body bytes as UTF-8
+   * @param {Uint8Array} bodyBytes - The body bytes
+   * @param {string|null} compression - The compression the bytes were inflated from
+   * @returns {Object} Object with text and compression
+   */
+  function decodeText(bodyBytes, compression) {
+    let text;
+    try {
+      text = new TextDecoder('utf-8', { fatal: true }).decode(bodyBytes);
+    } catch (e) {
+      throw new Error(`Body is not valid UTF-8 (${bodyBytes.length} bytes)`);
+    }
+    
+    return { text: unwrapUrlEncoding(text), compression };
+  }
+  
+  /**
+   * Undo URL encoding on bodies that are not already JSON
+   * @param {string} text - The decoded body text
+   * @returns {string} The unwrapped text
+   */
+  function unwrapUrlEncoding(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      return text;
+    }
+    
+    try {
+      return decodeURIComponent(text);
+    } catch (e) {
+      return text;
+    }
+  }
+  
+  /**
+   * Decode a webRequest requestBody into text
+   * @param {Object} requestBody - The details.requestBody from onBeforeRequest
+   * @returns {Promise<Object>} Object with text, compression, byteLength and warnings
+   */
+  async function decodeRequestBody(requestBody) {
+    const warnings = [];
+    
+    if (!requestBody) {
+      return { text: '', compression: null, byteLength: 0, warnings };
+    }
+    
+    if (requestBody.error) {
+      throw new Error(`Chrome could not capture the body: ${requestBody.error}`);
+    }
+    
+    if (Array.isArray(requestBody.raw) && requestBody.raw.length > 0) {
+      const bytes = concatRawParts(requestBody.raw, warnings);
+      if (bytes.length === 0) {
+        if (warnings.length > 0) {
+          throw new Error(warnings.join('; '));
+        }
+        return { text: '', compression: null, byteLength: 0, warnings };
+      }
+      
+      const { text, compression } = await decodeBytes(bytes);
+      return { text, compression, byteLength: bytes.length, warnings };
+    }
+    
+    if (requestBody.formData) {
+      // For form data payloads
+      const text = JSON.stringify(requestBody.formData);
+      return { text, compression: null, byteLength: text.length, warnings };
+    }
+    
+    return { text: '', compression: null, byteLength: 0, warnings };
+  }
+  
+  return {
+    decodeRequestBody,
+    decodeBytes,
+    detectCompression
+  };
+})();
@@ -0,0 +1,99 @@
+// Structural diff of XDM objects for Adobe Web SDK Inspector
+// Used by the DevTools panel to compare two captured events
+
+self.XdmDiff = (function XdmDiff() {
+  /**
+   * Get the kind of a value for comparison
+   * @param {*} value - The value
+   * @returns {string} object, array or scalar
+   */
+  function kindOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value !== null && typeof value === 'object') return 'object';
+    return 'scalar';
+  }
+  
+  /**
+   * Diff two values into a tree of nodes
+   *
+   * Each node has key, status (added, removed, changed or unchanged),
+   * before, after and, for objects and arrays present on both sides,
+   * children. Array items are compared by index.
+   *
+   * @param {*} before - The older value
+   * @param {*} after - The newer value
+   * @param {string|number} key - The property name or index of this node
+   * @returns {Object} The diff node
+   */
+  function diff(before, after, key = null) {
+    if (before === undefined) {
+      return { key, status: 'added', after };
+    }
+    if (after === undefined) {
+      return { key, status: 'removed', before };
+    }
+    
+    const kind = kindOf(before);
+    if (kind !== kindOf(after) || kind === 'scalar') {
+      const equal = kind === 'scalar' && kind === kindOf(after) && before === after;
+      return { key, status: equal ? 'unchanged' : 'changed', before, after };
+    }
+    
+    const keys = kind === 'array'
+      ? Array.from({ length: Math.max(before.length, after.length) }, (_, index) => index)
+      : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    
+    const children = keys.map(childKey => diff(before[childKey], after[childKey], childKey));
+    const changed = children.some(child => child.status !== 'unchanged');
+    
+    return { key, status: changed ? 'changed' : 'unchanged', kind, children, before, after };
+  }
+  
+  /**
+   * Count the leaf changes in a diff tree
+   * @param {Object} node - The diff node
+   * @returns {Object} Object with added, removed and changed counts
+   */
+  function summarize(node) {
+    const counts = { added: 0, removed: 0, changed: 0 };
+    
+    const visit = (current) => {
+      if (current.children) {
+        current.children.forEach(visit);
+      } else if (current.status !== 'unchanged') {
+        counts[current.status]++;
+      }
+    };
+    visit(node);
+    
+    return counts;
+  }
+  
+  /**
+   * List the leaf changes in a diff tree with their paths
+   * @param {Object} node - The diff node
+   * @returns {Object[]} Objects with path, status, before and after, e.g. path `page.pageInfo.pageName`
+   */
+  function listChanges(node) {
+    const changes = [];
+    
+    const visit = (current, path) => {
+      if (current.children) {
+        current.children.forEach(child => visit(child, current.kind === 'array'
+          ? `${path}[${child.key}]`
+          : (path ? `${path}.${child.key}` : String(child.key))));
+      } else if (current.status !== 'unchanged') {
+        changes.push({ path, status: current.status, before: current.before, after: current.after });
+      }
+    };
+    visit(node, '');
+    
+    return changes;
+  }
+  
+  return {
+    diff,
+    summarize,
+    listChanges
+  };
+})();
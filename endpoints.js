@@ -0,0 +1,151 @@
+// Edge endpoint matching for Adobe Web SDK Inspector
+// Shared by the background service worker and the DevTools panel
+
+/**
+ * User-managed endpoint patterns, one per line: `<host> [path]`
+ *
+ * The host is a glob (`*.example.com`, `*` for any host) or a regex
+ * written as `/pattern/flags`. The path is a template where `*` matches
+ * one segment, `**` any number of segments and `{name}` captures one.
+ * Example: `edge.example.com /collect/{version}/**`
+ */
+self.EdgeEndpoints = (function EdgeEndpoints() {
+  // Adobe's own Edge domain and any first-party domain using the /ee/ path
+  const DEFAULT_PATTERNS = ['* /ee/**'];
+  
+  /**
+   * Escape a string for literal use in a regular expression
+   * @param {string} value - The string to escape
+   * @returns {string} The escaped string
+   */
+  function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  
+  /**
+   * Compile a host glob or `/regex/` into a regular expression
+   * @param {string} host - The host pattern
+   * @returns {RegExp} The compiled host matcher
+   */
+  function compileHost(host) {
+    const regexMatch = host.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+      // g and y make test() resume from the last match, so identical URLs would alternate between matching and not
+      return new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+    }
+    
+    const source = host.split('*').map(escapeRegExp).join('.*');
+    return new RegExp(`^${source}$`, 'i');
+  }
+  
+  /**
+   * Compile a path template into a regular expression
+   * @param {string} path - The path template
+   * @returns {RegExp} The compiled path matcher
+   */
+  function compilePath(path) {
+    if (!path.startsWith('/')) {
+      throw new Error(`Path template must start with "/": ${path}`);
+    }
+    
+    const source = path.split('/').filter(Boolean).map(segment => {
+      if (segment === '**') return '(?:/[^/]+)*';
+      
+      const segmentSource = segment
+        .split(/(\{[A-Za-z_$][\w$]*\}|\*)/)
+        .map(part => {
+          if (part === '*') return '[^/]*';
+          if (/^\{.+\}$/.test(part)) return `(?<${part.slice(1, -1)}>[^/]+)`;
+          return escapeRegExp(part);
+        })
+        .join('');
+      return `/${segmentSource}`;
+    }).join('');
+    
+    return new RegExp(`^${source}/?$`);
+  }
+  
+  /**
+   * Parse pattern lines into compiled matchers
+   * @param {string[]} lines - The pattern lines
+   * @returns {Object} Object with patterns and errors ({ line, message }) arrays
+   */
+  function parse(lines) {
+    const patterns = [];
+    const errors = [];
+    
+    (Array.isArray(lines) ? lines : []).forEach((line, index) => {
+      const source = String(line).trim();
+      if (!source) return;
+      
+      const [host, path = '/**', ...rest] = source.split(/\s+/);
+      try {
+        if (rest.length > 0) {
+          throw new Error('Expected "<host> [path]"');
+        }
+        patterns.push({
+          source,
+          hostRegExp: compileHost(host),
+          pathRegExp: compilePath(path)
+        });
+      } catch (e) {
+        errors.push({ line: index + 1, message: e.message });
+      }
+    });
+    
+    return { patterns, errors };
+  }
+  
+  /**
+   * Get the Edge endpoint name from the URL path
+   * @param {string} url - The request URL
+   * @returns {string|null} interact, collect, set-consent or null
+   */
+  function getEndpointName(url) {
+    try {
+      const match = new URL(url).pathname.match(/\/v\d+\/(?:privacy\/)?(interact|collect|set-consent)\/?$/);
+      return match ? match[1] : null;
+    } catch (e) {
+      return null;
+    }
+  }
+  
+  /**
+   * Find the pattern that matches a Web SDK request URL
+   * @param {string} url - The request URL
+   * @param {Object[]} patterns - Compiled patterns from parse()
+   * @returns {Object|null} Object with source and params, or null if not an Edge call
+   */
+  function match(url, patterns) {
+    if (!url || typeof url !== 'string') return null;
+    
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return null;
+    }
+    
+    // interact and collect calls are recognized by path, requestId is optional on beacons
+    if (getEndpointName(url) === null && !parsed.searchParams.has('configId')) {
+      return null;
+    }
+    
+    for (const pattern of patterns || []) {
+      if (!pattern.hostRegExp.test(parsed.hostname)) continue;
+      
+      const pathMatch = parsed.pathname.match(pattern.pathRegExp);
+      if (pathMatch) {
+        return { source: pattern.source, params: { ...pathMatch.groups } };
+      }
+    }
+    return null;
+  }
+  
+  return {
+    DEFAULT_PATTERNS,
+    parse,
+    match,
+    getEndpointName
+  };
+})();
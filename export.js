@@ -0,0 +1,231 @@
+// Session export for Adobe Web SDK Inspector
+// Turns stored session events into HAR, normalized JSON and CSV files
+
+self.SessionExport = (function SessionExport() {
+  /**
+   * Group events by the Edge request that carried them
+   * @param {Object[]} events - Stored session events in capture order
+   * @returns {Object[][]} One array of events per request
+   */
+  function groupByRequest(events) {
+    const groups = new Map();
+    events.forEach((event, index) => {
+      const key = event.requestId || `event-${index}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(event);
+    });
+    return [...groups.values()];
+  }
+  
+  /**
+   * Convert name/value header pairs to HAR headers
+   * @param {Object[]} headers - webRequest headers with name and value
+   * @returns {Object[]} HAR headers
+   */
+  function toHarHeaders(headers) {
+    return (headers || []).map(header => ({ name: header.name, value: header.value || '' }));
+  }
+  
+  /**
+   * Find a header value by name
+   * @param {Object[]} headers - Headers with name and value
+   * @param {string} name - The header name
+   * @returns {string|undefined} The header value
+   */
+  function findHeader(headers, name) {
+    const header = (headers || []).find(candidate => candidate.name.toLowerCase() === name);
+    return header ? header.value : undefined;
+  }
+  
+  /**
+   * Build the HAR entry for one request
+   * @param {Object[]} requestEvents - The events carried by the request
+   * @returns {Object} The HAR entry
+   */
+  function toHarEntry(requestEvents) {
+    const first = requestEvents[0];
+    const info = first.requestInfo || {};
+    const network = first.network || {};
+    const startedAt = network.startedAt || first.capturedAt;
+    const time = network.completedAt ? Math.max(0, network.completedAt - startedAt) : 0;
+    
+    let queryString = [];
+    try {
+      queryString = [...new URL(first.url).searchParams].map(([name, value]) => ({ name, value }));
+    } catch (e) {
+      // Leave the query string empty for unparsable URLs
+    }
+    
+    const requestBody = first.requestBody || '';
+    const responseText = first.response === undefined || first.response === null
+      ? ''
+      : (typeof first.response === 'string' ? first.response : JSON.stringify(first.response));
+    const statusLine = network.statusLine || '';
+    const encoder = new TextEncoder();
+    const requestSize = encoder.encode(requestBody).length;
+    const responseSize = encoder.encode(responseText).length;
+    
+    const entry = {
+      startedDateTime: new Date(startedAt).toISOString(),
+      time,
+      request: {
+        method: info.method || (requestBody ? 'POST' : 'GET'),
+        url: first.url,
+        httpVersion: statusLine.split(' ')[0] || 'HTTP/1.1',
+        cookies: [],
+        headers: toHarHeaders(network.requestHeaders),
+        queryString,
+        headersSize: -1,
+        bodySize: requestSize
+      },
+      response: {
+        status: network.statusCode || info.statusCode || 0,
+        statusText: statusLine.split(' ').slice(2).join(' '),
+        httpVersion: statusLine.split(' ')[0] || 'HTTP/1.1',
+        cookies: [],
+        headers: toHarHeaders(network.responseHeaders),
+        content: {
+          size: responseSize,
+          mimeType: findHeader(network.responseHeaders, 'content-type') || 'application/json',
+          text: responseText
+        },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: responseSize
+      },
+      cache: {},
+      timings: { send: 0, wait: time, receive: 0 },
+      _edgeRequestId: first.requestId,
+      _eventCount: requestEvents.length
+    };
+    
+    if (requestBody) {
+      entry.request.postData = {
+        mimeType: findHeader(network.requestHeaders, 'content-type') || 'text/plain;charset=UTF-8',
+        text: requestBody
+      };
+    }
+    
+    return entry;
+  }
+  
+  /**
+   * Build a HAR 1.2 log from session events
+   * @param {Object} session - The session record
+   * @param {Object[]} events - Stored session events
+   * @param {string} version - The extension version for the creator field
+   * @returns {Object} The HAR document
+   */
+  function toHar(session, events, version) {
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'Adobe Web SDK Inspector', version: version || '' },
+        pages: [],
+        entries: groupByRequest(events).map(toHarEntry),
+        comment: session ? `Session "${session.name}"` : ''
+      }
+    };
+  }
+  
+  /**
+   * Build the normalized JSON export
+   * @param {Object} session - The session record
+   * @param {Object[]} events - Stored session events
+   * @param {string[]} targetPaths - The target paths to extract
+   * @returns {Object} The export document
+   */
+  function toJson(session, events, targetPaths) {
+    return {
+      exportedAt: new Date().toISOString(),
+      session: session ? {
+        id: session.id,
+        name: session.name,
+        createdAt: new Date(session.createdAt).toISOString()
+      } : null,
+      targetPaths,
+      events: events.map(event => {
+        const info = event.requestInfo || {};
+        return {
+          capturedAt: new Date(event.capturedAt).toISOString(),
+          url: event.url,
+          tabId: event.tabId,
+          requestId: event.requestId,
+          eventType: (event.fullXdm && event.fullXdm.eventType) || (event.results && event.results.eventType) || null,
+          method: info.method,
+          transport: info.transport,
+          endpoint: info.endpoint,
+          statusCode: (event.network && event.network.statusCode) || info.statusCode || null,
+          batchIndex: info.batchIndex,
+          batchSize: info.batchSize,
+          values: extractValues(event, targetPaths),
+          validation: info.validation || null,
+          schemaValidation: info.schemaValidation || null,
+          consent: info.consent || null,
+          xdm: event.fullXdm || null,
+          response: event.response || null
+        };
+      })
+    };
+  }
+  
+  /**
+   * Extract target path values from an event, falling back to the values captured live
+   * @param {Object} event - The stored event
+   * @param {string[]} targetPaths - The target paths
+   * @returns {Object} Values keyed by path
+   */
+  function extractValues(event, targetPaths) {
+    const values = {};
+    targetPaths.forEach(path => {
+      const value = event.fullXdm ? PathExpression.evaluate(event.fullXdm, path) : undefined;
+      if (value !== undefined) {
+        values[path] = value;
+      } else if (event.results && event.results[path] !== undefined) {
+        values[path] = event.results[path];
+      }
+    });
+    return values;
+  }
+  
+  /**
+   * Quote a value for a CSV cell
+   * @param {*} value - The cell value
+   * @returns {string} The escaped cell
+   */
+  function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+  
+  /**
+   * Build a CSV with one row per event and one column per target path
+   * @param {Object[]} events - Stored session events
+   * @param {string[]} targetPaths - The target paths
+   * @returns {string} The CSV text
+   */
+  function toCsv(events, targetPaths) {
+    // eventType always has its own column
+    const paths = targetPaths.filter(path => path !== 'eventType');
+    const columns = ['capturedAt', 'eventType', 'requestId', 'url', ...paths];
+    const rows = events.map(event => {
+      const values = extractValues(event, paths);
+      return [
+        new Date(event.capturedAt).toISOString(),
+        (event.fullXdm && event.fullXdm.eventType) || (event.results && event.results.eventType) || '',
+        event.requestId,
+        event.url,
+        ...paths.map(path => values[path])
+      ].map(csvCell).join(',');
+    });
+    
+    return [columns.map(csvCell).join(','), ...rows].join('\r\n');
+  }
+  
+  return {
+    toHar,
+    toJson,
+    toCsv
+  };
+})();
@@ -0,0 +1,171 @@
+// Fault rules for Adobe Web SDK Inspector
+// Shared by the background service worker, the content script and the DevTools panel
+
+/**
+ * User-managed fault rules, one per line: `<action> <url|eventType> <pattern> [value]`
+ *
+ * - `block url <pattern>` drops matching requests with a declarativeNetRequest
+ *   block rule, as if Edge were unreachable.
+ * - `block eventType <pattern>` drops requests carrying an event of that type.
+ * - `delay url|eventType <pattern> <ms>` holds requests back before sending them.
+ * - `fail url|eventType <pattern> [status]` answers without sending the request,
+ *   with an HTTP error status (503 by default).
+ *
+ * Patterns are globs where `*` matches anything: URL patterns are matched
+ * against the whole URL, eventType patterns against each event's xdm.eventType.
+ * declarativeNetRequest cannot read bodies or hold requests, so every rule
+ * except URL blocks is applied in the page by wrapping fetch and sendBeacon.
+ * Example: `delay eventType decisioning.* 4000`
+ */
+self.FaultRules = (function FaultRules() {
+  // Dynamic rule IDs 2000-2999 belong to fault rules
+  const RULE_ID_BASE = 2000;
+  const MAX_RULES = 1000;
+  const ACTIONS = ['block', 'delay', 'fail'];
+  const TARGETS = ['url', 'eventType'];
+  const DEFAULT_FAIL_STATUS = 503;
+  const MAX_DELAY_MS = 5 * 60 * 1000;
+  
+  /**
+   * Compile a glob into an anchored regular expression source
+   * @param {string} glob - The glob, where `*` matches anything
+   * @returns {string} The regular expression source
+   */
+  function globToSource(glob) {
+    return `^${glob.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`;
+  }
+  
+  /**
+   * Parse the value of a rule for its action
+   * @param {string} action - block, delay or fail
+   * @param {string} value - The raw value, if any
+   * @returns {number|null} The delay in ms, the failure status or null for blocks
+   */
+  function parseValue(action, value) {
+    if (action === 'block') {
+      if (value !== undefined) throw new Error('block takes no value');
+      return null;
+    }
+    
+    if (action === 'delay') {
+      const ms = Number(value);
+      if (!Number.isInteger(ms) || ms <= 0 || ms > MAX_DELAY_MS) {
+        throw new Error(`delay needs a duration in ms between 1 and ${MAX_DELAY_MS}`);
+      }
+      return ms;
+    }
+    
+    if (value === undefined) return DEFAULT_FAIL_STATUS;
+    const status = Number(value);
+    if (!Number.isInteger(status) || status < 400 || status > 599) {
+      throw new Error('fail needs an HTTP error status between 400 and 599');
+    }
+    return status;
+  }
+  
+  /**
+   * Parse fault rule lines
+   * @param {string[]} lines - The rule lines
+   * @returns {Object} Object with rules and errors ({ line, message }) arrays
+   */
+  function parse(lines) {
+    const rules = [];
+    const errors = [];
+    
+    (Array.isArray(lines) ? lines : []).forEach((line, index) => {
+      const source = String(line).trim();
+      if (!source || source.startsWith('#')) return;
+      
+      const [action, target, pattern, value, ...rest] = source.split(/\s+/);
+      try {
+        if (!ACTIONS.includes(action) || !TARGETS.includes(target) || !pattern || rest.length > 0) {
+          throw new Error('Expected "<block|delay|fail> <url|eventType> <pattern> [value]"');
+        }
+        // A bare wildcard would block every fetch and beacon on the web
+        if (target === 'url' && !/[^*]*\/[^*]*[^*/]/.test(pattern.replace(/\*+/g, '*'))) {
+          throw new Error('URL patterns need part of the Edge path, e.g. */ee/*');
+        }
+        if (rules.length >= MAX_RULES) {
+          throw new Error(`At most ${MAX_RULES} fault rules are supported`);
+        }
+        
+        rules.push({
+          source,
+          action,
+          target,
+          pattern,
+          value: parseValue(action, value),
+          regExpSource: globToSource(pattern),
+          regExpFlags: target === 'url' ? 'i' : ''
+        });
+      } catch (e) {
+        errors.push({ line: index + 1, message: e.message });
+      }
+    });
+    
+    return { rules, errors };
+  }
+  
+  /**
+   * Check whether a rule is enforced by declarativeNetRequest rather than in the page
+   * @param {Object} rule - A parsed rule
+   * @returns {boolean} True for URL blocks
+   */
+  function isNetworkRule(rule) {
+    return rule.action === 'block' && rule.target === 'url';
+  }
+  
+  /**
+   * Build the declarativeNetRequest dynamic rules for URL blocks
+   * @param {Object[]} rules - Parsed rules
+   * @returns {Object[]} The dynamic rules
+   */
+  function toRules(rules) {
+    return rules.filter(isNetworkRule).map((rule, index) => ({
+      id: RULE_ID_BASE + index,
+      // Outrank datastream overrides so a blocked request is not redirected first
+      priority: 2,
+      action: { type: 'block' },
+      condition: {
+        regexFilter: rule.regExpSource,
+        // URL rules match case-insensitively in the page, and DNR defaults to case-sensitive
+        isUrlFilterCaseSensitive: false,
+        resourceTypes: ['xmlhttprequest', 'ping', 'other']
+      }
+    }));
+  }
+  
+  /**
+   * Check whether a dynamic rule ID belongs to fault rules
+   * @param {number} ruleId - The rule ID
+   * @returns {boolean} True for fault rules
+   */
+  function isFaultRuleId(ruleId) {
+    return ruleId >= RULE_ID_BASE && ruleId < RULE_ID_BASE + MAX_RULES;
+  }
+  
+  /**
+   * Find the first rule that applies to a request
+   * @param {Object[]} rules - Parsed rules
+   * @param {string} url - The request URL
+   * @param {string[]} eventTypes - The event types in the request body
+   * @returns {Object|null} The matching rule
+   */
+  function match(rules, url, eventTypes = []) {
+    return rules.find(rule => {
+      const regExp = new RegExp(rule.regExpSource, rule.regExpFlags);
+      return rule.target === 'url'
+        ? regExp.test(url)
+        : eventTypes.some(eventType => regExp.test(eventType));
+    }) || null;
+  }
+  
+  return {
+    RULE_ID_BASE,
+    parse,
+    isNetworkRule,
+    toRules,
+    isFaultRuleId,
+    match
+  };
+})();
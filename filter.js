@@ -0,0 +1,208 @@
+// Result filtering for Adobe Web SDK Inspector
+// Used by the DevTools panel filter bar; needs paths.js loaded first
+
+/**
+ * Filter query syntax, terms separated by spaces and all required to match:
+ *
+ *   eventType:linkClicks              event type contains the text
+ *   url:interact                      request URL contains the text
+ *   web.webPageDetails.name=Home      a value at the path equals the text
+ *   commerce..SKU~^ABC-\d+$           a value at the path matches the regex
+ *   "add to cart"                     free text anywhere in the event
+ *
+ * Paths use the target path syntax, so wildcards and filters work and a
+ * condition holds when any matched value satisfies it. Text and regex
+ * matching ignore case. Values with spaces can be quoted.
+ */
+self.ResultFilter = (function ResultFilter() {
+  const STATUS_GROUPS = ['2xx', '3xx', '4xx', '5xx', 'none'];
+  const VALIDATION_STATUSES = ['pass', 'warning', 'error'];
+  const FIELDS = ['eventType', 'url'];
+  
+  /**
+   * Split a query into terms at spaces outside quotes and brackets
+   * @param {string} query - The filter query
+   * @returns {string[]} The terms, with quotes kept
+   */
+  function tokenize(query) {
+    const terms = [];
+    let current = '';
+    let quote = null;
+    let depth = 0;
+    
+    [...String(query || '')].forEach(ch => {
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '[') {
+        depth++;
+      } else if (ch === ']') {
+        depth = Math.max(0, depth - 1);
+      } else if (/\s/.test(ch) && depth === 0) {
+        if (current) terms.push(current);
+        current = '';
+        return;
+      }
+      current += ch;
+    });
+    if (current) terms.push(current);
+    
+    return terms;
+  }
+  
+  /**
+   * Remove the quotes around a value
+   * @param {string} value - The value
+   * @returns {string} The unquoted value
+   */
+  function unquote(value) {
+    const match = value.match(/^(["'])(.*)\1$/);
+    return match ? match[2] : value;
+  }
+  
+  /**
+   * Find the = or ~ that separates a path from its value, outside quotes and brackets
+   * @param {string} term - The term
+   * @returns {number} The operator position, or -1
+   */
+  function findOperator(term) {
+    let quote = null;
+    let depth = 0;
+    for (let index = 0; index < term.length; index++) {
+      const ch = term[index];
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '[') {
+        depth++;
+      } else if (ch === ']') {
+        depth--;
+      } else if (depth === 0 && (ch === '=' || ch === '~') && index > 0) {
+        return index;
+      }
+    }
+    return -1;
+  }
+  
+  /**
+   * Parse a filter query
+   * @param {string} query - The filter query
+   * @returns {Object} Object with conditions and errors ({ term, message })
+   */
+  function parse(query) {
+    const conditions = [];
+    const errors = [];
+    
+    tokenize(query).forEach(term => {
+      const field = FIELDS.find(name => term.toLowerCase().startsWith(`${name.toLowerCase()}:`));
+      if (field) {
+        conditions.push({ type: 'field', field, value: unquote(term.slice(field.length + 1)).toLowerCase() });
+        return;
+      }
+      
+      const operatorIndex = findOperator(term);
+      if (operatorIndex === -1) {
+        conditions.push({ type: 'text', value: unquote(term).toLowerCase() });
+        return;
+      }
+      
+      const path = term.slice(0, operatorIndex);
+      const value = unquote(term.slice(operatorIndex + 1));
+      const pathError = PathExpression.validate(path);
+      if (pathError) {
+        errors.push({ term, message: pathError });
+        return;
+      }
+      
+      if (term[operatorIndex] === '=') {
+        conditions.push({ type: 'equals', path, value });
+        return;
+      }
+      try {
+        conditions.push({ type: 'regex', path, regExp: new RegExp(value, 'i') });
+      } catch (e) {
+        errors.push({ term, message: e.message });
+      }
+    });
+    
+    return { conditions, errors };
+  }
+  
+  /**
+   * Get the toggle group of a status code
+   * @param {number} statusCode - The HTTP status code
+   * @returns {string} e.g. 2xx, or none when there is no response
+   */
+  function getStatusGroup(statusCode) {
+    return statusCode ? `${Math.floor(statusCode / 100)}xx` : 'none';
+  }
+  
+  /**
+   * Turn a matched value into text for comparison
+   * @param {*} value - The value
+   * @returns {string} The text
+   */
+  function toText(value) {
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+  
+  /**
+   * Check one condition against an item
+   * @param {Object} condition - A parsed condition
+   * @param {Object} item - The item, see matches()
+   * @returns {boolean} True if the condition holds
+   */
+  function matchesCondition(condition, item) {
+    if (condition.type === 'field') {
+      return String(item[condition.field] || '').toLowerCase().includes(condition.value);
+    }
+    if (condition.type === 'text') {
+      if (item.searchText === undefined) {
+        item.searchText = JSON.stringify({ eventType: item.eventType, url: item.url, event: item.fullXdm }).toLowerCase();
+      }
+      return item.searchText.includes(condition.value);
+    }
+    
+    const values = PathExpression.query(item.fullXdm, condition.path).map(match => toText(match.value));
+    return condition.type === 'equals'
+      ? values.includes(condition.value)
+      : values.some(value => condition.regExp.test(value));
+  }
+  
+  /**
+   * Check whether an item passes a filter
+   *
+   * The full text of an item is cached on it as `searchText`.
+   *
+   * @param {Object} filter - Object with conditions, statusGroups and validationStatuses
+   * @param {Object} item - Object with eventType, url, fullXdm, statusCode and validationStatus
+   * @returns {boolean} True if the item passes
+   */
+  function matches(filter, item) {
+    if (!filter.statusGroups.includes(getStatusGroup(item.statusCode))) return false;
+    if (!filter.validationStatuses.includes(item.validationStatus || 'pass')) return false;
+    return filter.conditions.every(condition => matchesCondition(condition, item));
+  }
+  
+  /**
+   * Check whether a filter can hide anything
+   * @param {Object} filter - Object with conditions, statusGroups and validationStatuses
+   * @returns {boolean} True if any condition is set or any toggle is off
+   */
+  function isActive(filter) {
+    return filter.conditions.length > 0 ||
+      filter.statusGroups.length < STATUS_GROUPS.length ||
+      filter.validationStatuses.length < VALIDATION_STATUSES.length;
+  }
+  
+  return {
+    STATUS_GROUPS,
+    VALIDATION_STATUSES,
+    parse,
+    getStatusGroup,
+    matches,
+    isActive
+  };
+})();
@@ -0,0 +1,287 @@
+// Identity tracking for Adobe Web SDK Inspector
+// Used by the DevTools panel to follow ECIDs and identityMap namespaces over a session
+
+/**
+ * Identity state is a plain object from createState() that recordEvent and
+ * recordResponse update in capture order. Each returns the flags raised by
+ * what it saw: `ecid-changed` when a different ECID than the current one
+ * appears, `namespace-changed` when an identityMap namespace carries other
+ * ids than the last event that had it, `identity-changed` when the primary
+ * flag or authenticatedState of an id differs from before and
+ * `multiple-primary` when one event marks several identities as primary.
+ */
+self.IdentityTracker = (function IdentityTracker() {
+  /**
+   * Create an empty identity state
+   * @returns {Object} The identity state
+   */
+  function createState() {
+    return {
+      currentEcid: null,
+      ecids: [], // { ecid, firstSeen, lastSeen, count, sources }
+      namespaces: {}, // namespace -> { ids: { id -> { primary, authenticatedState, firstSeen, lastSeen, eventTypes } }, lastIds }
+      flags: [],
+      seenResponses: new Set()
+    };
+  }
+  
+  /**
+   * Note an ECID sighting and flag a change of ECID
+   * @param {Object} identityState - The identity state
+   * @param {string} ecid - The ECID
+   * @param {string} source - Where it was seen, e.g. identityMap
+   * @param {Object} context - eventType, capturedAt and requestId of the sighting
+   * @returns {Object[]} The raised flags
+   */
+  function noteEcid(identityState, ecid, source, context) {
+    const flags = [];
+    let entry = identityState.ecids.find(candidate => candidate.ecid === ecid);
+    
+    if (!entry) {
+      entry = { ecid, firstSeen: context.capturedAt, lastSeen: context.capturedAt, count: 0, sources: [] };
+      identityState.ecids.push(entry);
+    }
+    entry.lastSeen = context.capturedAt;
+    entry.count++;
+    if (!entry.sources.includes(source)) entry.sources.push(source);
+    
+    if (identityState.currentEcid && identityState.currentEcid !== ecid) {
+      flags.push(createFlag('ecid-changed', `ECID changed from ${identityState.currentEcid} to ${ecid} (${source})`, context));
+    }
+    identityState.currentEcid = ecid;
+    
+    return flags;
+  }
+  
+  /**
+   * Build a flag
+   * @param {string} type - The flag type
+   * @param {string} message - The description
+   * @param {Object} context - eventType, capturedAt and requestId of the event
+   * @returns {Object} The flag
+   */
+  function createFlag(type, message, context) {
+    return {
+      type,
+      message,
+      eventType: context.eventType || null,
+      capturedAt: context.capturedAt,
+      requestId: context.requestId || null
+    };
+  }
+  
+  /**
+   * Record the identityMap of a captured event
+   * @param {Object} identityState - The identity state
+   * @param {Object} event - Object with xdm, eventType, capturedAt and requestId
+   * @returns {Object[]} The raised flags
+   */
+  function recordEvent(identityState, event) {
+    const context = { eventType: event.eventType, capturedAt: event.capturedAt || Date.now(), requestId: event.requestId };
+    const identityMap = event.xdm && event.xdm.identityMap;
+    const flags = [];
+    if (!identityMap || typeof identityMap !== 'object') return flags;
+    
+    const primaries = [];
+    Object.keys(identityMap).forEach(namespace => {
+      const identities = (Array.isArray(identityMap[namespace]) ? identityMap[namespace] : [])
+        .filter(identity => identity && identity.id !== undefined);
+      if (!identityState.namespaces[namespace]) {
+        identityState.namespaces[namespace] = { ids: {}, lastIds: null };
+      }
+      const tracked = identityState.namespaces[namespace];
+      
+      identities.forEach(identity => {
+        const id = String(identity.id);
+        const primary = identity.primary === true;
+        const authenticatedState = identity.authenticatedState || 'ambiguous';
+        if (primary) primaries.push(`${namespace}:${id}`);
+        
+        const known = tracked.ids[id];
+        if (known && (known.primary !== primary || known.authenticatedState !== authenticatedState)) {
+          flags.push(createFlag('identity-changed',
+            `${namespace} ${id} changed from primary=${known.primary}, ${known.authenticatedState} to primary=${primary}, ${authenticatedState}`,
+            context));
+        }
+        
+        tracked.ids[id] = {
+          primary,
+          authenticatedState,
+          firstSeen: known ? known.firstSeen : context.capturedAt,
+          lastSeen: context.capturedAt,
+          eventTypes: [...new Set([...(known ? known.eventTypes : []), context.eventType || 'unknown'])]
+        };
+        
+        if (namespace === 'ECID') {
+          flags.push(...noteEcid(identityState, id, 'identityMap', context));
+        }
+      });
+      
+      // ECID changes are already flagged as ecid-changed
+      const ids = identities.map(identity => String(identity.id)).sort();
+      if (namespace !== 'ECID' && tracked.lastIds && tracked.lastIds.join('\n') !== ids.join('\n')) {
+        flags.push(createFlag('namespace-changed',
+          `identityMap.${namespace} changed from [${tracked.lastIds.join(', ')}] to [${ids.join(', ')}]`,
+          context));
+      }
+      tracked.lastIds = ids;
+    });
+    
+    if (primaries.length > 1) {
+      flags.push(createFlag('multiple-primary', `More than one primary identity: ${primaries.join(', ')}`, context));
+    }
+    
+    identityState.flags.push(...flags);
+    return flags;
+  }
+  
+  /**
+   * Record the ECID Edge returned in identity:result handles
+   * @param {Object} identityState - The identity state
+   * @param {Object} response - The parsed Edge response body
+   * @param {Object} context - eventType, capturedAt and requestId of the request
+   * @returns {Object[]} The raised flags
+   */
+  function recordResponse(identityState, response, context = {}) {
+    const flags = [];
+    if (!response || !Array.isArray(response.handle)) return flags;
+    
+    // The same response can reach the panel from the background and the network panel
+    if (context.requestId) {
+      if (identityState.seenResponses.has(context.requestId)) return flags;
+      identityState.seenResponses.add(context.requestId);
+    }
+    
+    const fullContext = { ...context, capturedAt: context.capturedAt || Date.now() };
+    response.handle
+      .filter(handle => handle && handle.type === 'identity:result' && Array.isArray(handle.payload))
+      .forEach(handle => handle.payload.forEach(item => {
+        // Edge returns a flat identity, older payloads nest it under `identity`
+        const identity = item && item.identity ? item.identity : item;
+        if (identity && identity.namespace && identity.namespace.code === 'ECID' && identity.id) {
+          flags.push(...noteEcid(identityState, String(identity.id), 'identity:result', fullContext));
+        }
+      }));
+    
+    identityState.flags.push(...flags);
+    return flags;
+  }
+  
+  /**
+   * Read the ECID from a kndctr_<orgId>_identity cookie
+   *
+   * The value is a base64 protobuf message whose first field is the ECID.
+   *
+   * @param {string} value - The cookie value
+   * @returns {string|null} The ECID, or null if it cannot be decoded
+   */
+  function decodeKndctrIdentity(value) {
+    try {
+      const base64 = decodeURIComponent(value).replace(/-/g, '+').replace(/_/g, '/');
+      const bytes = Uint8Array.from(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')), ch => ch.charCodeAt(0));
+      
+      let offset = 0;
+      const readVarint = () => {
+        let result = 0;
+        let shift = 0;
+        while (offset < bytes.length) {
+          const byte = bytes[offset++];
+          result += (byte & 0x7f) * Math.pow(2, shift);
+          if (byte < 0x80) return result;
+          shift += 7;
+        }
+        throw new Error('Truncated varint');
+      };
+      
+      while (offset < bytes.length) {
+        const key = readVarint();
+        const wireType = key & 0x07;
+        if (wireType === 2) {
+          const length = readVarint();
+          const field = bytes.subarray(offset, offset + length);
+          offset += length;
+          const text = new TextDecoder().decode(field);
+          if (key >>> 3 === 1 && /^\d{20,}$/.test(text)) return text;
+        } else if (wireType === 0) {
+          readVarint();
+        } else if (wireType === 1) {
+          offset += 8;
+        } else if (wireType === 5) {
+          offset += 4;
+        } else {
+          return null;
+        }
+      }
+    } catch (e) {
+      // Not a protobuf we understand
+    }
+    return null;
+  }
+  
+  /**
+   * Read the fields of an AMCV_ cookie, e.g. MCMID (the ECID)
+   * @param {string} value - The cookie value
+   * @returns {Object} The fields by name
+   */
+  function decodeAmcv(value) {
+    const fields = {};
+    let parts;
+    try {
+      parts = decodeURIComponent(value).split('|');
+    } catch (e) {
+      return fields;
+    }
+    
+    // The first part is a checksum, the rest are name|value pairs
+    for (let index = 1; index + 1 < parts.length; index += 2) {
+      fields[parts[index]] = parts[index + 1];
+    }
+    return fields;
+  }
+  
+  /**
+   * Find the Adobe identity cookies in a document.cookie string
+   * @param {string} cookieString - The document.cookie value
+   * @returns {Object[]} Cookies with name, kind (kndctr or amcv), orgId, value and ecid
+   */
+  function parseCookies(cookieString) {
+    return String(cookieString || '').split(';').map(pair => {
+      const separator = pair.indexOf('=');
+      const name = (separator === -1 ? pair : pair.slice(0, separator)).trim();
+      const value = separator === -1 ? '' : pair.slice(separator + 1).trim();
+      
+      const kndctr = name.match(/^kndctr_(.+)_AdobeOrg_(\w+)$/);
+      if (kndctr) {
+        return {
+          name,
+          kind: 'kndctr',
+          orgId: `${kndctr[1]}@AdobeOrg`,
+          purpose: kndctr[2],
+          value,
+          ecid: kndctr[2] === 'identity' ? decodeKndctrIdentity(value) : null
+        };
+      }
+      
+      if (name.startsWith('AMCV_')) {
+        const fields = decodeAmcv(value);
+        let orgId = name.slice('AMCV_'.length);
+        try {
+          orgId = decodeURIComponent(orgId);
+        } catch (e) {
+          // Keep the encoded org ID
+        }
+        return { name, kind: 'amcv', orgId, purpose: 'visitor', value, ecid: fields.MCMID || null, fields };
+      }
+      
+      return null;
+    }).filter(Boolean);
+  }
+  
+  return {
+    createState,
+    recordEvent,
+    recordResponse,
+    parseCookies,
+    decodeKndctrIdentity
+  };
+})();
@@ -0,0 +1,304 @@
+// JSON tree viewer for Adobe Web SDK Inspector
+// Used by the DevTools panel to show XDM payloads; needs paths.js loaded first
+
+/**
+ * Builds a collapsible, searchable tree for a JSON value. Children are only
+ * rendered when their parent is expanded, so large payloads stay cheap until
+ * opened. Searching matches keys and scalar values and expands every node on
+ * the way to a match.
+ *
+ * Each row has an actions menu, opened with its ⋯ button or a right click.
+ * The caller supplies the actions and receives the chosen one with the
+ * node's path in target path syntax and its value.
+ */
+self.JsonTree = (function JsonTree() {
+  const MAX_STRING_LENGTH = 200;
+  const DEFAULT_EXPAND_DEPTH = 1;
+  
+  // One menu is shared by every tree on the page
+  let menu = null;
+  
+  /**
+   * Format a path for a node
+   * @param {string|null} rootPath - The path of the tree's root, '' for a top-level object
+   * @param {Array<string|number>} keys - Keys from the root to the node
+   * @returns {string|null} The path, or null when the root has no usable path
+   */
+  function getPath(rootPath, keys) {
+    if (rootPath === null) return null;
+    if (!rootPath) return PathExpression.formatPath(keys);
+    // formatPath leaves out the dot before the first key, so format behind a placeholder
+    return keys.length === 0 ? rootPath : rootPath + PathExpression.formatPath(['_', ...keys]).slice(1);
+  }
+  
+  /**
+   * Check whether a value has children
+   * @param {*} value - The value
+   * @returns {boolean} True for objects and arrays
+   */
+  function isContainer(value) {
+    return value !== null && typeof value === 'object';
+  }
+  
+  /**
+   * Build the element for a scalar value, styled by type
+   * @param {*} value - The value
+   * @returns {HTMLElement} The value element
+   */
+  function renderScalar(value) {
+    const element = document.createElement('span');
+    const type = value === null ? 'null' : typeof value;
+    element.className = `json-value json-${type}`;
+    
+    let text = type === 'string' ? JSON.stringify(value) : String(value);
+    if (type === 'string' && value.length > MAX_STRING_LENGTH) {
+      text = `${JSON.stringify(value.slice(0, MAX_STRING_LENGTH))}…`;
+      element.title = value;
+    }
+    element.textContent = text;
+    return element;
+  }
+  
+  /**
+   * Describe a collapsed object or array
+   * @param {Object|Array} value - The value
+   * @returns {string} e.g. [3] or {5}
+   */
+  function summarize(value) {
+    return Array.isArray(value) ? `[${value.length}]` : `{${Object.keys(value).length}}`;
+  }
+  
+  /**
+   * Collect the nodes that match a search term
+   * @param {*} value - The root value
+   * @param {string} term - The lowercase search term
+   * @returns {Object} Object with matches and ancestors, both Sets of key paths joined by \u0000
+   */
+  function search(value, term) {
+    const matches = new Set();
+    const ancestors = new Set();
+    
+    const visit = (current, keys) => {
+      const id = keys.join('\u0000');
+      const key = keys.length > 0 ? String(keys[keys.length - 1]) : '';
+      const own = key.toLowerCase().includes(term) ||
+        (!isContainer(current) && String(current).toLowerCase().includes(term));
+      
+      let below = false;
+      if (isContainer(current)) {
+        Object.keys(current).forEach(childKey => {
+          const childKeys = [...keys, Array.isArray(current) ? Number(childKey) : childKey];
+          if (visit(current[childKey], childKeys)) below = true;
+        });
+      }
+      
+      if (own && keys.length > 0) matches.add(id);
+      if (below) ancestors.add(id);
+      return (own && keys.length > 0) || below;
+    };
+    visit(value, []);
+    
+    return { matches, ancestors };
+  }
+  
+  /**
+   * Hide the actions menu
+   */
+  function hideMenu() {
+    if (menu) menu.style.display = 'none';
+  }
+  
+  /**
+   * Show the actions menu for a node
+   * @param {number} x - Page X position
+   * @param {number} y - Page Y position
+   * @param {Object[]} actions - Actions with id and label
+   * @param {Function} onChoose - Called with the chosen action ID
+   */
+  function showMenu(x, y, actions, onChoose) {
+    if (!menu) {
+      menu = document.createElement('div');
+      menu.className = 'json-tree-menu';
+      document.body.appendChild(menu);
+      document.addEventListener('click', hideMenu);
+      document.addEventListener('keydown', event => {
+        if (event.key === 'Escape') hideMenu();
+      });
+    }
+    
+    menu.innerHTML = '';
+    actions.forEach(action => {
+      const item = document.createElement('button');
+      item.textContent = action.label;
+      item.addEventListener('click', (event) => {
+        event.stopPropagation();
+        hideMenu();
+        onChoose(action.id);
+      });
+      menu.appendChild(item);
+    });
+    
+    menu.style.display = 'block';
+    menu.style.left = `${Math.min(x, window.innerWidth - 180)}px`;
+    menu.style.top = `${y}px`;
+  }
+  
+  /**
+   * Create a tree for a value
+   * @param {*} value - The JSON value
+   * @param {Object} options - Object with rootPath (string, '' or null when paths are unknown),
+   *   actions ({ id, label, needsPath }), onAction(actionId, { path, value }) and expandDepth
+   * @returns {HTMLElement} The tree element, with its search box
+   */
+  function create(value, options = {}) {
+    const rootPath = options.rootPath === undefined ? '' : options.rootPath;
+    const expandDepth = options.expandDepth === undefined ? DEFAULT_EXPAND_DEPTH : options.expandDepth;
+    const actions = (options.actions || []).filter(action => !action.needsPath || rootPath !== null);
+    
+    const container = document.createElement('div');
+    container.className = 'json-tree';
+    
+    const searchBar = document.createElement('div');
+    searchBar.className = 'json-tree-search';
+    searchBar.innerHTML = '<input type="search" placeholder="Search keys and values"><span class="json-tree-count"></span>';
+    const searchInput = searchBar.querySelector('input');
+    const searchCount = searchBar.querySelector('.json-tree-count');
+    
+    const rootElement = document.createElement('div');
+    rootElement.className = 'json-tree-root';
+    container.appendChild(searchBar);
+    container.appendChild(rootElement);
+    
+    let found = null; // search results while a term is entered
+    
+    /**
+     * Open the actions menu for a node
+     * @param {MouseEvent} event - The click or contextmenu event
+     * @param {Array<string|number>} keys - Keys from the root to the node
+     * @param {*} nodeValue - The node's value
+     */
+    const openMenu = (event, keys, nodeValue) => {
+      if (actions.length === 0) return;
+      event.preventDefault();
+      event.stopPropagation();
+      showMenu(event.pageX, event.pageY, actions, actionId => {
+        if (options.onAction) {
+          options.onAction(actionId, { path: getPath(rootPath, keys), value: nodeValue });
+        }
+      });
+    };
+    
+    /**
+     * Render the children of a container into an element
+     * @param {HTMLElement} target - The children element
+     * @param {Object|Array} parent - The container value
+     * @param {Array<string|number>} keys - Keys from the root to the container
+     * @param {number} depth - The container's depth
+     */
+    const renderChildren = (target, parent, keys, depth) => {
+      Object.keys(parent).forEach(childKey => {
+        const key = Array.isArray(parent) ? Number(childKey) : childKey;
+        target.appendChild(renderNode(key, parent[childKey], [...keys, key], depth + 1));
+      });
+      if (Object.keys(parent).length === 0) {
+        target.innerHTML = `<div class="json-empty">${Array.isArray(parent) ? 'empty array' : 'empty object'}</div>`;
+      }
+    };
+    
+    /**
+     * Render one node
+     * @param {string|number} key - The node's key
+     * @param {*} nodeValue - The node's value
+     * @param {Array<string|number>} keys - Keys from the root to the node
+     * @param {number} depth - The node's depth, 1 for the root's children
+     * @returns {HTMLElement} The node element
+     */
+    const renderNode = (key, nodeValue, keys, depth) => {
+      const id = keys.join('\u0000');
+      const node = document.createElement('div');
+      node.className = 'json-node';
+      
+      const row = document.createElement('div');
+      row.className = 'json-row';
+      if (found && found.matches.has(id)) row.classList.add('json-match');
+      
+      const toggle = document.createElement('span');
+      toggle.className = 'json-toggle';
+      row.appendChild(toggle);
+      
+      const keyElement = document.createElement('span');
+      keyElement.className = typeof key === 'number' ? 'json-key json-index' : 'json-key';
+      keyElement.textContent = typeof key === 'number' ? `[${key}]` : key;
+      keyElement.title = getPath(rootPath, keys) || '';
+      row.appendChild(keyElement);
+      
+      node.appendChild(row);
+      
+      if (isContainer(nodeValue)) {
+        const summary = document.createElement('span');
+        summary.className = 'json-summary';
+        summary.textContent = summarize(nodeValue);
+        row.appendChild(summary);
+        
+        const children = document.createElement('div');
+        children.className = 'json-children';
+        node.appendChild(children);
+        
+        let expanded = false;
+        const setExpanded = (open) => {
+          expanded = open;
+          if (open && !children.hasChildNodes()) {
+            renderChildren(children, nodeValue, keys, depth);
+          }
+          children.style.display = open ? '' : 'none';
+          toggle.textContent = open ? '▾' : '▸';
+        };
+        row.addEventListener('click', (event) => {
+          if (event.target.closest('.json-actions')) return;
+          setExpanded(!expanded);
+        });
+        setExpanded(found ? found.ancestors.has(id) : depth < expandDepth);
+      } else {
+        row.appendChild(renderScalar(nodeValue));
+      }
+      
+      if (actions.length > 0) {
+        const actionsButton = document.createElement('button');
+        actionsButton.className = 'json-actions';
+        actionsButton.textContent = '⋯';
+        actionsButton.title = 'Actions';
+        actionsButton.addEventListener('click', event => openMenu(event, keys, nodeValue));
+        row.appendChild(actionsButton);
+      }
+      row.addEventListener('contextmenu', event => openMenu(event, keys, nodeValue));
+      
+      return node;
+    };
+    
+    /**
+     * Render the whole tree for the current search
+     */
+    const render = () => {
+      rootElement.innerHTML = '';
+      if (isContainer(value)) {
+        renderChildren(rootElement, value, [], 0);
+      } else {
+        rootElement.appendChild(renderScalar(value));
+      }
+    };
+    
+    searchInput.addEventListener('input', () => {
+      const term = searchInput.value.trim().toLowerCase();
+      found = term ? search(value, term) : null;
+      searchCount.textContent = found ? `${found.matches.size} match${found.matches.size === 1 ? '' : 'es'}` : '';
+      render();
+    });
+    
+    render();
+    return container;
+  }
+  
+  return {
+    create
+  };
+})();
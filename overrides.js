@@ -0,0 +1,140 @@
+// Datastream overrides for Adobe Web SDK Inspector
+// Shared by the background service worker and the DevTools panel
+
+/**
+ * User-managed overrides, one per line: `<hostname> <fromConfigId> <toConfigId> [label]`
+ *
+ * Edge requests sent from pages on the hostname (`*` for any site) that
+ * carry configId=<fromConfigId> are redirected with configId=<toConfigId>
+ * by a declarativeNetRequest dynamic rule.
+ *
+ * Only the configId query parameter is rewritten. It is also where the Web
+ * SDK sends a datastreamId set in edgeConfigOverrides, so such requests are
+ * matched on the override's datastream. The body is left alone, including
+ * meta.sdkConfig.datastream.original, since declarativeNetRequest cannot
+ * change request bodies.
+ */
+self.DatastreamOverrides = (function DatastreamOverrides() {
+  // Dynamic rule IDs 1000-1999 belong to datastream overrides
+  const RULE_ID_BASE = 1000;
+  const MAX_RULES = 1000;
+  
+  /**
+   * Parse override lines
+   * @param {string[]} lines - The override lines
+   * @returns {Object} Object with overrides and errors ({ line, message }) arrays
+   */
+  function parse(lines) {
+    const overrides = [];
+    const errors = [];
+    
+    (Array.isArray(lines) ? lines : []).forEach((line, index) => {
+      const source = String(line).trim();
+      if (!source || source.startsWith('#')) return;
+      
+      const [hostname, fromConfigId, toConfigId, ...label] = source.split(/\s+/);
+      if (!toConfigId) {
+        errors.push({ line: index + 1, message: 'Expected "<hostname> <fromConfigId> <toConfigId> [label]"' });
+        return;
+      }
+      if (hostname !== '*' && !/^[a-z0-9.-]+$/i.test(hostname)) {
+        errors.push({ line: index + 1, message: `Invalid hostname "${hostname}"` });
+        return;
+      }
+      if (fromConfigId === toConfigId) {
+        errors.push({ line: index + 1, message: 'From and to datastreams are the same' });
+        return;
+      }
+      if (overrides.length >= MAX_RULES) {
+        errors.push({ line: index + 1, message: `At most ${MAX_RULES} overrides are supported` });
+        return;
+      }
+      
+      overrides.push({
+        source,
+        hostname: hostname.toLowerCase(),
+        fromConfigId,
+        toConfigId,
+        label: label.join(' ') || toConfigId
+      });
+    });
+    
+    return { overrides, errors };
+  }
+  
+  /**
+   * Build the declarativeNetRequest dynamic rules for overrides
+   * @param {Object[]} overrides - Parsed overrides
+   * @returns {Object[]} The dynamic rules
+   */
+  function toRules(overrides) {
+    return overrides.map((override, index) => {
+      const condition = {
+        regexFilter: `[?&]configId=${override.fromConfigId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(&|$)`,
+        resourceTypes: ['xmlhttprequest', 'ping', 'other']
+      };
+      if (override.hostname !== '*') {
+        condition.initiatorDomains = [override.hostname];
+      }
+      
+      return {
+        id: RULE_ID_BASE + index,
+        priority: 1,
+        action: {
+          type: 'redirect',
+          redirect: {
+            transform: {
+              queryTransform: {
+                addOrReplaceParams: [{ key: 'configId', value: override.toConfigId }]
+              }
+            }
+          }
+        },
+        condition
+      };
+    });
+  }
+  
+  /**
+   * Check whether a dynamic rule ID belongs to overrides
+   * @param {number} ruleId - The rule ID
+   * @returns {boolean} True for override rules
+   */
+  function isOverrideRuleId(ruleId) {
+    return ruleId >= RULE_ID_BASE && ruleId < RULE_ID_BASE + MAX_RULES;
+  }
+  
+  /**
+   * Find the override a request will be rewritten by
+   * @param {Object[]} overrides - Parsed overrides
+   * @param {string} url - The request URL
+   * @param {string} initiator - The origin of the page that sent the request
+   * @returns {Object|null} The matching override
+   */
+  function match(overrides, url, initiator) {
+    let configId;
+    let initiatorHost = '';
+    try {
+      configId = new URL(url).searchParams.get('configId');
+      initiatorHost = initiator ? new URL(initiator).hostname : '';
+    } catch (e) {
+      return null;
+    }
+    if (!configId) return null;
+    
+    return overrides.find(override =>
+      override.fromConfigId === configId &&
+      (override.hostname === '*' ||
+        initiatorHost === override.hostname ||
+        initiatorHost.endsWith(`.${override.hostname}`))
+    ) || null;
+  }
+  
+  return {
+    RULE_ID_BASE,
+    parse,
+    toRules,
+    isOverrideRuleId,
+    match
+  };
+})();
@@ -0,0 +1,761 @@
+// Page hooks for Adobe Web SDK Inspector
+// Runs in the page's main world and talks to the content script with window messages
+
+/**
+ * Applies fault rules that declarativeNetRequest cannot: delays, failures
+ * and anything matched on eventType. Rules and endpoint patterns arrive
+ * already compiled from the content script, since nothing extension-side
+ * can be loaded here without leaking globals into the page. Requests sent
+ * before the first config message arrives are left alone.
+ *
+ * The first config message also carries the content script's nonce. Later
+ * messages from the content script must carry the same one, and every
+ * message to it includes it; anything reported before the nonce arrives is
+ * queued until then. This only pairs the two scripts: window messages are
+ * visible to page scripts, which can read the nonce or send the first config
+ * themselves, so captures from the page are not authenticated.
+ *
+ * Also records alloy() command calls. `window.alloy` and every name pushed to
+ * `window.__alloyNS` are trapped with accessors, so both the base code stub
+ * and the instance the library swaps in later are wrapped. A monitor added
+ * to `window.__alloyMonitors` links commands to the Edge requests they send.
+ *
+ * Data layers are recorded once the config says the inspector is listening:
+ * pushes to `window.adobeDataLayer`, with the ACDL state after each push,
+ * and changes to `window.digitalData`. The page keeps the very objects it
+ * assigned, so digitalData is compared with its last snapshot on a timer
+ * instead of being wrapped.
+ *
+ * For the timeline, the navigation start, DOMContentLoaded, load and SPA
+ * route changes through the History API are reported as page markers.
+ */
+(function AdobeSDKInspectorPageHooks() {
+  const MESSAGE_SOURCE = 'adobe-websdk-inspector';
+  
+  const originalFetch = window.fetch;
+  const originalSendBeacon = navigator.sendBeacon;
+  
+  const config = {
+    rules: [],
+    endpoints: [],
+    listening: false
+  };
+  
+  // Commands whose promise settles only after their Edge request
+  const NETWORK_COMMANDS = {
+    sendEvent: /\/(interact|collect)\/?$/,
+    setConsent: /\/set-consent\/?$/,
+    getIdentity: /\/(interact|collect)\/?$/
+  };
+  const MAX_SERIALIZE_DEPTH = 8;
+  // How often digitalData is compared with its last snapshot while listening
+  const DIGITAL_DATA_POLL_MS = 500;
+  const MAX_QUEUED_MESSAGES = 500;
+  
+  const pageId = Math.random().toString(36).slice(2, 10);
+  let commandCounter = 0;
+  const pendingCommands = []; // commands with a network request not yet linked
+  const trappedInstances = new Set();
+  const wrappedInstances = new WeakSet();
+  const trackedNamespaces = new WeakSet();
+  
+  let dataLayerCounter = 0;
+  const trackedDataLayers = new WeakSet();
+  let dataLayersHooked = false;
+  let digitalDataSnapshot = null; // serialized digitalData as last reported
+  let digitalDataTimer = null;
+  
+  let extensionNonce = null; // from the first config message
+  const queuedMessages = []; // reported before the nonce arrived
+  
+  /**
+   * Get the target origin for window messages to the content script
+   * @returns {string} The page's origin, or '*' for opaque origins (file: and sandboxed pages), which cannot be targeted
+   */
+  function getPageOrigin() {
+    return /^https?:\/\//.test(window.origin) ? window.origin : '*';
+  }
+  
+  /**
+   * Post a message to the content script, or queue it until the nonce arrives
+   * @param {string} type - The message type
+   * @param {Object} payload - The message payload
+   */
+  function postToExtension(type, payload) {
+    if (extensionNonce === null && type !== 'pageReady') {
+      if (queuedMessages.length < MAX_QUEUED_MESSAGES) {
+        queuedMessages.push({ type, payload });
+      }
+      return;
+    }
+    window.postMessage({ source: MESSAGE_SOURCE, direction: 'to-extension', type, payload, nonce: extensionNonce }, getPageOrigin());
+  }
+  
+  /**
+   * Apply a config message from the content script
+   * @param {Object} payload - Compiled rules and endpoint patterns
+   */
+  function setConfig(payload) {
+    config.rules = (payload.rules || []).map(rule => ({
+      ...rule,
+      regExp: new RegExp(rule.regExpSource, rule.regExpFlags)
+    }));
+    config.endpoints = (payload.endpoints || []).map(endpoint => ({
+      hostRegExp: new RegExp(endpoint.hostSource, endpoint.hostFlags),
+      pathRegExp: new RegExp(endpoint.pathSource, endpoint.pathFlags)
+    }));
+    config.listening = !!payload.listening;
+    
+    if (config.listening && !dataLayersHooked) {
+      dataLayersHooked = true;
+      hookDataLayers();
+    }
+    setDigitalDataPolling(config.listening);
+  }
+  
+  /**
+   * Check whether a URL is an Edge call, mirroring EdgeEndpoints.match
+   * @param {string} url - The absolute request URL
+   * @returns {boolean} True for Edge calls
+   */
+  function isEdgeUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return false;
+    }
+    
+    if (!/\/v\d+\/(?:privacy\/)?(interact|collect|set-consent)\/?$/.test(parsed.pathname) && !parsed.searchParams.has('configId')) {
+      return false;
+    }
+    return config.endpoints.some(endpoint =>
+      endpoint.hostRegExp.test(parsed.hostname) && endpoint.pathRegExp.test(parsed.pathname)
+    );
+  }
+  
+  /**
+   * Get the event types from an Edge request body
+   * @param {string} body - The request body text
+   * @returns {string[]} The event types
+   */
+  function getEventTypes(body) {
+    try {
+      const payload = JSON.parse(body);
+      return (Array.isArray(payload.events) ? payload.events : [])
+        .map(event => event && event.xdm && event.xdm.eventType)
+        .filter(eventType => typeof eventType === 'string');
+    } catch (e) {
+      return [];
+    }
+  }
+  
+  /**
+   * Read a request body as text
+   * @param {*} body - A fetch or sendBeacon body
+   * @returns {Promise<string>} The body text, empty for unreadable bodies
+   */
+  function readBody(body) {
+    if (typeof body === 'string') return Promise.resolve(body);
+    if (body instanceof Blob) return body.text();
+    if (body instanceof URLSearchParams) return Promise.resolve(body.toString());
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+      return Promise.resolve(new TextDecoder().decode(body));
+    }
+    return Promise.resolve('');
+  }
+  
+  /**
+   * Find the first page rule that applies to a request
+   * @param {string} url - The absolute request URL
+   * @param {string[]} eventTypes - The event types in the body
+   * @returns {Object|null} The matching rule
+   */
+  function findRule(url, eventTypes) {
+    return config.rules.find(rule => rule.target === 'url'
+      ? rule.regExp.test(url)
+      : eventTypes.some(eventType => rule.regExp.test(eventType))
+    ) || null;
+  }
+  
+  /**
+   * Tell the extension a rule hit a request
+   * @param {Object} rule - The matching rule
+   * @param {string} url - The request URL
+   * @param {string[]} eventTypes - The event types in the body
+   * @param {string} transport - fetch or sendBeacon
+   */
+  function reportFault(rule, url, eventTypes, transport) {
+    let requestId = null;
+    try {
+      requestId = new URL(url).searchParams.get('requestId');
+    } catch (e) {
+      // Leave the request ID empty for unparsable URLs
+    }
+    
+    postToExtension('faultApplied', {
+      rule: rule.source,
+      action: rule.action,
+      value: rule.value,
+      url,
+      requestId,
+      eventTypes,
+      transport,
+      at: Date.now()
+    });
+  }
+  
+  /**
+   * Wait before sending a delayed request
+   * @param {number} ms - The delay in milliseconds
+   * @returns {Promise} Resolves after the delay
+   */
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+  
+  /**
+   * fetch wrapper that applies fault rules to Edge calls
+   * @param {RequestInfo} input - The resource
+   * @param {RequestInit} init - The request options
+   * @returns {Promise<Response>} The response
+   */
+  function faultFetch(input, init) {
+    if (config.rules.length === 0) {
+      return originalFetch.call(window, input, init);
+    }
+    
+    // Unparsable URLs are left to fetch, which rejects them the way the page expects
+    let url;
+    try {
+      url = new URL(input instanceof Request ? input.url : String(input), document.baseURI).href;
+    } catch (e) {
+      return originalFetch.call(window, input, init);
+    }
+    if (!isEdgeUrl(url)) {
+      return originalFetch.call(window, input, init);
+    }
+    
+    const body = init && init.body !== undefined
+      ? readBody(init.body)
+      : (input instanceof Request ? input.clone().text() : Promise.resolve(''));
+    
+    return body.catch(() => '').then((text) => {
+      const eventTypes = getEventTypes(text);
+      const rule = findRule(url, eventTypes);
+      if (!rule) return originalFetch.call(window, input, init);
+      
+      reportFault(rule, url, eventTypes, 'fetch');
+      
+      if (rule.action === 'delay') {
+        return wait(rule.value).then(() => originalFetch.call(window, input, init));
+      }
+      if (rule.action === 'fail') {
+        return new Response(JSON.stringify({
+          type: 'https://ns.adobe.com/aep/errors/inspector-fault',
+          status: rule.value,
+          title: `Failed by fault rule "${rule.source}"`
+        }), { status: rule.value, headers: { 'Content-Type': 'application/problem+json' } });
+      }
+      return Promise.reject(new TypeError('Failed to fetch'));
+    });
+  }
+  
+  /**
+   * sendBeacon wrapper that applies fault rules to Edge calls
+   *
+   * Beacons must answer synchronously, so a beacon whose body has to be read
+   * first is reported as queued and sent once the rules have been checked.
+   * Blocked and failed beacons are dropped, as the page never sees a response.
+   *
+   * @param {string} target - The beacon URL
+   * @param {*} data - The beacon body
+   * @returns {boolean} Whether the beacon was queued
+   */
+  function faultSendBeacon(target, data) {
+    if (config.rules.length === 0) {
+      return originalSendBeacon.call(navigator, target, data);
+    }
+    
+    let url;
+    try {
+      url = new URL(String(target), document.baseURI).href;
+    } catch (e) {
+      return originalSendBeacon.call(navigator, target, data);
+    }
+    if (!isEdgeUrl(url)) {
+      return originalSendBeacon.call(navigator, target, data);
+    }
+    
+    const apply = (eventTypes) => {
+      const rule = findRule(url, eventTypes);
+      if (!rule) return originalSendBeacon.call(navigator, target, data);
+      
+      reportFault(rule, url, eventTypes, 'sendBeacon');
+      if (rule.action === 'delay') {
+        setTimeout(() => originalSendBeacon.call(navigator, target, data), rule.value);
+      }
+      return true;
+    };
+    
+    // URL rules alone can be checked without reading the body
+    if (typeof data === 'string' || !config.rules.some(rule => rule.target === 'eventType')) {
+      return apply(typeof data === 'string' ? getEventTypes(data) : []);
+    }
+    
+    readBody(data).catch(() => '').then(text => apply(getEventTypes(text)));
+    return true;
+  }
+  
+  /**
+   * Copy a value into something postMessage can clone
+   *
+   * Functions, DOM nodes and cycles, common in configure options and
+   * command results, are replaced with short descriptions.
+   *
+   * @param {*} value - The value to copy
+   * @param {number} depth - The nesting depth of the value
+   * @param {Set} seen - Objects on the path to the value
+   * @returns {*} The copy
+   */
+  function serialize(value, depth = 0, seen = new Set()) {
+    if (value === null || value === undefined) return value;
+    if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+    if (typeof value !== 'object') return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean' ? value : String(value);
+    if (value instanceof Node) return `[${value.nodeName.toLowerCase()}${value.id ? `#${value.id}` : ''}]`;
+    if (value instanceof Error) return { name: value.name, message: value.message };
+    if (value instanceof Date) return value.toISOString();
+    if (seen.has(value)) return '[Circular]';
+    if (depth >= MAX_SERIALIZE_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+    
+    seen.add(value);
+    let copy;
+    if (Array.isArray(value)) {
+      copy = value.map(item => serialize(item, depth + 1, seen));
+    } else {
+      copy = {};
+      Object.keys(value).forEach(key => {
+        try {
+          copy[key] = serialize(value[key], depth + 1, seen);
+        } catch (e) {
+          copy[key] = '[Unreadable]';
+        }
+      });
+    }
+    seen.delete(value);
+    return copy;
+  }
+  
+  /**
+   * Record the start of an alloy() command
+   * @param {string} instanceName - The global name of the instance
+   * @param {string} commandName - The command, e.g. sendEvent
+   * @param {Object} options - The command options
+   * @returns {Object} The call, with the posted record and its start time
+   */
+  function startCommand(instanceName, commandName, options) {
+    const call = {
+      started: performance.now(),
+      eventType: options && (options.type || (options.xdm && options.xdm.eventType)) || null,
+      record: {
+        id: `${pageId}-${++commandCounter}`,
+        instance: instanceName,
+        command: String(commandName),
+        options: serialize(options),
+        status: 'pending',
+        startedAt: Date.now(),
+        durationMs: null,
+        result: null,
+        error: null,
+        requestId: null,
+        requestUrl: null,
+        responseStatus: null
+      }
+    };
+    
+    if (NETWORK_COMMANDS[call.record.command]) {
+      pendingCommands.push(call);
+    }
+    postToExtension('alloyCommand', call.record);
+    return call;
+  }
+  
+  /**
+   * Record the outcome of an alloy() command
+   * @param {Object} call - The call from startCommand
+   * @param {string} status - resolved or rejected
+   * @param {*} value - The result or the rejection reason
+   */
+  function settleCommand(call, status, value) {
+    const index = pendingCommands.indexOf(call);
+    if (index !== -1) pendingCommands.splice(index, 1);
+    
+    call.record.status = status;
+    call.record.durationMs = Math.round((performance.now() - call.started) * 10) / 10;
+    if (status === 'resolved') {
+      call.record.result = serialize(value);
+    } else {
+      call.record.error = value instanceof Error
+        ? { name: value.name, message: value.message }
+        : { name: 'Error', message: String(value) };
+    }
+    postToExtension('alloyCommand', call.record);
+  }
+  
+  /**
+   * Wrap an alloy instance so its commands are recorded
+   *
+   * A Proxy keeps properties such as the base code's `q` queue reachable,
+   * which the library reads when it replaces the stub.
+   *
+   * @param {string} instanceName - The global name of the instance
+   * @param {*} instance - The instance function
+   * @returns {*} The wrapped instance, or the value unchanged if it is not a function
+   */
+  function wrapInstance(instanceName, instance) {
+    if (typeof instance !== 'function' || wrappedInstances.has(instance)) return instance;
+    
+    const wrapped = new Proxy(instance, {
+      apply(target, thisArg, args) {
+        const call = startCommand(instanceName, args[0], args[1]);
+        let result;
+        try {
+          result = Reflect.apply(target, thisArg, args);
+        } catch (e) {
+          settleCommand(call, 'rejected', e);
+          throw e;
+        }
+        
+        if (!result || typeof result.then !== 'function') {
+          settleCommand(call, 'resolved', result);
+          return result;
+        }
+        // Hand back the chained promise so rejections the page ignores still surface
+        return result.then(
+          value => { settleCommand(call, 'resolved', value); return value; },
+          error => { settleCommand(call, 'rejected', error); throw error; }
+        );
+      }
+    });
+    wrappedInstances.add(wrapped);
+    return wrapped;
+  }
+  
+  /**
+   * Trap a global alloy instance name so every function assigned to it is wrapped
+   * @param {string} instanceName - The global name, e.g. alloy
+   */
+  function trapInstance(instanceName) {
+    if (typeof instanceName !== 'string' || trappedInstances.has(instanceName)) return;
+    trappedInstances.add(instanceName);
+    
+    const descriptor = Object.getOwnPropertyDescriptor(window, instanceName);
+    if (descriptor && !descriptor.configurable) return;
+    
+    let current = wrapInstance(instanceName, window[instanceName]);
+    Object.defineProperty(window, instanceName, {
+      configurable: true,
+      enumerable: true,
+      get: () => current,
+      set: (value) => {
+        current = wrapInstance(instanceName, value);
+      }
+    });
+  }
+  
+  /**
+   * Trap the names in an __alloyNS array, including ones pushed later
+   * @param {*} namespace - The __alloyNS value
+   * @returns {*} The same value
+   */
+  function trackNamespace(namespace) {
+    if (!Array.isArray(namespace) || trackedNamespaces.has(namespace)) return namespace;
+    trackedNamespaces.add(namespace);
+    
+    namespace.forEach(trapInstance);
+    const originalPush = namespace.push;
+    namespace.push = function push(...names) {
+      names.forEach(trapInstance);
+      return originalPush.apply(this, names);
+    };
+    return namespace;
+  }
+  
+  /**
+   * Link a pending command to the Edge request alloy is about to send
+   *
+   * Commands are matched on instance and endpoint, preferring one whose
+   * event type is in the request, then the oldest.
+   *
+   * @param {Object} request - instanceName, requestId, url and payload from alloy
+   */
+  function linkRequest(request) {
+    let path = '';
+    let eventTypes = [];
+    try {
+      path = new URL(request.url, document.baseURI).pathname;
+      eventTypes = getEventTypes(typeof request.payload === 'string' ? request.payload : JSON.stringify(request.payload));
+    } catch (e) {
+      // Match on instance and order alone
+    }
+    
+    const candidates = pendingCommands.filter(call =>
+      !call.record.requestId &&
+      (!request.instanceName || call.record.instance === request.instanceName) &&
+      NETWORK_COMMANDS[call.record.command].test(path)
+    );
+    const call = candidates.find(candidate => candidate.eventType && eventTypes.includes(candidate.eventType)) || candidates[0];
+    if (!call) return;
+    
+    call.record.requestId = request.requestId || null;
+    call.record.requestUrl = request.url || null;
+    postToExtension('alloyCommand', call.record);
+  }
+  
+  // Registered in __alloyMonitors; alloy calls these with one details object
+  const commandMonitor = {
+    onBeforeNetworkRequest(details) {
+      if (details) linkRequest(details);
+    },
+    onNetworkResponse(details) {
+      const call = details && pendingCommands.find(candidate => candidate.record.requestId === details.requestId);
+      if (!call) return;
+      call.record.responseStatus = details.status === undefined ? null : details.status;
+      postToExtension('alloyCommand', call.record);
+    }
+  };
+  
+  /**
+   * Trap a global array so it always holds the given item, even when the page replaces it
+   * @param {string} name - The global name, e.g. __alloyMonitors
+   * @param {*} item - The item to keep in the array
+   */
+  function trapMonitorList(name, item) {
+    let list = Array.isArray(window[name]) ? window[name] : [];
+    if (!list.includes(item)) list.push(item);
+    
+    Object.defineProperty(window, name, {
+      configurable: true,
+      enumerable: true,
+      get: () => list,
+      set: (value) => {
+        list = Array.isArray(value) ? value : [];
+        if (!list.includes(item)) list.push(item);
+      }
+    });
+  }
+  
+  /**
+   * Start recording alloy() commands for the default and any named instances
+   */
+  function hookAlloy() {
+    try {
+      let namespace = trackNamespace(window.__alloyNS);
+      Object.defineProperty(window, '__alloyNS', {
+        configurable: true,
+        enumerable: true,
+        get: () => namespace,
+        set: (value) => {
+          namespace = trackNamespace(value);
+        }
+      });
+      trapInstance('alloy');
+      trapMonitorList('__alloyMonitors', commandMonitor);
+    } catch (e) {
+      // Globals the page made non-configurable stay unhooked
+    }
+  }
+  
+  /**
+   * Tell the extension about a data layer push or change
+   * @param {string} source - adobeDataLayer or digitalData
+   * @param {string} kind - push, assign or change
+   * @param {number} at - When it happened
+   * @param {*} data - The pushed or assigned value
+   * @param {*} snapshot - The data layer state afterwards, if known
+   */
+  function reportDataLayer(source, kind, at, data, snapshot) {
+    postToExtension('dataLayerEvent', {
+      id: `${pageId}-dl-${++dataLayerCounter}`,
+      source,
+      kind,
+      at,
+      data: serialize(data),
+      state: serialize(snapshot)
+    });
+  }
+  
+  /**
+   * Record pushes to an adobeDataLayer array, including after ACDL replaces its push method
+   * @param {*} dataLayer - The adobeDataLayer value
+   * @returns {*} The same value
+   */
+  function trackDataLayer(dataLayer) {
+    if (!Array.isArray(dataLayer) || trackedDataLayers.has(dataLayer)) return dataLayer;
+    trackedDataLayers.add(dataLayer);
+    
+    const getState = () => (typeof dataLayer.getState === 'function' ? dataLayer.getState() : null);
+    dataLayer.forEach(item => reportDataLayer('adobeDataLayer', 'push', Date.now(), item, null));
+    
+    let currentPush = dataLayer.push;
+    const push = function push(...items) {
+      // Taken before pushing, as Tags rules run during the push
+      const at = Date.now();
+      const result = currentPush.apply(this, items);
+      if (!config.listening) return result;
+      let snapshot = null;
+      try {
+        snapshot = getState();
+      } catch (e) {
+        // Report the push without a state
+      }
+      reportDataLayer('adobeDataLayer', 'push', at, items.length === 1 ? items[0] : items, snapshot);
+      return result;
+    };
+    Object.defineProperty(dataLayer, 'push', {
+      configurable: true,
+      enumerable: false,
+      get: () => push,
+      set: (value) => {
+        currentPush = value;
+      }
+    });
+    return dataLayer;
+  }
+  
+  /**
+   * Serialize digitalData for comparison
+   * @returns {string} The snapshot
+   */
+  function snapshotDigitalData() {
+    try {
+      return JSON.stringify(serialize(window.digitalData)) || '';
+    } catch (e) {
+      return '';
+    }
+  }
+  
+  /**
+   * Report digitalData if it changed since the last snapshot
+   */
+  function checkDigitalData() {
+    const snapshot = snapshotDigitalData();
+    if (snapshot === digitalDataSnapshot) return;
+    digitalDataSnapshot = snapshot;
+    reportDataLayer('digitalData', 'change', Date.now(), null, window.digitalData);
+  }
+  
+  /**
+   * Start or stop comparing digitalData with its last snapshot
+   * @param {boolean} enabled - Whether to poll
+   */
+  function setDigitalDataPolling(enabled) {
+    if (enabled && digitalDataTimer === null) {
+      // Changes made while not listening are not reported as one
+      digitalDataSnapshot = snapshotDigitalData();
+      digitalDataTimer = setInterval(checkDigitalData, DIGITAL_DATA_POLL_MS);
+    } else if (!enabled && digitalDataTimer !== null) {
+      clearInterval(digitalDataTimer);
+      digitalDataTimer = null;
+    }
+  }
+  
+  /**
+   * Start recording adobeDataLayer pushes and digitalData changes
+   */
+  function hookDataLayers() {
+    try {
+      let dataLayer = trackDataLayer(window.adobeDataLayer);
+      Object.defineProperty(window, 'adobeDataLayer', {
+        configurable: true,
+        enumerable: true,
+        get: () => dataLayer,
+        set: (value) => {
+          dataLayer = trackDataLayer(value);
+        }
+      });
+      
+      // The getter returns exactly what was assigned, so the page sees no difference
+      let digitalData = window.digitalData;
+      Object.defineProperty(window, 'digitalData', {
+        configurable: true,
+        enumerable: true,
+        get: () => digitalData,
+        set: (value) => {
+          digitalData = value;
+          if (!config.listening) return;
+          digitalDataSnapshot = snapshotDigitalData();
+          reportDataLayer('digitalData', 'assign', Date.now(), null, value);
+        }
+      });
+    } catch (e) {
+      // Globals the page made non-configurable stay unhooked
+    }
+  }
+  
+  /**
+   * Tell the extension about a navigation, load or route change
+   * @param {string} kind - navigation, domContentLoaded, load or route
+   * @param {number} at - When it happened
+   * @param {string} detail - How a route changed, e.g. pushState
+   */
+  function reportMarker(kind, at, detail = null) {
+    postToExtension('pageMarker', { kind, at, url: location.href, detail });
+  }
+  
+  /**
+   * Start reporting page markers
+   */
+  function hookNavigation() {
+    reportMarker('navigation', performance.timeOrigin);
+    document.addEventListener('DOMContentLoaded', () => reportMarker('domContentLoaded', Date.now()));
+    window.addEventListener('load', () => reportMarker('load', Date.now()));
+    
+    ['pushState', 'replaceState'].forEach(method => {
+      const original = history[method];
+      if (typeof original !== 'function') return;
+      history[method] = function historyMethod(...args) {
+        const previousUrl = location.href;
+        const result = original.apply(this, args);
+        if (location.href !== previousUrl) reportMarker('route', Date.now(), method);
+        return result;
+      };
+    });
+    window.addEventListener('popstate', () => reportMarker('route', Date.now(), 'popstate'));
+    window.addEventListener('hashchange', () => reportMarker('route', Date.now(), 'hashchange'));
+  }
+  
+  /**
+   * Handle window messages from the content script
+   * @param {MessageEvent} event - The message event
+   */
+  function handleMessage(event) {
+    const message = event.data;
+    if (event.source !== window || !message || message.source !== MESSAGE_SOURCE || message.direction !== 'to-page') {
+      return;
+    }
+    
+    if (extensionNonce === null && message.type === 'config' && typeof message.nonce === 'string') {
+      extensionNonce = message.nonce;
+      queuedMessages.splice(0).forEach(queued => postToExtension(queued.type, queued.payload));
+    }
+    if (message.nonce !== extensionNonce) return;
+    
+    if (message.type === 'config') {
+      setConfig(message.payload || {});
+    }
+  }
+  
+  if (typeof originalFetch === 'function') {
+    window.fetch = faultFetch;
+  }
+  if (typeof originalSendBeacon === 'function') {
+    navigator.sendBeacon = faultSendBeacon;
+  }
+  
+  hookAlloy();
+  hookNavigation();
+  
+  window.addEventListener('message', handleMessage);
+  postToExtension('pageReady', {});
+})();
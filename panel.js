@@ -7,9 +7,17 @@
 (function AdobeSDKInspectorPanel() {
   // Configuration
   const CONFIG = {
-    MAX_RESULTS: 20,
     MAX_RECONNECT_ATTEMPTS: 5,
-    DEFAULT_EXTENSION_VERSION: '1.0.5'
+    MAX_CACHED_RESPONSES: 100,
+    MAX_ALLOY_COMMANDS: 500,
+    // How far past a command settling its request may still be captured, for linking without alloy monitors
+    COMMAND_MATCH_SLACK_MS: 1000,
+    MAX_DATA_LAYER_ENTRIES: 200,
+    // How long after a data layer push an Edge event still counts as caused by it
+    DATA_LAYER_CAUSE_WINDOW_MS: 2000,
+    DEFAULT_EXTENSION_VERSION: '1.0.5',
+    // User-managed settings that survive the storage reset on panel load
+    PRESERVED_STORAGE_KEYS: ['endpointPatterns', 'activeSessionId', 'retention', 'validationRules', 'sandboxDatastreams', 'datastreamOverrides', 'faultRules']
   };
   
   // State management
@@ -18,7 +26,47 @@
     targetPaths: [],
     debugMode: true,
     connectionAttempts: 0,
-    backgroundPort: null
+    backgroundPort: null,
+    responses: new Map(), // Edge response bodies keyed by request ID
+    inspectedTabId: chrome.devtools.inspectedWindow.tabId,
+    showAllTabs: false,
+    endpointPatterns: [...EdgeEndpoints.DEFAULT_PATTERNS],
+    compiledEndpointPatterns: EdgeEndpoints.parse(EdgeEndpoints.DEFAULT_PATTERNS).patterns,
+    resultRecords: new Map(), // Results keyed by result ID, oldest first
+    resultsByRequestId: new Map(), // First result of each Edge request, keyed by request ID
+    resultCounter: 0,
+    history: new Map(), // Results, decode errors and data layer entries keyed for the results list, oldest first
+    decodeErrorCounter: 0,
+    resultsList: null, // Virtual list over the history, created in init()
+    diffSelection: [], // Result IDs checked for comparison
+    faultHits: new Map(), // Fault reports keyed by request ID, to label results that arrive later
+    identity: IdentityTracker.createState(),
+    identityCookies: [], // Adobe cookies last read from the inspected page
+    consent: createConsentState(),
+    propositions: PropositionTracker.createState(),
+    alloyCommands: new Map(), // alloy() commands from the page keyed by command ID, in call order
+    commandsByRequestId: new Map(), // Command IDs keyed by the request ID an alloy monitor linked
+    commandResultIds: new Map(), // Result ID each command sent, keyed by command ID
+    dataLayerEntries: [], // adobeDataLayer and digitalData entries, oldest first
+    dataLayerStates: {}, // Last known state per data layer
+    timeline: Timeline.createState(),
+    timelineSession: null, // Index of the shown page session, null for the latest
+    timelineZoom: null, // { from, to } offsets, null for the whole session
+    filter: {
+      conditions: [],
+      statusGroups: [...ResultFilter.STATUS_GROUPS],
+      validationStatuses: [...ResultFilter.VALIDATION_STATUSES]
+    },
+    activeView: 'resultsView'
+  };
+  
+  // Edge response handle types we break down in the Response Data section
+  const RESPONSE_HANDLE_TYPES = {
+    'identity:result': 'Identity',
+    'personalization:decisions': 'Personalization Decisions',
+    'locationHint:result': 'Location Hints',
+    'state:store': 'State Store',
+    'activation:push': 'Activation Push'
   };
   
   // DOM element references
@@ -27,7 +75,53 @@
     pathsInput: document.getElementById('pathsInput'),
     saveButton: document.getElementById('saveButton'),
     statusElement: document.getElementById('status'),
-    resultsContainer: document.getElementById('results')
+    resultsContainer: document.getElementById('results'),
+    diffView: document.getElementById('diffView'),
+    replayView: document.getElementById('replayView'),
+    compareButton: document.getElementById('compareButton'),
+    viewTabs: document.querySelectorAll('.view-tab'),
+    identityContent: document.getElementById('identityContent'),
+    currentEcid: document.getElementById('currentEcid'),
+    refreshCookiesButton: document.getElementById('refreshCookiesButton'),
+    consentContent: document.getElementById('consentContent'),
+    currentConsent: document.getElementById('currentConsent'),
+    personalizationContent: document.getElementById('personalizationContent'),
+    undisplayedOnlyToggle: document.getElementById('undisplayedOnlyToggle'),
+    commandsContent: document.getElementById('commandsContent'),
+    timelineContent: document.getElementById('timelineContent'),
+    timelineSessionSelect: document.getElementById('timelineSessionSelect'),
+    timelineRange: document.getElementById('timelineRange'),
+    resetZoomButton: document.getElementById('resetZoomButton'),
+    filterInput: document.getElementById('filterInput'),
+    filterToggles: document.querySelectorAll('.filter-toggle'),
+    filterCount: document.getElementById('filterCount'),
+    allTabsToggle: document.getElementById('allTabsToggle'),
+    sessionSelect: document.getElementById('sessionSelect'),
+    sessionNameInput: document.getElementById('sessionNameInput'),
+    newSessionButton: document.getElementById('newSessionButton'),
+    loadSessionButton: document.getElementById('loadSessionButton'),
+    deleteSessionButton: document.getElementById('deleteSessionButton'),
+    exportHarButton: document.getElementById('exportHarButton'),
+    exportJsonButton: document.getElementById('exportJsonButton'),
+    exportCsvButton: document.getElementById('exportCsvButton'),
+    harFileInput: document.getElementById('harFileInput'),
+    retentionDaysInput: document.getElementById('retentionDaysInput'),
+    retentionCountInput: document.getElementById('retentionCountInput'),
+    saveRetentionButton: document.getElementById('saveRetentionButton'),
+    endpointsInput: document.getElementById('endpointsInput'),
+    saveEndpointsButton: document.getElementById('saveEndpointsButton'),
+    overridesInput: document.getElementById('overridesInput'),
+    saveOverridesButton: document.getElementById('saveOverridesButton'),
+    activeOverrides: document.getElementById('activeOverrides'),
+    faultsInput: document.getElementById('faultsInput'),
+    saveFaultsButton: document.getElementById('saveFaultsButton'),
+    faultHits: document.getElementById('faultHits'),
+    rulesInput: document.getElementById('rulesInput'),
+    saveRulesButton: document.getElementById('saveRulesButton'),
+    schemaFileInput: document.getElementById('schemaFileInput'),
+    schemaList: document.getElementById('schemaList'),
+    sandboxInput: document.getElementById('sandboxInput'),
+    saveSandboxesButton: document.getElementById('saveSandboxesButton')
   };
   
   // Create optional controls
@@ -139,16 +233,24 @@
       state.backgroundPort = chrome.runtime.connect({ name: 'devtools-panel' });
       
       state.backgroundPort.onMessage.addListener((message) => {
-        if (message.action === 'displayResults') {
-          addResult(message.results, message.url, message.requestInfo, message.fullXdm);
+        if (message.action === 'streamReplay') {
+          // The background replays the tab stream whenever we (re)subscribe
+          clearResults();
+          (message.messages || []).forEach(handleStreamMessage);
         } else if (message.action === 'statusUpdate') {
           updateStatus(message.status);
+        } else {
+          handleStreamMessage(message);
         }
       });
       
       // Send init message to let background know we're connected
       try {
-        state.backgroundPort.postMessage({ action: 'devtools-init' });
+        state.backgroundPort.postMessage({
+          action: 'devtools-init',
+          tabId: state.inspectedTabId,
+          allTabs: state.showAllTabs
+        });
       } catch (e) {
         console.error('Error sending init message via port:', e);
       }
@@ -181,6 +283,61 @@
     }
   }
   
+  /**
+   * Handle a result message from a tab event stream
+   * @param {Object} message - The message from the background script
+   */
+  function handleStreamMessage(message) {
+    // Only show the inspected tab unless all tabs are requested
+    if (!state.showAllTabs && message.tabId !== undefined && message.tabId !== state.inspectedTabId) {
+      return;
+    }
+    
+    displayMessage(message);
+  }
+  
+  /**
+   * Show a displayResults or decodeError message in the results list
+   * @param {Object} message - The message from the background
+   */
+  function displayMessage(message) {
+    trackTimeline(message);
+    
+    if (message.action === 'displayResults') {
+      addResult(message.results, message.url, { ...message.requestInfo, tabId: message.tabId }, message.fullXdm);
+    } else if (message.action === 'decodeError') {
+      addDecodeError(message.url, { ...message.requestInfo, tabId: message.tabId }, message.error);
+    } else if (message.action === 'faultApplied' && message.fault) {
+      addFaultHit(message.fault);
+    } else if (message.action === 'alloyCommand' && message.command) {
+      trackAlloyCommand(message.command);
+    } else if (message.action === 'dataLayerEvent' && message.entry) {
+      addDataLayerEntry(message.entry);
+    } else if (message.action === 'requestTiming' && message.timing) {
+      updateResultStatus(message.timing);
+    }
+  }
+  
+  /**
+   * Switch between the inspected tab and all tabs
+   */
+  function toggleAllTabs() {
+    state.showAllTabs = !!elements.allTabsToggle.checked;
+    
+    try {
+      if (state.backgroundPort) {
+        state.backgroundPort.postMessage({
+          action: 'subscribe',
+          tabId: state.inspectedTabId,
+          allTabs: state.showAllTabs
+        });
+      }
+      updateStatus(state.showAllTabs ? 'Showing all tabs' : 'Showing inspected tab only');
+    } catch (e) {
+      console.error('Error changing tab subscription:', e);
+    }
+  }
+  
   /**
    * Initialize UI based on saved state
    */
@@ -260,6 +417,26 @@
           state.isListening = response.isListening;
           updateToggleButton();
           
+          if (Array.isArray(response.endpointPatterns)) {
+            setEndpointPatterns(response.endpointPatterns);
+          }
+          
+          if (response.retention) {
+            setRetentionInputs(response.retention);
+          }
+          
+          if (Array.isArray(response.datastreamOverrides)) {
+            setDatastreamOverrides(response.datastreamOverrides);
+          }
+          
+          if (Array.isArray(response.validationRules)) {
+            setValidationRules(response.validationRules);
+          }
+          
+          if (Array.isArray(response.faultRules)) {
+            setFaultRules(response.faultRules);
+          }
+          
           // Only update paths if we have a good response and if the UI needs an update
           if (response.targetPaths && Array.isArray(response.targetPaths) && 
               response.targetPaths.length > 0 && shouldUpdatePaths) {
@@ -317,10 +494,30 @@
     }
   }
   
+  /**
+   * Check the path syntax of every line and show the first error
+   * @returns {boolean} True if every path is valid
+   */
+  function validatePaths() {
+    if (!elements.pathsInput) return true;
+    
+    const errors = PathExpression.validateLines(elements.pathsInput.value.split('\n'));
+    
+    elements.pathsInput.classList.toggle('invalid', errors.length > 0);
+    if (errors.length > 0) {
+      updateStatus(`Path error on line ${errors[0].line}: ${errors[0].message}`);
+    }
+    
+    return errors.length === 0;
+  }
+  
   /**
    * Save target paths
    */
   function savePaths() {
+    // Refuse to save paths the background could never match
+    if (!validatePaths()) return;
+    
     // Our core forced paths - these will ALWAYS be included
     const forcedPaths = getDefaultPaths();
     
@@ -359,334 +556,3109 @@
   }
   
   /**
-   * Reset paths to suggested defaults
+   * Apply endpoint patterns to the panel state and UI
+   * @param {string[]} lines - The endpoint pattern lines
    */
-  function resetPathsToDefaults() {
-    const suggestedPaths = getDefaultPaths();
+  function setEndpointPatterns(lines) {
+    state.endpointPatterns = lines;
+    state.compiledEndpointPatterns = EdgeEndpoints.parse(lines).patterns;
     
-    state.targetPaths = suggestedPaths;
-    elements.pathsInput.value = state.targetPaths.join('\n');
-    
-    // Save to storage and notify background script
-    chrome.storage.local.set({ targetPaths: state.targetPaths });
-    sendPathsToBackground(state.targetPaths, false);
-    
-    updateStatus(`Reset to default paths`);
+    if (elements.endpointsInput) {
+      elements.endpointsInput.value = lines.join('\n');
+    }
   }
   
   /**
-   * Add a new result to the results container
-   * @param {Object} resultData - The data to display
-   * @param {string} url - The request URL
-   * @param {Object} requestInfo - Information about the request
-   * @param {Object} fullXdm - The complete XDM object
+   * Save the Edge endpoint patterns
    */
-  function addResult(resultData, url, requestInfo = {}, fullXdm = null) {
-    if (!elements.resultsContainer || !resultData) {
-      console.error("Cannot add result: missing container or data", !!elements.resultsContainer, !!resultData);
+  function saveEndpointPatterns() {
+    const lines = elements.endpointsInput.value.split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0);
+    
+    // Report syntax errors before handing the list to the background
+    const { errors } = EdgeEndpoints.parse(lines);
+    if (errors.length > 0) {
+      updateStatus(`Endpoint pattern error on line ${errors[0].line}: ${errors[0].message}`);
       return;
     }
     
-    if (state.debugMode) {
-      console.log("[Panel] Adding result:", 
-        { 
-          resultKeys: Object.keys(resultData), 
-          url, 
-          fullXdmAvailable: !!fullXdm,
-          requestInfo: requestInfo
+    try {
+      chrome.runtime.sendMessage({
+        action: 'updateEndpointPatterns',
+        patterns: lines
+      }, (response) => {
+        if (response && response.status === 'success') {
+          setEndpointPatterns(response.endpointPatterns);
+          updateStatus(`Saved ${response.endpointPatterns.length} endpoint pattern(s)`);
         }
-      );
+      });
+    } catch (e) {
+      console.error('Error sending endpoint patterns to background:', e);
     }
-    
-    // Clear "no results" message if present
-    const noResultsElement = elements.resultsContainer.querySelector('.no-results');
-    if (noResultsElement) {
-      elements.resultsContainer.removeChild(noResultsElement);
+  }
+  
+  /**
+   * Show datastream overrides in the editor and the active list
+   * @param {string[]} lines - The override lines
+   */
+  function setDatastreamOverrides(lines) {
+    if (elements.overridesInput) {
+      elements.overridesInput.value = lines.join('\n');
+    }
+    if (!elements.activeOverrides) return;
+    
+    const { overrides } = DatastreamOverrides.parse(lines);
+    elements.activeOverrides.innerHTML = overrides.length === 0
+      ? 'No active overrides.'
+      : overrides.map(override => `
+        <div class="override-row">
+          <span class="override-label">${escapeHtml(override.label)}</span>
+          ${escapeHtml(override.hostname)}: <code>${escapeHtml(override.fromConfigId)}</code> → <code>${escapeHtml(override.toConfigId)}</code>
+        </div>
+      `).join('');
+  }
+  
+  /**
+   * Save the datastream overrides
+   */
+  function saveDatastreamOverrides() {
+    const lines = elements.overridesInput.value.split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0);
+    
+    const { errors } = DatastreamOverrides.parse(lines);
+    if (errors.length > 0) {
+      updateStatus(`Override error on line ${errors[0].line}: ${errors[0].message}`);
+      return;
     }
     
-    // Create and configure a new result element
-    const resultElement = document.createElement('div');
-    resultElement.className = 'result';
-    
-    // Get the event type - this is specific to Adobe Web SDK
-    const eventType = resultData.eventType || 'unknown';
-    
-    // Determine badge color based on event type
-    const badgeColor = getBadgeColor(eventType);
-    
-    // Separate simple and complex values
-    const { simpleValues, complexValues } = categorizeValues(resultData);
-    
-    // Try to extract ECID from the fullXdm object if available
     try {
-      if (fullXdm && fullXdm.handle && Array.isArray(fullXdm.handle)) {
-        for (const item of fullXdm.handle) {
-          if (item && item.type === 'identity:result' && item.payload && 
-              item.payload.identity && item.payload.identity.namespace && 
-              item.payload.identity.namespace.code === 'ECID') {
-            
-            simpleValues['ECID'] = item.payload.identity.id;
-            
-            if (state.debugMode) {
-              console.log("[Panel] ECID found:", simpleValues['ECID']);
-            }
-            break;
-          }
+      chrome.runtime.sendMessage({ action: 'updateDatastreamOverrides', overrides: lines }, (response) => {
+        if (response && response.status === 'success') {
+          setDatastreamOverrides(response.datastreamOverrides);
+          updateStatus(`${response.datastreamOverrides.length} datastream override(s) active`);
+        } else {
+          updateStatus(`Error applying overrides: ${response ? response.message : 'no response'}`);
         }
-      }
+      });
     } catch (e) {
-      if (state.debugMode) {
-        console.error("[Panel] Error extracting ECID:", e);
-      }
+      console.error('Error sending datastream overrides to background:', e);
     }
-    
-    // Create HTML elements
-    appendHeader(resultElement, eventType, url, badgeColor);
-    appendSimpleValuesTable(resultElement, simpleValues);
-    appendComplexValues(resultElement, complexValues);
-    appendFullXdm(resultElement, fullXdm);
-    appendResponseData(resultElement, requestInfo);
-    
-    // Add the result to the container
-    elements.resultsContainer.prepend(resultElement);
-    
-    // Limit the number of displayed results
-    limitResultsCount();
   }
   
   /**
-   * Get appropriate badge color for event type
-   * @param {string} eventType - The event type
-   * @returns {string} The color code
+   * Show fault rules in the editor
+   * @param {string[]} lines - The fault rule lines
    */
-  function getBadgeColor(eventType) {
-    if (eventType === 'web.webpagedetails.pageViews') {
-      return '#9C27B0'; // Purple for page views
-    } else if (eventType.includes('click') || eventType.includes('link')) {
-      return '#FF9800'; // Orange for clicks/links
+  function setFaultRules(lines) {
+    if (elements.faultsInput) {
+      elements.faultsInput.value = lines.join('\n');
     }
-    return '#4CAF50'; // Default green
   }
   
   /**
-   * Categorize values into simple and complex
-   * @param {Object} data - The data to categorize
-   * @returns {Object} Object with simpleValues and complexValues
+   * Save the fault rules
    */
-  function categorizeValues(data) {
-    const simpleValues = {};
-    const complexValues = {};
-    
-    Object.keys(data).forEach(key => {
-      const value = data[key];
-      if (value !== null && typeof value === 'object') {
-        complexValues[key] = value;
-      } else {
-        simpleValues[key] = value;
-      }
-    });
+  function saveFaultRules() {
+    const lines = elements.faultsInput.value.split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0);
+    
+    const { errors } = FaultRules.parse(lines);
+    if (errors.length > 0) {
+      updateStatus(`Fault rule error on line ${errors[0].line}: ${errors[0].message}`);
+      return;
+    }
     
-    return { simpleValues, complexValues };
+    try {
+      chrome.runtime.sendMessage({ action: 'updateFaultRules', faultRules: lines }, (response) => {
+        if (response && response.status === 'success') {
+          setFaultRules(response.faultRules);
+          updateStatus(`${response.faultRules.length} fault rule(s) active - reload the page to apply them from the start`);
+        } else {
+          updateStatus(`Error applying fault rules: ${response ? response.message : 'no response'}`);
+        }
+      });
+    } catch (e) {
+      console.error('Error sending fault rules to background:', e);
+    }
   }
   
   /**
-   * Append header section to result element
-   * @param {HTMLElement} resultElement - The element to append to
-   * @param {string} eventType - The event type
-   * @param {string} url - The request URL
-   * @param {string} badgeColor - The badge color
+   * Describe what a fault rule did to a request
+   * @param {Object} fault - The fault report
+   * @returns {string} e.g. "delayed 4000ms"
    */
-  function appendHeader(resultElement, eventType, url, badgeColor) {
-    const urlDisplay = url ? new URL(url).pathname : 'No URL';
-    
-    const headerDiv = document.createElement('div');
-    headerDiv.className = 'result-header';
-    headerDiv.innerHTML = `
-      <div class="event-type-badge" style="background-color: ${badgeColor};">${eventType}</div>
-      <div class="result-url" title="${url || 'No URL'}">${urlDisplay}</div>
-      <div class="timestamp">${new Date().toLocaleTimeString()}</div>
-    `;
-    
-    resultElement.appendChild(headerDiv);
+  function describeFault(fault) {
+    if (fault.action === 'delay') return `delayed ${fault.value}ms`;
+    if (fault.action === 'fail') return `failed with ${fault.value}`;
+    return 'blocked';
   }
   
   /**
-   * Append simple values table to result element
-   * @param {HTMLElement} resultElement - The element to append to
-   * @param {Object} simpleValues - The simple values to display
+   * List a request a fault rule was applied to and label its results
+   * @param {Object} fault - The fault report from the background
    */
-  function appendSimpleValuesTable(resultElement, simpleValues) {
-    const detailsDiv = document.createElement('div');
-    detailsDiv.className = 'result-details';
-    
-    const table = document.createElement('table');
-    table.className = 'pretty-table';
-    
-    const thead = document.createElement('thead');
-    thead.innerHTML = `
-      <tr>
-        <th>Path</th>
-        <th>Value</th>
-      </tr>
-    `;
-    table.appendChild(thead);
+  function addFaultHit(fault) {
+    if (fault.requestId) {
+      state.faultHits.set(fault.requestId, fault);
+      document.querySelectorAll('.result[data-request-id]').forEach(resultElement => {
+        if (resultElement.dataset.requestId !== fault.requestId) return;
+        const header = resultElement.querySelector('.result-header');
+        if (header && !header.querySelector('.fault-label')) {
+          header.querySelector('.timestamp').insertAdjacentHTML('beforebegin', getFaultLabel({ requestId: fault.requestId }));
+        }
+      });
+    }
     
-    const tbody = document.createElement('tbody');
+    if (!elements.faultHits) return;
+    if (!elements.faultHits.querySelector('.fault-hit')) {
+      elements.faultHits.innerHTML = '';
+    }
     
-    // Add alternating row colors
-    let rowIndex = 0;
-    Object.keys(simpleValues).forEach(key => {
-      const row = document.createElement('tr');
-      if (rowIndex % 2 === 1) {
-        row.className = 'alt-row';
-      }
-      row.innerHTML = `
-        <td>${key}</td>
-        <td>${simpleValues[key]}</td>
-      `;
-      tbody.appendChild(row);
-      rowIndex++;
-    });
+    let path = fault.url;
+    try {
+      path = new URL(fault.url).pathname;
+    } catch (e) {
+      // Show the raw URL when it cannot be parsed
+    }
     
-    table.appendChild(tbody);
-    detailsDiv.appendChild(table);
-    resultElement.appendChild(detailsDiv);
+    const row = document.createElement('div');
+    row.className = 'fault-hit';
+    row.innerHTML = `
+      <span class="fault-label">${escapeHtml(describeFault(fault))}</span>
+      ${escapeHtml(new Date(fault.at || Date.now()).toLocaleTimeString())}
+      ${escapeHtml(fault.eventTypes.length > 0 ? fault.eventTypes.join(', ') : 'events unknown')}
+      via ${escapeHtml(fault.transport || 'unknown')} to <span title="${escapeHtml(fault.url)}">${escapeHtml(path)}</span>
+      - rule: <code>${escapeHtml(fault.rule || 'none - blocked by the browser or another extension')}</code>
+    `;
+    elements.faultHits.prepend(row);
   }
   
   /**
-   * Append complex values to result element
-   * @param {HTMLElement} resultElement - The element to append to
-   * @param {Object} complexValues - The complex values to display
+   * Build the label for results whose request was hit by a fault rule
+   * @param {Object} requestInfo - Information about the request
+   * @returns {string} The label markup, or an empty string
    */
-  function appendComplexValues(resultElement, complexValues) {
-    if (Object.keys(complexValues).length === 0) return;
+  function getFaultLabel(requestInfo) {
+    const fault = requestInfo && requestInfo.requestId && state.faultHits.get(requestInfo.requestId);
+    if (!fault) return '';
     
-    const complexContainer = document.createElement('div');
-    complexContainer.className = 'collapsible-container';
-    
-    const complexHeader = document.createElement('div');
-    complexHeader.className = 'collapsible-header complex-header';
-    complexHeader.textContent = `Complex Field Details`;
-    
-    const complexContent = document.createElement('div');
-    complexContent.className = 'collapsible-content';
-    complexContent.style.display = 'none'; // Initially hidden
-    
-    Object.keys(complexValues).forEach(key => {
-      const fieldValue = document.createElement('pre');
-      fieldValue.className = 'complex-field-value';
-      
-      try {
-        fieldValue.textContent = `${key} details:\n${JSON.stringify(complexValues[key], null, 2)}`;
-      } catch (e) {
-        fieldValue.textContent = `${key} details:\nError formatting complex value: ${e.message}`;
-      }
-      
-      complexContent.appendChild(fieldValue);
-    });
-    
-    // Add event listener to toggle visibility
-    complexHeader.addEventListener('click', () => {
-      complexContent.style.display = complexContent.style.display === 'none' ? 'block' : 'none';
-    });
-    
-    complexContainer.appendChild(complexHeader);
-    complexContainer.appendChild(complexContent);
-    resultElement.appendChild(complexContainer);
+    const title = escapeHtml(`Rule: ${fault.rule || 'blocked by the browser or another extension'}`);
+    return `<div class="fault-label" title="${title}">${escapeHtml(describeFault(fault))}</div>`;
   }
   
   /**
-   * Append full XDM object to result element
-   * @param {HTMLElement} resultElement - The element to append to
-   * @param {Object} fullXdm - The full XDM object
+   * Show validation rules in the rules editor
+   * @param {Object[]} rules - The validation rules
    */
-  function appendFullXdm(resultElement, fullXdm) {
-    if (!fullXdm) return;
-    
-    const xdmContainer = document.createElement('div');
-    xdmContainer.className = 'collapsible-container';
+  function setValidationRules(rules) {
+    if (!elements.rulesInput) return;
     
-    const xdmHeader = document.createElement('div');
-    xdmHeader.className = 'collapsible-header xdm-header';
-    xdmHeader.textContent = 'Full XDM Object';
-    
-    const xdmContent = document.createElement('div');
-    xdmContent.className = 'collapsible-content';
-    xdmContent.style.display = 'none'; // Initially hidden
+    elements.rulesInput.value = rules.length > 0 ? JSON.stringify(rules, null, 2) : '';
+    elements.rulesInput.classList.remove('invalid');
+  }
+  
+  /**
+   * Check the rules editor and show the first error
+   * @returns {boolean} True if the rules are valid
+   */
+  function validateRules() {
+    if (!elements.rulesInput) return true;
     
-    const xdmPre = document.createElement('pre');
-    xdmPre.className = 'xdm-content';
+    const { errors } = ValidationRules.parseRules(elements.rulesInput.value);
     
-    try {
-      xdmPre.textContent = JSON.stringify(fullXdm, null, 2);
-    } catch (e) {
-      xdmPre.textContent = `Error formatting XDM data: ${e.message}`;
+    elements.rulesInput.classList.toggle('invalid', errors.length > 0);
+    if (errors.length > 0) {
+      updateStatus(`Rule error on line ${errors[0].line}: ${errors[0].message}`);
     }
     
-    xdmContent.appendChild(xdmPre);
-    
-    // Add event listener to toggle visibility
-    xdmHeader.addEventListener('click', () => {
-      xdmContent.style.display = xdmContent.style.display === 'none' ? 'block' : 'none';
-    });
-    
-    xdmContainer.appendChild(xdmHeader);
-    xdmContainer.appendChild(xdmContent);
-    resultElement.appendChild(xdmContainer);
+    return errors.length === 0;
   }
   
   /**
-   * Append response data to result element
-   * @param {HTMLElement} resultElement - The element to append to
-   * @param {Object} requestInfo - The request info object
+   * Save the validation rules
    */
-  function appendResponseData(resultElement, requestInfo) {
-    if (!requestInfo || !requestInfo.response) return;
-    
-    const responseContainer = document.createElement('div');
-    responseContainer.className = 'collapsible-container';
+  function saveValidationRules() {
+    if (!validateRules()) return;
     
-    const responseHeader = document.createElement('div');
-    responseHeader.className = 'collapsible-header xdm-header';
-    responseHeader.textContent = 'Response Data';
-    
-    const responseContent = document.createElement('div');
-    responseContent.className = 'collapsible-content';
-    responseContent.style.display = 'none'; // Initially hidden
-    
-    const responsePre = document.createElement('pre');
-    responsePre.className = 'xdm-content';
+    const { rules } = ValidationRules.parseRules(elements.rulesInput.value);
     
     try {
-      responsePre.textContent = JSON.stringify(requestInfo.response, null, 2);
+      chrome.runtime.sendMessage({
+        action: 'updateValidationRules',
+        rules
+      }, (response) => {
+        if (response && response.status === 'success') {
+          setValidationRules(response.validationRules);
+          updateStatus(`Saved ${response.validationRules.length} validation rule(s)`);
+        }
+      });
     } catch (e) {
-      responsePre.textContent = `Error formatting response data: ${e.message}`;
+      console.error('Error sending validation rules to background:', e);
     }
-    
-    responseContent.appendChild(responsePre);
-    
-    // Add event listener to toggle visibility
-    responseHeader.addEventListener('click', () => {
-      responseContent.style.display = responseContent.style.display === 'none' ? 'block' : 'none';
-    });
-    
-    responseContainer.appendChild(responseHeader);
-    responseContainer.appendChild(responseContent);
-    resultElement.appendChild(responseContainer);
   }
   
   /**
-   * Limit the number of displayed results
+   * Refresh the list of recording sessions
    */
-  function limitResultsCount() {
-    const results = document.querySelectorAll('.result');
-    if (results.length > CONFIG.MAX_RESULTS) {
-      for (let i = CONFIG.MAX_RESULTS; i < results.length; i++) {
-        results[i].remove();
-      }
-    }
-  }
-  
+  function refreshSessions() {
+    if (!elements.sessionSelect) return;
+    
+    try {
+      chrome.runtime.sendMessage({ action: 'listSessions' }, (response) => {
+        if (!response || response.status !== 'success') return;
+        
+        elements.sessionSelect.innerHTML = '';
+        response.sessions.forEach(session => {
+          const option = document.createElement('option');
+          option.value = session.id;
+          const active = session.id === response.activeSessionId ? ' (recording)' : '';
+          option.textContent = `${session.name} - ${session.eventCount} event(s)${active}`;
+          option.selected = session.id === response.activeSessionId;
+          elements.sessionSelect.appendChild(option);
+        });
+      });
+    } catch (e) {
+      console.error('Error listing sessions:', e);
+    }
+  }
+  
+  /**
+   * Start recording into a new named session
+   */
+  function startNewSession() {
+    const name = elements.sessionNameInput.value.trim();
+    
+    try {
+      chrome.runtime.sendMessage({ action: 'startSession', name }, (response) => {
+        if (response && response.status === 'success') {
+          elements.sessionNameInput.value = '';
+          clearResults();
+          refreshSessions();
+          updateStatus(`Recording into "${response.session.name}"`);
+        } else {
+          updateStatus(`Error starting session: ${response ? response.message : 'no response'}`);
+        }
+      });
+    } catch (e) {
+      console.error('Error starting session:', e);
+    }
+  }
+  
+  /**
+   * Load the selected session's events into the results list
+   */
+  function loadSelectedSession() {
+    const sessionId = Number(elements.sessionSelect.value);
+    if (!sessionId) return;
+    
+    try {
+      chrome.runtime.sendMessage({ action: 'loadSession', sessionId }, (response) => {
+        if (!response || response.status !== 'success') {
+          updateStatus(`Error loading session: ${response ? response.message : 'no response'}`);
+          return;
+        }
+        
+        clearResults();
+        response.events.forEach(event => {
+          addResult(event.results, event.url, {
+            ...event.requestInfo,
+            tabId: event.tabId,
+            capturedAt: event.capturedAt,
+            response: event.response
+          }, event.fullXdm);
+        });
+        
+        const name = response.session ? response.session.name : sessionId;
+        updateStatus(`Loaded ${response.events.length} event(s) from "${name}"`);
+      });
+    } catch (e) {
+      console.error('Error loading session:', e);
+    }
+  }
+  
+  /**
+   * Export the selected session as a downloadable file
+   * @param {string} format - har, json or csv
+   */
+  function exportSelectedSession(format) {
+    const sessionId = Number(elements.sessionSelect.value);
+    if (!sessionId) return;
+    
+    try {
+      chrome.runtime.sendMessage({ action: 'loadSession', sessionId }, (response) => {
+        if (!response || response.status !== 'success') {
+          updateStatus(`Error exporting session: ${response ? response.message : 'no response'}`);
+          return;
+        }
+        
+        const { session, events } = response;
+        const baseName = `adobe-sdk-${(session ? session.name : sessionId).toString().replace(/[^\w.-]+/g, '_')}`;
+        
+        if (format === 'har') {
+          const har = SessionExport.toHar(session, events, chrome.runtime.getManifest().version);
+          downloadFile(`${baseName}.har`, JSON.stringify(har, null, 2), 'application/json');
+        } else if (format === 'json') {
+          const json = SessionExport.toJson(session, events, state.targetPaths);
+          downloadFile(`${baseName}.json`, JSON.stringify(json, null, 2), 'application/json');
+        } else {
+          downloadFile(`${baseName}.csv`, SessionExport.toCsv(events, state.targetPaths), 'text/csv');
+        }
+        
+        updateStatus(`Exported ${events.length} event(s) as ${format.toUpperCase()}`);
+      });
+    } catch (e) {
+      console.error('Error exporting session:', e);
+    }
+  }
+  
+  /**
+   * Import a HAR file into a new session and show its Edge events
+   * @param {Event} event - The change event of the file input
+   */
+  async function importHarFile(event) {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    event.target.value = '';
+    
+    let har;
+    try {
+      har = JSON.parse(await file.text());
+    } catch (e) {
+      updateStatus(`${file.name} is not valid JSON: ${e.message}`);
+      return;
+    }
+    
+    const allEntries = (har && har.log && Array.isArray(har.log.entries)) ? har.log.entries : [];
+    
+    // Only send Edge calls to the background, HAR files can be large
+    const entries = allEntries.filter(entry =>
+      entry && entry.request && EdgeEndpoints.match(entry.request.url, state.compiledEndpointPatterns)
+    );
+    
+    updateStatus(`Importing ${entries.length} Edge request(s) from ${file.name}...`);
+    
+    try {
+      chrome.runtime.sendMessage({ action: 'importHar', name: file.name, entries }, (response) => {
+        if (!response || response.status !== 'success') {
+          updateStatus(`Error importing HAR: ${response ? response.message : 'no response'}`);
+          return;
+        }
+        
+        clearResults();
+        response.messages.forEach(displayMessage);
+        refreshSessions();
+        
+        const skipped = allEntries.length - entries.length + response.skipped;
+        updateStatus(`Imported ${response.messages.length} result(s) from ${file.name} into "${response.session.name}", skipped ${skipped} entries`);
+      });
+    } catch (e) {
+      console.error('Error importing HAR:', e);
+    }
+  }
+  
+  /**
+   * Save text as a file through a temporary download link
+   * @param {string} fileName - The suggested file name
+   * @param {string} content - The file contents
+   * @param {string} mimeType - The file MIME type
+   */
+  function downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  
+  /**
+   * Delete the selected session
+   */
+  function deleteSelectedSession() {
+    const sessionId = Number(elements.sessionSelect.value);
+    if (!sessionId) return;
+    
+    try {
+      chrome.runtime.sendMessage({ action: 'deleteSession', sessionId }, (response) => {
+        if (response && response.status === 'success') {
+          refreshSessions();
+          updateStatus('Session deleted');
+        }
+      });
+    } catch (e) {
+      console.error('Error deleting session:', e);
+    }
+  }
+  
+  /**
+   * Show the retention policy in the panel inputs
+   * @param {Object} retention - Object with maxAgeDays and maxSessions
+   */
+  function setRetentionInputs(retention) {
+    if (elements.retentionDaysInput) {
+      elements.retentionDaysInput.value = retention.maxAgeDays;
+    }
+    if (elements.retentionCountInput) {
+      elements.retentionCountInput.value = retention.maxSessions;
+    }
+  }
+  
+  /**
+   * Save the session retention policy
+   */
+  function saveRetention() {
+    const retention = {
+      maxAgeDays: Math.max(1, Number(elements.retentionDaysInput.value) || 1),
+      maxSessions: Math.max(1, Number(elements.retentionCountInput.value) || 1)
+    };
+    
+    try {
+      chrome.runtime.sendMessage({ action: 'updateRetention', retention }, (response) => {
+        if (response && response.status === 'success') {
+          setRetentionInputs(response.retention);
+          refreshSessions();
+          updateStatus(`Retention saved, removed ${response.removed.length} session(s)`);
+        }
+      });
+    } catch (e) {
+      console.error('Error saving retention:', e);
+    }
+  }
+  
+  /**
+   * Refresh the list of imported XDM schemas
+   */
+  function refreshSchemas() {
+    if (!elements.schemaList) return;
+    
+    try {
+      chrome.runtime.sendMessage({ action: 'listSchemas' }, (response) => {
+        if (!response || response.status !== 'success') return;
+        
+        renderSchemas(response.schemas);
+        setSandboxDatastreams(response.sandboxDatastreams || {});
+      });
+    } catch (e) {
+      console.error('Error listing schemas:', e);
+    }
+  }
+  
+  /**
+   * Render the imported schemas with their bindings
+   * @param {Object[]} schemas - Schema summaries from the background
+   */
+  function renderSchemas(schemas) {
+    elements.schemaList.innerHTML = '';
+    
+    if (schemas.length === 0) {
+      elements.schemaList.textContent = 'No schemas imported.';
+      return;
+    }
+    
+    schemas.forEach(schema => {
+      const row = document.createElement('div');
+      row.className = 'session-controls';
+      row.innerHTML = `
+        <span class="schema-name" title="${escapeHtml(schema.schemaId)}">${escapeHtml(schema.title || schema.name)}</span>
+        <input type="text" placeholder="configId, sandbox:prod or *" value="${escapeHtml(schema.bindings.join(', '))}">
+        <button class="save-bindings">Bind</button>
+        <button class="delete-schema">Delete</button>
+      `;
+      
+      const input = row.querySelector('input');
+      row.querySelector('.save-bindings').addEventListener('click', () => saveSchemaBindings(schema.id, input.value));
+      row.querySelector('.delete-schema').addEventListener('click', () => deleteSchema(schema.id));
+      elements.schemaList.appendChild(row);
+      
+      // Refs to schemas that were not imported are accepted as anything
+      if (schema.unresolvedRefs.length > 0) {
+        const warning = document.createElement('div');
+        warning.className = 'decode-warning';
+        warning.textContent = `Unresolved $ref (import these to check them): ${schema.unresolvedRefs.join(', ')}`;
+        elements.schemaList.appendChild(warning);
+      }
+    });
+  }
+  
+  /**
+   * Import the JSON Schema files chosen in the file input
+   * @param {Event} event - The change event
+   */
+  async function importSchemaFiles(event) {
+    const files = Array.from(event.target.files || []);
+    
+    for (const file of files) {
+      let schema;
+      try {
+        schema = JSON.parse(await file.text());
+      } catch (e) {
+        updateStatus(`${file.name} is not valid JSON: ${e.message}`);
+        continue;
+      }
+      
+      const response = await new Promise(resolve => {
+        chrome.runtime.sendMessage({ action: 'importSchema', name: file.name, schema }, resolve);
+      });
+      
+      if (response && response.status === 'success') {
+        renderSchemas(response.schemas);
+        updateStatus(`Imported ${file.name}`);
+      } else {
+        updateStatus(`Error importing ${file.name}: ${response ? response.message : 'no response'}`);
+      }
+    }
+    
+    event.target.value = '';
+  }
+  
+  /**
+   * Save the datastream and sandbox bindings of a schema
+   * @param {number} schemaId - The schema record ID
+   * @param {string} value - Comma separated bindings
+   */
+  function saveSchemaBindings(schemaId, value) {
+    const bindings = value.split(',').map(binding => binding.trim()).filter(Boolean);
+    
+    try {
+      chrome.runtime.sendMessage({ action: 'updateSchemaBindings', schemaId, bindings }, (response) => {
+        if (response && response.status === 'success') {
+          renderSchemas(response.schemas);
+          updateStatus(`Schema bound to ${bindings.length} target(s)`);
+        }
+      });
+    } catch (e) {
+      console.error('Error saving schema bindings:', e);
+    }
+  }
+  
+  /**
+   * Delete an imported schema
+   * @param {number} schemaId - The schema record ID
+   */
+  function deleteSchema(schemaId) {
+    try {
+      chrome.runtime.sendMessage({ action: 'deleteSchema', schemaId }, (response) => {
+        if (response && response.status === 'success') {
+          renderSchemas(response.schemas);
+          updateStatus('Schema deleted');
+        }
+      });
+    } catch (e) {
+      console.error('Error deleting schema:', e);
+    }
+  }
+  
+  /**
+   * Show the sandbox to datastream mapping in its editor
+   * @param {Object} mapping - Map of sandbox name to configIds
+   */
+  function setSandboxDatastreams(mapping) {
+    if (!elements.sandboxInput) return;
+    
+    elements.sandboxInput.value = Object.entries(mapping)
+      .map(([sandbox, configIds]) => `${sandbox}: ${configIds.join(', ')}`)
+      .join('\n');
+  }
+  
+  /**
+   * Save the sandbox to datastream mapping, one `sandbox: configId, ...` per line
+   */
+  function saveSandboxDatastreams() {
+    const mapping = {};
+    elements.sandboxInput.value.split('\n').forEach(line => {
+      const [sandbox, configIds = ''] = line.split(':');
+      if (!sandbox.trim()) return;
+      mapping[sandbox.trim()] = configIds.split(',').map(id => id.trim()).filter(Boolean);
+    });
+    
+    try {
+      chrome.runtime.sendMessage({ action: 'updateSandboxDatastreams', sandboxDatastreams: mapping }, (response) => {
+        if (response && response.status === 'success') {
+          setSandboxDatastreams(response.sandboxDatastreams);
+          updateStatus(`Saved ${Object.keys(response.sandboxDatastreams).length} sandbox(es)`);
+        }
+      });
+    } catch (e) {
+      console.error('Error saving sandbox datastreams:', e);
+    }
+  }
+  
+  /**
+   * Reset paths to suggested defaults
+   */
+  function resetPathsToDefaults() {
+    const suggestedPaths = getDefaultPaths();
+    
+    state.targetPaths = suggestedPaths;
+    elements.pathsInput.value = state.targetPaths.join('\n');
+    
+    // Save to storage and notify background script
+    chrome.storage.local.set({ targetPaths: state.targetPaths });
+    sendPathsToBackground(state.targetPaths, false);
+    
+    updateStatus(`Reset to default paths`);
+  }
+  
+  /**
+   * Add a new result to the result history
+   * @param {Object} resultData - The data to display
+   * @param {string} url - The request URL
+   * @param {Object} requestInfo - Information about the request
+   * @param {Object} fullXdm - The complete XDM object
+   */
+  function addResult(resultData, url, requestInfo = {}, fullXdm = null) {
+    if (!elements.resultsContainer || !resultData) {
+      console.error("Cannot add result: missing container or data", !!elements.resultsContainer, !!resultData);
+      return;
+    }
+    
+    if (state.debugMode) {
+      console.log("[Panel] Adding result:", 
+        { 
+          resultKeys: Object.keys(resultData), 
+          url, 
+          fullXdmAvailable: !!fullXdm,
+          requestInfo: requestInfo
+        }
+      );
+    }
+    
+    // Keep the event so it can be rendered, filtered and compared with others later
+    const capturedAt = requestInfo.capturedAt || Date.now();
+    const record = {
+      id: ++state.resultCounter,
+      eventType: resultData.eventType || 'unknown',
+      url,
+      requestId: requestInfo.requestId,
+      fullXdm,
+      capturedAt,
+      statusCode: requestInfo.statusCode || null,
+      validationStatus: getValidationStatus(requestInfo),
+      resultData,
+      requestInfo: { ...requestInfo, capturedAt },
+      // Use a captured response if the background did not forward one
+      response: requestInfo.response || state.responses.get(requestInfo.requestId) || null,
+      openSections: new Set(), // Detail sections the user opened, kept when the result renders again
+      commandId: null // The alloy() command that sent the result, once linked
+    };
+    state.resultRecords.set(record.id, record);
+    if (record.requestId && !state.resultsByRequestId.has(record.requestId)) {
+      state.resultsByRequestId.set(record.requestId, record);
+    }
+    linkResult(record);
+    
+    trackIdentity(record, record.response);
+    trackConsent(record, requestInfo, record.response);
+    trackPropositions(record, record.response);
+    record.cause = findDataLayerCause(record);
+    
+    applyFilterToResult(record);
+    state.history.set(`result-${record.id}`, { kind: 'result', record });
+    state.resultsList.update();
+    updateFilterCount();
+  }
+  
+  /**
+   * Add a result card for a request whose body could not be decoded
+   * @param {string} url - The request URL
+   * @param {Object} requestInfo - Information about the request
+   * @param {string} error - The decoding error message
+   */
+  function addDecodeError(url, requestInfo = {}, error) {
+    if (!elements.resultsContainer) return;
+    
+    const capturedAt = requestInfo.capturedAt || Date.now();
+    state.history.set(`error-${++state.decodeErrorCounter}`, {
+      kind: 'decodeError',
+      url,
+      requestInfo: { ...requestInfo, capturedAt },
+      error
+    });
+    state.resultsList.update();
+  }
+  
+  /**
+   * List the history items that pass the filter, newest first
+   * @returns {string[]} The keys of the items in state.history
+   */
+  function getVisibleHistoryKeys() {
+    // Decode errors and data layer entries have no event to match, so they only show unfiltered
+    const active = ResultFilter.isActive(state.filter);
+    const keys = [];
+    state.history.forEach((item, key) => {
+      if (item.kind === 'result' ? item.record.matchesFilter !== false : !active) {
+        keys.push(key);
+      }
+    });
+    return keys.reverse();
+  }
+  
+  /**
+   * Build the element for a history item when the results list scrolls to it
+   * @param {string} key - The key of the item in state.history
+   * @returns {HTMLElement} The element
+   */
+  function renderHistoryItem(key) {
+    const item = state.history.get(key);
+    if (item.kind === 'result') return renderResult(item.record);
+    if (item.kind === 'decodeError') return renderDecodeError(item);
+    return renderDataLayerEntry(item.entry);
+  }
+  
+  /**
+   * Build the element for a result
+   * @param {Object} record - The result record
+   * @returns {HTMLElement} The result element
+   */
+  function renderResult(record) {
+    const requestInfo = record.requestInfo;
+    
+    // Create and configure a new result element
+    const resultElement = document.createElement('div');
+    resultElement.className = 'result';
+    resultElement.dataset.resultId = record.id;
+    if (requestInfo.validation && requestInfo.validation.status !== 'pass') {
+      resultElement.classList.add(`validation-${requestInfo.validation.status}`);
+    }
+    if (countSchemaViolations(requestInfo.schemaValidation) > 0) {
+      resultElement.classList.add('validation-error');
+    }
+    if (record.requestId) {
+      resultElement.dataset.requestId = record.requestId;
+    }
+    
+    // Determine badge color based on event type
+    const badgeColor = getBadgeColor(record.eventType);
+    
+    // Separate simple and complex values
+    const { simpleValues, complexValues } = categorizeValues(record.resultData);
+    
+    // Try to extract ECID from the response identity handles if available
+    const ecid = findEcid(record.response) || findEcid(record.fullXdm);
+    if (ecid) {
+      simpleValues['ECID'] = ecid;
+    }
+    
+    // Create HTML elements
+    appendHeader(resultElement, record.eventType, record.url, badgeColor, requestInfo);
+    appendResultActions(resultElement, record);
+    appendDecodeWarnings(resultElement, requestInfo.decodeWarnings);
+    appendValidationIssues(resultElement, requestInfo.validation);
+    appendSchemaViolations(resultElement, requestInfo.schemaValidation);
+    appendSimpleValuesTable(resultElement, simpleValues);
+    appendComplexValues(resultElement, complexValues, record.fullXdm, record.openSections);
+    appendFullXdm(resultElement, record.fullXdm, record.openSections);
+    appendResponseData(resultElement, record.response, record.openSections);
+    
+    addCommandLabel(record, resultElement);
+    addCausedByLabel(record, resultElement);
+    
+    return resultElement;
+  }
+  
+  /**
+   * Build the element for a request whose body could not be decoded
+   * @param {Object} item - The history item with url, requestInfo and error
+   * @returns {HTMLElement} The result element
+   */
+  function renderDecodeError(item) {
+    const resultElement = document.createElement('div');
+    resultElement.className = 'result result-error';
+    if (item.requestInfo.requestId) {
+      resultElement.dataset.requestId = item.requestInfo.requestId;
+    }
+    
+    appendHeader(resultElement, 'decode error', item.url, '#f44336', item.requestInfo);
+    
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'result-details decode-error';
+    errorDiv.textContent = `Could not decode request body: ${item.error || 'unknown error'}`;
+    resultElement.appendChild(errorDiv);
+    
+    return resultElement;
+  }
+  
+  /**
+   * Append warnings about body parts that could not be decoded
+   * @param {HTMLElement} resultElement - The element to append to
+   * @param {string[]} warnings - The decoding warnings
+   */
+  function appendDecodeWarnings(resultElement, warnings) {
+    if (!Array.isArray(warnings) || warnings.length === 0) return;
+    
+    const warningDiv = document.createElement('div');
+    warningDiv.className = 'decode-warning';
+    warningDiv.textContent = warnings.join('\n');
+    resultElement.appendChild(warningDiv);
+  }
+  
+  /**
+   * Append the validation issues of an event
+   * @param {HTMLElement} resultElement - The element to append to
+   * @param {Object} validation - The validation result with status and issues
+   */
+  function appendValidationIssues(resultElement, validation) {
+    if (!validation || !Array.isArray(validation.issues) || validation.issues.length === 0) return;
+    
+    const list = document.createElement('ul');
+    list.className = 'validation-issues';
+    list.innerHTML = validation.issues.map(issue => `
+      <li class="${escapeHtml(issue.severity)}" title="Rule: ${escapeHtml(issue.rule)}">
+        ${issue.severity === 'error' ? '✖' : '⚠'} ${issue.path ? `<code>${escapeHtml(issue.path)}</code>: ` : ''}${escapeHtml(issue.message)}
+      </li>
+    `).join('');
+    resultElement.appendChild(list);
+  }
+  
+  /**
+   * Append the compare, diff-against-previous and replay actions
+   * @param {HTMLElement} resultElement - The element to append to
+   * @param {Object} record - The result record
+   */
+  function appendResultActions(resultElement, record) {
+    if (!record.fullXdm && !record.requestId) return;
+    
+    const controls = document.createElement('div');
+    controls.className = 'result-actions';
+    controls.innerHTML = `
+      ${record.fullXdm ? `
+        <label><input type="checkbox" class="diff-select"> Compare</label>
+        <button class="diff-previous">Diff vs previous ${escapeHtml(record.eventType)}</button>
+      ` : ''}
+      ${record.requestId ? '<button class="replay-open">Edit &amp; replay</button>' : ''}
+    `;
+    
+    if (record.fullXdm) {
+      controls.querySelector('.diff-select').checked = state.diffSelection.includes(record.id);
+      controls.querySelector('.diff-select').addEventListener('change', (event) => {
+        toggleDiffSelection(record.id, event.target.checked);
+      });
+      controls.querySelector('.diff-previous').addEventListener('click', () => diffAgainstPrevious(record));
+    }
+    if (record.requestId) {
+      controls.querySelector('.replay-open').addEventListener('click', () => openReplayEditor(record));
+    }
+    
+    resultElement.appendChild(controls);
+  }
+  
+  /**
+   * Open the replay editor with the stored body of a result's request
+   * @param {Object} record - The result record
+   */
+  function openReplayEditor(record) {
+    if (!elements.replayView) return;
+    
+    try {
+      chrome.runtime.sendMessage({ action: 'getRequest', requestId: record.requestId }, (response) => {
+        if (!response || response.status !== 'success') {
+          updateStatus(`Cannot replay: ${response ? response.message : 'no response'}`);
+          return;
+        }
+        renderReplayEditor(record, response);
+      });
+    } catch (e) {
+      console.error('Error loading request for replay:', e);
+    }
+  }
+  
+  /**
+   * Render the replay editor
+   * @param {Object} record - The result record
+   * @param {Object} request - Object with url, requestBody and response of the stored request
+   */
+  function renderReplayEditor(record, request) {
+    let body = request.requestBody || '';
+    try {
+      body = JSON.stringify(JSON.parse(body), null, 2);
+    } catch (e) {
+      // Keep bodies that are not JSON as they are
+    }
+    
+    let configId = '';
+    try {
+      configId = new URL(request.url).searchParams.get('configId') || '';
+    } catch (e) {
+      // Leave the datastream empty for unparsable URLs
+    }
+    
+    elements.replayView.innerHTML = `
+      <div class="diff-header">
+        <strong>Edit &amp; replay</strong> ${escapeHtml(record.eventType)} @ ${new Date(record.capturedAt).toLocaleTimeString()}
+        <button class="replay-close">Close</button>
+      </div>
+      <div class="session-controls">
+        Endpoint <input type="text" class="replay-url" value="${escapeHtml(request.url)}">
+      </div>
+      <div class="session-controls">
+        Datastream <input type="text" class="replay-config" value="${escapeHtml(configId)}" placeholder="configId">
+      </div>
+      <textarea class="replay-body"></textarea>
+      <button class="replay-send save-button">Send</button>
+      <div class="replay-responses"></div>
+    `;
+    elements.replayView.querySelector('.replay-body').value = body;
+    
+    const original = state.responses.get(record.requestId) || request.response;
+    elements.replayView.querySelector('.replay-send').addEventListener('click', () => sendReplay(original));
+    elements.replayView.querySelector('.replay-close').addEventListener('click', closeReplay);
+    elements.replayView.style.display = 'block';
+    elements.replayView.scrollIntoView({ behavior: 'smooth' });
+  }
+  
+  /**
+   * Send the edited request and show its response next to the original
+   * @param {Object} original - The original Edge response, if captured
+   */
+  function sendReplay(original) {
+    const bodyInput = elements.replayView.querySelector('.replay-body');
+    
+    let body;
+    try {
+      body = JSON.stringify(JSON.parse(bodyInput.value));
+      bodyInput.classList.remove('invalid');
+    } catch (e) {
+      bodyInput.classList.add('invalid');
+      updateStatus(`Request body is not valid JSON: ${e.message}`);
+      return;
+    }
+    
+    let url;
+    try {
+      url = new URL(elements.replayView.querySelector('.replay-url').value.trim());
+    } catch (e) {
+      updateStatus('Endpoint is not a valid URL');
+      return;
+    }
+    
+    const configId = elements.replayView.querySelector('.replay-config').value.trim();
+    if (configId) {
+      url.searchParams.set('configId', configId);
+    }
+    // A fresh request ID keeps the replay apart from the original in Edge traces
+    if (url.searchParams.has('requestId')) {
+      url.searchParams.set('requestId', crypto.randomUUID());
+    }
+    
+    updateStatus(`Replaying to ${url.host}...`);
+    
+    try {
+      chrome.runtime.sendMessage({ action: 'replayRequest', url: url.toString(), body }, (response) => {
+        if (!response || response.status !== 'success') {
+          updateStatus(`Replay failed: ${response ? response.message : 'no response'}`);
+          return;
+        }
+        
+        renderReplayResponses(original, response.result);
+        updateStatus(`Replay returned ${response.result.statusCode} in ${response.result.durationMs} ms`);
+      });
+    } catch (e) {
+      console.error('Error replaying request:', e);
+    }
+  }
+  
+  /**
+   * Show the original and replayed responses side by side
+   * @param {Object} original - The original Edge response, if captured
+   * @param {Object} result - The replay result with statusCode and body
+   */
+  function renderReplayResponses(original, result) {
+    const container = elements.replayView.querySelector('.replay-responses');
+    container.innerHTML = `
+      <div class="replay-column"><h4>Original</h4></div>
+      <div class="replay-column"><h4>Replay · ${escapeHtml(result.statusCode)} ${escapeHtml(result.statusText)} · ${result.durationMs} ms</h4></div>
+    `;
+    
+    const [originalColumn, replayColumn] = container.querySelectorAll('.replay-column');
+    
+    // Both responses are the point of the view - open them
+    const openSections = new Set(['response']);
+    if (original) {
+      appendResponseData(originalColumn, original, openSections);
+    } else {
+      originalColumn.insertAdjacentHTML('beforeend', '<div class="no-results">No response was captured for the original request.</div>');
+    }
+    
+    if (result.body && typeof result.body === 'object') {
+      appendResponseData(replayColumn, result.body, openSections);
+    } else {
+      const pre = document.createElement('pre');
+      pre.className = 'xdm-content';
+      pre.textContent = String(result.body || '');
+      replayColumn.appendChild(pre);
+    }
+  }
+  
+  /**
+   * Hide the replay editor
+   */
+  function closeReplay() {
+    if (!elements.replayView) return;
+    
+    elements.replayView.style.display = 'none';
+    elements.replayView.innerHTML = '';
+  }
+  
+  /**
+   * Add or remove a result from the comparison selection
+   * @param {number} resultId - The result ID
+   * @param {boolean} selected - Whether the result was checked
+   */
+  function toggleDiffSelection(resultId, selected) {
+    state.diffSelection = state.diffSelection.filter(id => id !== resultId);
+    if (selected) {
+      state.diffSelection.push(resultId);
+    }
+    
+    // Only two results can be compared - uncheck the oldest choice
+    while (state.diffSelection.length > 2) {
+      const dropped = state.diffSelection.shift();
+      const checkbox = document.querySelector(`.result[data-result-id="${dropped}"] .diff-select`);
+      if (checkbox) checkbox.checked = false;
+    }
+    
+    updateCompareButton();
+  }
+  
+  /**
+   * Enable the compare button once two results are selected
+   */
+  function updateCompareButton() {
+    if (!elements.compareButton) return;
+    
+    elements.compareButton.disabled = state.diffSelection.length !== 2;
+    elements.compareButton.textContent = `Compare selected (${state.diffSelection.length}/2)`;
+  }
+  
+  /**
+   * Diff the two selected results, older first
+   */
+  function compareSelected() {
+    const [first, second] = state.diffSelection
+      .map(id => state.resultRecords.get(id))
+      .filter(Boolean)
+      .sort((a, b) => a.id - b.id);
+    
+    if (!first || !second) {
+      updateStatus('Select two results to compare');
+      return;
+    }
+    showDiff(first, second);
+  }
+  
+  /**
+   * Diff a result against the previous result with the same eventType
+   * @param {Object} record - The result record
+   */
+  function diffAgainstPrevious(record) {
+    let previous = null;
+    state.resultRecords.forEach(candidate => {
+      if (candidate.id < record.id && candidate.eventType === record.eventType && candidate.fullXdm) {
+        previous = candidate;
+      }
+    });
+    
+    if (!previous) {
+      updateStatus(`No earlier ${record.eventType} event to compare with`);
+      return;
+    }
+    showDiff(previous, record);
+  }
+  
+  /**
+   * Show the structural diff of two results' full XDM
+   * @param {Object} before - The older result record
+   * @param {Object} after - The newer result record
+   */
+  function showDiff(before, after) {
+    if (!elements.diffView) return;
+    
+    const tree = XdmDiff.diff(before.fullXdm, after.fullXdm);
+    const counts = XdmDiff.summarize(tree);
+    const describe = record => `${escapeHtml(record.eventType)} @ ${new Date(record.capturedAt).toLocaleTimeString()}`;
+    
+    elements.diffView.innerHTML = `
+      <div class="diff-header">
+        <strong>${describe(before)}</strong> → <strong>${describe(after)}</strong>
+        <span class="diff-added">+${counts.added}</span>
+        <span class="diff-removed">-${counts.removed}</span>
+        <span class="diff-changed">~${counts.changed}</span>
+        <label><input type="checkbox" class="diff-show-unchanged"> Show unchanged</label>
+        <button class="diff-close">Close</button>
+      </div>
+      <div class="diff-body"></div>
+    `;
+    
+    const body = elements.diffView.querySelector('.diff-body');
+    const render = (showUnchanged) => {
+      body.innerHTML = tree.status === 'unchanged' && !showUnchanged
+        ? '<div class="no-results">The events are identical.</div>'
+        : `<ul class="diff-tree">${renderDiffChildren(tree, showUnchanged)}</ul>`;
+    };
+    render(false);
+    
+    elements.diffView.querySelector('.diff-show-unchanged').addEventListener('change', (event) => {
+      render(event.target.checked);
+    });
+    elements.diffView.querySelector('.diff-close').addEventListener('click', closeDiff);
+    elements.diffView.style.display = 'block';
+  }
+  
+  /**
+   * Hide the diff view
+   */
+  function closeDiff() {
+    if (!elements.diffView) return;
+    
+    elements.diffView.style.display = 'none';
+    elements.diffView.innerHTML = '';
+  }
+  
+  /**
+   * Render the children of a diff node as list items
+   * @param {Object} node - The diff node
+   * @param {boolean} showUnchanged - Whether to include unchanged fields
+   * @returns {string} The list item markup
+   */
+  function renderDiffChildren(node, showUnchanged) {
+    return (node.children || [])
+      .filter(child => showUnchanged || child.status !== 'unchanged')
+      .map(child => renderDiffNode(child, node.kind, showUnchanged))
+      .join('');
+  }
+  
+  /**
+   * Render one diff node as a list item
+   * @param {Object} node - The diff node
+   * @param {string} parentKind - object or array, for formatting the key
+   * @param {boolean} showUnchanged - Whether to include unchanged fields
+   * @returns {string} The list item markup
+   */
+  function renderDiffNode(node, parentKind, showUnchanged) {
+    const key = escapeHtml(parentKind === 'array' ? `[${node.key}]` : node.key);
+    const format = value => escapeHtml(JSON.stringify(value));
+    
+    if (node.children) {
+      return `<li class="diff-${node.status}"><span class="diff-key">${key}</span><ul>${renderDiffChildren(node, showUnchanged)}</ul></li>`;
+    }
+    
+    switch (node.status) {
+      case 'added':
+        return `<li class="diff-added">+ <span class="diff-key">${key}</span>: ${format(node.after)}</li>`;
+      case 'removed':
+        return `<li class="diff-removed">- <span class="diff-key">${key}</span>: ${format(node.before)}</li>`;
+      case 'changed':
+        return `<li class="diff-changed">~ <span class="diff-key">${key}</span>: ${format(node.before)} → ${format(node.after)}</li>`;
+      default:
+        return `<li class="diff-unchanged"><span class="diff-key">${key}</span>: ${format(node.after)}</li>`;
+    }
+  }
+  
+  /**
+   * Count the schema violations of an event across all bound schemas
+   * @param {Object[]} schemaValidation - Results per bound schema
+   * @returns {number} The number of violations
+   */
+  function countSchemaViolations(schemaValidation) {
+    if (!Array.isArray(schemaValidation)) return 0;
+    return schemaValidation.reduce((total, result) => total + result.violationCount, 0);
+  }
+  
+  /**
+   * Append the JSON Schema violations of an event, listed by JSON pointer
+   * @param {HTMLElement} resultElement - The element to append to
+   * @param {Object[]} schemaValidation - Results per bound schema
+   */
+  function appendSchemaViolations(resultElement, schemaValidation) {
+    if (countSchemaViolations(schemaValidation) === 0) return;
+    
+    schemaValidation.filter(result => result.violationCount > 0).forEach(result => {
+      const details = document.createElement('details');
+      details.className = 'result-details';
+      
+      const hidden = result.violationCount - result.violations.length;
+      details.innerHTML = `
+        <summary>Schema "${escapeHtml(result.name)}": ${result.violationCount} violation(s)</summary>
+        <ul class="validation-issues">
+          ${result.violations.map(violation => `
+            <li class="error"><code>${escapeHtml(violation.pointer)}</code> ${escapeHtml(violation.message)} <small>(${escapeHtml(violation.keyword)})</small></li>
+          `).join('')}
+          ${hidden > 0 ? `<li>…and ${hidden} more</li>` : ''}
+        </ul>
+      `;
+      resultElement.appendChild(details);
+    });
+  }
+  
+  /**
+   * Get appropriate badge color for event type
+   * @param {string} eventType - The event type
+   * @returns {string} The color code
+   */
+  function getBadgeColor(eventType) {
+    if (eventType === 'web.webpagedetails.pageViews') {
+      return '#9C27B0'; // Purple for page views
+    } else if (eventType.includes('click') || eventType.includes('link')) {
+      return '#FF9800'; // Orange for clicks/links
+    }
+    return '#4CAF50'; // Default green
+  }
+  
+  /**
+   * Categorize values into simple and complex
+   * @param {Object} data - The data to categorize
+   * @returns {Object} Object with simpleValues and complexValues
+   */
+  function categorizeValues(data) {
+    const simpleValues = {};
+    const complexValues = {};
+    
+    Object.keys(data).forEach(key => {
+      const value = data[key];
+      if (value !== null && typeof value === 'object') {
+        complexValues[key] = value;
+      } else {
+        simpleValues[key] = value;
+      }
+    });
+    
+    return { simpleValues, complexValues };
+  }
+  
+  /**
+   * Append header section to result element
+   * @param {HTMLElement} resultElement - The element to append to
+   * @param {string} eventType - The event type
+   * @param {string} url - The request URL
+   * @param {string} badgeColor - The badge color
+   * @param {Object} requestInfo - Information about the request
+   */
+  function appendHeader(resultElement, eventType, url, badgeColor, requestInfo = {}) {
+    const urlDisplay = url ? new URL(url).pathname : 'No URL';
+    
+    const headerDiv = document.createElement('div');
+    headerDiv.className = 'result-header';
+    headerDiv.innerHTML = `
+      ${getTransportLabel(requestInfo)}
+      ${getPatternLabel(requestInfo)}
+      ${getOverrideLabel(requestInfo)}
+      ${getFaultLabel(requestInfo)}
+      ${getConsentLabel(requestInfo)}
+      ${state.showAllTabs && requestInfo.tabId !== undefined ? `<div class="tab-label">Tab ${escapeHtml(requestInfo.tabId)}</div>` : ''}
+      ${getBatchLabel(requestInfo)}
+      ${getValidationLabel(requestInfo)}
+      ${getSchemaLabel(requestInfo)}
+      <div class="timestamp">${new Date(requestInfo.capturedAt || Date.now()).toLocaleTimeString()}</div>
+    `;
+    
+    // The eventType and URL come from the page, so they are set as text
+    const badge = document.createElement('div');
+    badge.className = 'event-type-badge';
+    badge.style.backgroundColor = badgeColor;
+    badge.textContent = eventType;
+    const urlElement = document.createElement('div');
+    urlElement.className = 'result-url';
+    urlElement.title = url || 'No URL';
+    urlElement.textContent = urlDisplay;
+    headerDiv.prepend(badge, urlElement);
+    
+    resultElement.appendChild(headerDiv);
+  }
+  
+  /**
+   * Build the batch label for events that travelled in the same request
+   * @param {Object} requestInfo - Information about the request
+   * @returns {string} The label markup, or an empty string for single-event requests
+   */
+  function getBatchLabel(requestInfo) {
+    if (!requestInfo || !(requestInfo.batchSize > 1)) return '';
+    
+    const requestId = escapeHtml(requestInfo.requestId || 'unknown');
+    return `<div class="batch-label" title="Request ID: ${requestId}">Event ${requestInfo.batchIndex + 1} of ${requestInfo.batchSize}</div>`;
+  }
+  
+  /**
+   * Build the label describing how the Web SDK sent the request
+   * @param {Object} requestInfo - Information about the request
+   * @returns {string} The label markup, or an empty string if unknown
+   */
+  function getTransportLabel(requestInfo) {
+    if (!requestInfo || !requestInfo.transport) return '';
+    
+    const endpoint = requestInfo.endpoint ? ` · /${requestInfo.endpoint}` : '';
+    const compression = requestInfo.compression ? ` · ${requestInfo.compression}` : '';
+    const source = requestInfo.source === 'har' ? 'HAR · ' : '';
+    const title = requestInfo.endpoint === 'collect'
+      ? 'Sent to /collect - alloy uses this while the document unloads'
+      : `Sent with ${requestInfo.transport}`;
+    return `<div class="transport-label" title="${escapeHtml(title)}">${escapeHtml(source + requestInfo.transport + endpoint + compression)}</div>`;
+  }
+  
+  /**
+   * Build the validation status label
+   * @param {Object} requestInfo - Information about the request
+   * @returns {string} The label markup, or an empty string if no rule applied
+   */
+  function getValidationLabel(requestInfo) {
+    const validation = requestInfo && requestInfo.validation;
+    if (!validation) return '';
+    
+    const errors = validation.issues.filter(issue => issue.severity === 'error').length;
+    const warnings = validation.issues.length - errors;
+    const text = validation.status === 'pass'
+      ? '✔ valid'
+      : [errors ? `${errors} error(s)` : '', warnings ? `${warnings} warning(s)` : ''].filter(Boolean).join(', ');
+    return `<div class="validation-label ${escapeHtml(validation.status)}" title="Checked against ${validation.ruleCount} rule(s)">${escapeHtml(text)}</div>`;
+  }
+  
+  /**
+   * Build the schema validation label
+   * @param {Object} requestInfo - Information about the request
+   * @returns {string} The label markup, or an empty string if no schema is bound
+   */
+  function getSchemaLabel(requestInfo) {
+    const schemaValidation = requestInfo && requestInfo.schemaValidation;
+    if (!Array.isArray(schemaValidation) || schemaValidation.length === 0) return '';
+    
+    const count = countSchemaViolations(schemaValidation);
+    const names = escapeHtml(schemaValidation.map(result => result.name).join(', '));
+    return count === 0
+      ? `<div class="validation-label pass" title="Valid against ${names}">✔ schema</div>`
+      : `<div class="validation-label error" title="Checked against ${names}">${count} schema violation(s)</div>`;
+  }
+  
+  /**
+   * Build the label for requests rewritten by a datastream override
+   * @param {Object} requestInfo - Information about the request
+   * @returns {string} The label markup, or an empty string if not rewritten
+   */
+  function getOverrideLabel(requestInfo) {
+    const override = requestInfo && requestInfo.datastreamOverride;
+    if (!override) return '';
+    
+    const title = escapeHtml(`configId rewritten from ${override.fromConfigId} to ${override.toConfigId}`);
+    return `<div class="override-label" title="${title}">→ ${escapeHtml(override.label)}</div>`;
+  }
+  
+  /**
+   * Build the label showing which endpoint pattern matched the request
+   * @param {Object} requestInfo - Information about the request
+   * @returns {string} The label markup, or an empty string if unknown
+   */
+  function getPatternLabel(requestInfo) {
+    if (!requestInfo || !requestInfo.matchedPattern) return '';
+    
+    const pattern = escapeHtml(requestInfo.matchedPattern);
+    return `<div class="pattern-label" title="Matched endpoint pattern: ${pattern}">${pattern}</div>`;
+  }
+  
+  /**
+   * Escape a value for safe use inside HTML markup
+   * @param {*} value - The value to escape
+   * @returns {string} The escaped string
+   */
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+  
+  /**
+   * Append simple values table to result element
+   * @param {HTMLElement} resultElement - The element to append to
+   * @param {Object} simpleValues - The simple values to display
+   */
+  function appendSimpleValuesTable(resultElement, simpleValues) {
+    const detailsDiv = document.createElement('div');
+    detailsDiv.className = 'result-details';
+    
+    const table = document.createElement('table');
+    table.className = 'pretty-table';
+    
+    const thead = document.createElement('thead');
+    thead.innerHTML = `
+      <tr>
+        <th>Path</th>
+        <th>Value</th>
+      </tr>
+    `;
+    table.appendChild(thead);
+    
+    const tbody = document.createElement('tbody');
+    
+    // Add alternating row colors
+    let rowIndex = 0;
+    Object.keys(simpleValues).forEach(key => {
+      const row = document.createElement('tr');
+      if (rowIndex % 2 === 1) {
+        row.className = 'alt-row';
+      }
+      // Paths and values come from the page or an imported HAR, so they are set as text
+      [key, simpleValues[key]].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = String(text);
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+      rowIndex++;
+    });
+    
+    table.appendChild(tbody);
+    detailsDiv.appendChild(table);
+    resultElement.appendChild(detailsDiv);
+  }
+  
+  /**
+   * Append a collapsible section whose content is only built when it is first opened
+   * @param {HTMLElement} parent - The element to append to
+   * @param {Object} section - Object with name, title, headerClass, optional containerClass and
+   *   openSections, the names of open sections, updated as the section opens and closes
+   * @param {Function} build - Called with the content element to fill
+   */
+  function appendLazySection(parent, section, build) {
+    const container = document.createElement('div');
+    container.className = section.containerClass ? `collapsible-container ${section.containerClass}` : 'collapsible-container';
+    
+    const header = document.createElement('div');
+    header.className = `collapsible-header ${section.headerClass}`;
+    header.textContent = section.title;
+    
+    const content = document.createElement('div');
+    content.className = 'collapsible-content';
+    
+    const setOpen = (open) => {
+      if (open && !content.hasChildNodes()) {
+        build(content);
+      }
+      content.style.display = open ? 'block' : 'none';
+      if (open) {
+        section.openSections.add(section.name);
+      } else {
+        section.openSections.delete(section.name);
+      }
+    };
+    setOpen(section.openSections.has(section.name));
+    
+    // Add event listener to toggle visibility
+    header.addEventListener('click', () => setOpen(content.style.display === 'none'));
+    
+    container.appendChild(header);
+    container.appendChild(content);
+    parent.appendChild(container);
+  }
+  
+  /**
+   * Append complex values to result element
+   * @param {HTMLElement} resultElement - The element to append to
+   * @param {Object} complexValues - The complex values to display
+   * @param {Object} fullXdm - The event the values were extracted from
+   * @param {Set<string>} openSections - The names of the result's open sections
+   */
+  function appendComplexValues(resultElement, complexValues, fullXdm, openSections = new Set()) {
+    if (Object.keys(complexValues).length === 0) return;
+    
+    appendLazySection(resultElement, {
+      name: 'complex',
+      title: 'Complex Field Details',
+      headerClass: 'complex-header',
+      openSections
+    }, complexContent => {
+      Object.keys(complexValues).forEach(key => {
+        const fieldValue = document.createElement('div');
+        fieldValue.className = 'complex-field-value';
+        
+        const fieldLabel = document.createElement('div');
+        fieldLabel.className = 'complex-field-label';
+        fieldLabel.textContent = `${key} details:`;
+        fieldValue.appendChild(fieldLabel);
+        
+        // Wildcard paths hold every match, so give each match its own tree with its concrete path
+        let definite = true;
+        try {
+          definite = PathExpression.parse(key).definite;
+        } catch (e) {
+          definite = false;
+        }
+        const matches = definite ? [] : PathExpression.query(fullXdm, key);
+        
+        if (definite || matches.length === 0) {
+          fieldValue.appendChild(createJsonTree(complexValues[key], definite ? key : null));
+        } else {
+          matches.forEach(match => {
+            const matchLabel = document.createElement('div');
+            matchLabel.className = 'complex-field-match';
+            matchLabel.textContent = match.path;
+            fieldValue.appendChild(matchLabel);
+            fieldValue.appendChild(createJsonTree(match.value, match.path));
+          });
+        }
+        
+        complexContent.appendChild(fieldValue);
+      });
+    });
+  }
+  
+  /**
+   * Append full XDM object to result element
+   * @param {HTMLElement} resultElement - The element to append to
+   * @param {Object} fullXdm - The full XDM object
+   * @param {Set<string>} openSections - The names of the result's open sections
+   */
+  function appendFullXdm(resultElement, fullXdm, openSections = new Set()) {
+    if (!fullXdm) return;
+    
+    appendLazySection(resultElement, {
+      name: 'xdm',
+      title: 'Full XDM Object',
+      headerClass: 'xdm-header',
+      openSections
+    }, xdmContent => {
+      xdmContent.appendChild(createJsonTree(fullXdm, ''));
+    });
+  }
+  
+  /**
+   * Create a JSON tree with the copy and add-to-target-paths actions
+   * @param {*} value - The value to show
+   * @param {string|null} rootPath - The target path of the value, '' for the event itself, or null if unknown
+   * @returns {HTMLElement} The tree element
+   */
+  function createJsonTree(value, rootPath) {
+    return JsonTree.create(value, {
+      rootPath,
+      actions: [
+        { id: 'copyPath', label: 'Copy path', needsPath: true },
+        { id: 'copyValue', label: 'Copy value' },
+        { id: 'addPath', label: 'Add to target paths', needsPath: true }
+      ],
+      onAction: (actionId, node) => {
+        if (actionId === 'copyPath') {
+          copyText(node.path, `Copied ${node.path}`);
+        } else if (actionId === 'copyValue') {
+          copyText(typeof node.value === 'string' ? node.value : JSON.stringify(node.value, null, 2), 'Copied value');
+        } else if (actionId === 'addPath') {
+          addTargetPath(node.path);
+        }
+      }
+    });
+  }
+  
+  /**
+   * Copy text to the clipboard
+   * @param {string} text - The text to copy
+   * @param {string} message - The status message on success
+   */
+  function copyText(text, message) {
+    // DevTools panels often lack clipboard permission, so fall back to a temporary textarea
+    const fallback = () => {
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      textarea.style.position = 'fixed';
+      textarea.style.opacity = '0';
+      document.body.appendChild(textarea);
+      textarea.select();
+      const copied = document.execCommand('copy');
+      textarea.remove();
+      updateStatus(copied ? message : 'Could not copy to the clipboard');
+    };
+    
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(text).then(() => updateStatus(message), fallback);
+    } else {
+      fallback();
+    }
+  }
+  
+  /**
+   * Add a path to the target paths and save them
+   * @param {string} path - The target path
+   */
+  function addTargetPath(path) {
+    const lines = elements.pathsInput.value.split('\n').map(line => line.trim());
+    if (lines.includes(path)) {
+      updateStatus(`${path} is already a target path`);
+      return;
+    }
+    
+    elements.pathsInput.value = [...lines.filter(line => line.length > 0), path].join('\n');
+    savePaths();
+  }
+  
+  /**
+   * Find the ECID in the identity:result handles of an Edge response
+   * @param {Object} body - An object with an Edge `handle` array
+   * @returns {string|null} The ECID or null if not found
+   */
+  function findEcid(body) {
+    try {
+      const identities = decodeEdgeResponse(body).handles['identity:result'] || [];
+      for (const item of identities) {
+        // Edge returns a flat identity, older payloads nest it under `identity`
+        const identity = item && item.identity ? item.identity : item;
+        if (identity && identity.namespace && identity.namespace.code === 'ECID') {
+          if (state.debugMode) {
+            console.log("[Panel] ECID found:", identity.id);
+          }
+          return identity.id;
+        }
+      }
+    } catch (e) {
+      if (state.debugMode) {
+        console.error("[Panel] Error extracting ECID:", e);
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Group the handles of an Edge response by type
+   * @param {Object} body - The parsed Edge response body
+   * @returns {Object} Object with handles (payload items by type), errors and warnings
+   */
+  function decodeEdgeResponse(body) {
+    const decoded = { handles: {}, errors: [], warnings: [] };
+    if (!body || typeof body !== 'object') return decoded;
+    
+    (Array.isArray(body.handle) ? body.handle : []).forEach(handle => {
+      if (!handle || !handle.type) return;
+      
+      const payload = Array.isArray(handle.payload) ? handle.payload : [handle.payload];
+      decoded.handles[handle.type] = (decoded.handles[handle.type] || [])
+        .concat(payload.filter(item => item !== undefined && item !== null));
+    });
+    
+    decoded.errors = Array.isArray(body.errors) ? body.errors : [];
+    decoded.warnings = Array.isArray(body.warnings) ? body.warnings : [];
+    
+    return decoded;
+  }
+  
+  /**
+   * Build the table rows for a decoded response handle type
+   * @param {string} type - The handle type
+   * @param {Object[]} items - The payload items of that type
+   * @returns {Object} Object with columns and rows arrays
+   */
+  function getHandleRows(type, items) {
+    switch (type) {
+      case 'identity:result':
+        return {
+          columns: ['Namespace', 'ID'],
+          rows: items.map(item => {
+            const identity = item.identity || item;
+            return [identity.namespace && identity.namespace.code, identity.id];
+          })
+        };
+        
+      case 'personalization:decisions':
+        return {
+          columns: ['Scope', 'Proposition ID', 'Activity', 'Experience', 'Items'],
+          rows: items.map(item => {
+            const details = item.scopeDetails || {};
+            return [
+              item.scope,
+              item.id,
+              details.activity && details.activity.id,
+              details.experience && details.experience.id,
+              Array.isArray(item.items) ? item.items.length : 0
+            ];
+          })
+        };
+        
+      case 'locationHint:result':
+        return {
+          columns: ['Scope', 'Hint', 'TTL (s)'],
+          rows: items.map(item => [item.scope, item.hint, item.ttlSeconds])
+        };
+        
+      case 'state:store':
+        return {
+          columns: ['Key', 'Value', 'Max Age (s)'],
+          rows: items.map(item => [item.key, item.value, item.maxAge])
+        };
+        
+      case 'activation:push':
+        return {
+          columns: ['Type', 'Destination', 'Details'],
+          rows: items.map(item => {
+            const spec = item.spec || {};
+            const segments = Array.isArray(item.segments) ? item.segments : (spec.segments || []);
+            return [
+              item.type,
+              item.alias || item.destinationId || spec.name || '',
+              spec.url || (segments.length > 0 ? `${segments.length} segment(s)` : '')
+            ];
+          })
+        };
+        
+      default:
+        return {
+          columns: ['Payload'],
+          rows: items.map(item => [JSON.stringify(item)])
+        };
+    }
+  }
+  
+  /**
+   * Create a table for one decoded handle type
+   * @param {string} title - The table caption
+   * @param {string[]} columns - The column headings
+   * @param {Array[]} rows - The cell values for each row
+   * @returns {HTMLElement} The table wrapper element
+   */
+  function createHandleTable(title, columns, rows) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'handle-section';
+    
+    const heading = document.createElement('div');
+    heading.className = 'handle-title';
+    heading.textContent = `${title} (${rows.length})`;
+    wrapper.appendChild(heading);
+    
+    const table = document.createElement('table');
+    table.className = 'pretty-table';
+    
+    const headRow = document.createElement('tr');
+    columns.forEach(column => {
+      const th = document.createElement('th');
+      th.textContent = column;
+      headRow.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+    
+    const tbody = document.createElement('tbody');
+    rows.forEach((cells, rowIndex) => {
+      const row = document.createElement('tr');
+      if (rowIndex % 2 === 1) {
+        row.className = 'alt-row';
+      }
+      cells.forEach(cell => {
+        const td = document.createElement('td');
+        td.textContent = cell === undefined || cell === null ? '' : String(cell);
+        row.appendChild(td);
+      });
+      tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    
+    wrapper.appendChild(table);
+    return wrapper;
+  }
+  
+  /**
+   * Append response data to result element
+   * @param {HTMLElement} resultElement - The element to append to
+   * @param {Object} response - The parsed Edge response body
+   * @param {Set<string>} openSections - The names of the result's open sections
+   */
+  function appendResponseData(resultElement, response, openSections = new Set()) {
+    if (!response) return;
+    
+    appendLazySection(resultElement, {
+      name: 'response',
+      title: 'Response Data',
+      headerClass: 'xdm-header',
+      containerClass: 'response-container',
+      openSections
+    }, responseContent => {
+      // Break the handles down by type, known types first
+      const decoded = decodeEdgeResponse(response);
+      const handleTypes = Object.keys(decoded.handles).sort((a, b) => {
+        const knownA = a in RESPONSE_HANDLE_TYPES;
+        const knownB = b in RESPONSE_HANDLE_TYPES;
+        return knownA === knownB ? 0 : (knownA ? -1 : 1);
+      });
+      
+      handleTypes.forEach(type => {
+        const { columns, rows } = getHandleRows(type, decoded.handles[type]);
+        responseContent.appendChild(createHandleTable(RESPONSE_HANDLE_TYPES[type] || type, columns, rows));
+      });
+      
+      [['Errors', decoded.errors], ['Warnings', decoded.warnings]].forEach(([title, items]) => {
+        if (items.length === 0) return;
+        responseContent.appendChild(createHandleTable(title, ['Code', 'Title', 'Detail'],
+          items.map(item => [item.code || item.type, item.title, item.detail || item.message])));
+      });
+      
+      const responsePre = document.createElement('pre');
+      responsePre.className = 'xdm-content';
+      
+      try {
+        responsePre.textContent = JSON.stringify(response, null, 2);
+      } catch (e) {
+        responsePre.textContent = `Error formatting response data: ${e.message}`;
+      }
+      
+      responseContent.appendChild(responsePre);
+    });
+  }
+  
+  /**
+   * Attach a late-arriving response to its results, rendering any that are shown again
+   * @param {string} requestId - The Edge request ID
+   * @param {Object} response - The parsed Edge response body
+   */
+  function attachResponseToResults(requestId, response) {
+    state.resultRecords.forEach(record => {
+      if (record.requestId !== requestId) return;
+      record.response = response;
+      state.resultsList.refresh(`result-${record.id}`);
+    });
+  }
+  
+  /**
+   * Store a captured Edge response and join it to its results by request ID
+   * @param {string} requestId - The Edge request ID
+   * @param {Object} response - The parsed Edge response body
+   */
+  function handleEdgeResponse(requestId, response) {
+    state.responses.set(requestId, response);
+    
+    // Drop the oldest responses once the cache is full
+    while (state.responses.size > CONFIG.MAX_CACHED_RESPONSES) {
+      state.responses.delete(state.responses.keys().next().value);
+    }
+    
+    if (state.debugMode) {
+      console.log("[Panel] Edge response captured:", requestId);
+    }
+    
+    // Let the background persist it with the recorded events
+    try {
+      if (state.backgroundPort) {
+        state.backgroundPort.postMessage({ action: 'responseCaptured', requestId, response });
+      }
+    } catch (e) {
+      console.error('Error forwarding response to background:', e);
+    }
+    
+    attachResponseToResults(requestId, response);
+    
+    const record = state.resultsByRequestId.get(requestId);
+    IdentityTracker.recordResponse(state.identity, response, {
+      requestId,
+      eventType: record ? record.eventType : null,
+      capturedAt: Date.now()
+    });
+    updateIdentityView();
+    recordConsentPreferences(response, requestId, Date.now());
+    updateConsentView();
+    PropositionTracker.recordResponse(state.propositions, response, {
+      requestId,
+      eventType: record ? record.eventType : null,
+      capturedAt: Date.now()
+    });
+    updatePersonalizationView();
+  }
+  
+  /**
+   * Capture Edge Network response bodies through the DevTools network API
+   */
+  function captureEdgeResponses() {
+    if (!chrome.devtools || !chrome.devtools.network) return;
+    
+    chrome.devtools.network.onRequestFinished.addListener((request) => {
+      const url = request.request && request.request.url;
+      if (!EdgeEndpoints.match(url, state.compiledEndpointPatterns)) return;
+      
+      let requestId = null;
+      try {
+        requestId = new URL(url).searchParams.get('requestId');
+      } catch (e) {
+        return;
+      }
+      if (!requestId) return;
+      
+      request.getContent((content) => {
+        if (!content) return;
+        
+        try {
+          handleEdgeResponse(requestId, JSON.parse(content));
+        } catch (e) {
+          if (state.debugMode) {
+            console.error("[Panel] Error parsing Edge response:", e);
+          }
+        }
+      });
+    });
+  }
+  
+  /**
+   * Switch between the results and the other views
+   * @param {string} viewId - The ID of the view element
+   */
+  function showView(viewId) {
+    state.activeView = viewId;
+    elements.viewTabs.forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.view === viewId);
+      const view = document.getElementById(tab.dataset.view);
+      if (view) {
+        view.style.display = tab.dataset.view === viewId ? '' : 'none';
+      }
+    });
+    
+    if (viewId === 'identityView') {
+      refreshIdentityCookies();
+    } else if (viewId === 'consentView') {
+      renderConsent();
+    } else if (viewId === 'personalizationView') {
+      renderPersonalization();
+    } else if (viewId === 'commandsView') {
+      renderCommands();
+    } else if (viewId === 'timelineView') {
+      renderTimeline();
+    }
+  }
+  
+  /**
+   * Feed a new result's identityMap and response ECID to the identity tracker
+   * @param {Object} record - The result record
+   * @param {Object} response - The Edge response, if already captured
+   */
+  function trackIdentity(record, response) {
+    const context = { eventType: record.eventType, capturedAt: record.capturedAt, requestId: record.requestId };
+    IdentityTracker.recordEvent(state.identity, { ...context, xdm: record.fullXdm });
+    if (response) {
+      IdentityTracker.recordResponse(state.identity, response, context);
+    }
+    updateIdentityView();
+  }
+  
+  /**
+   * Read the Adobe identity cookies of the inspected page
+   */
+  function refreshIdentityCookies() {
+    try {
+      chrome.devtools.inspectedWindow.eval('document.cookie', (result, exceptionInfo) => {
+        if (exceptionInfo) {
+          updateStatus('Could not read cookies from the inspected page');
+          return;
+        }
+        state.identityCookies = IdentityTracker.parseCookies(result);
+        updateIdentityView();
+      });
+    } catch (e) {
+      console.error('Error reading cookies:', e);
+    }
+  }
+  
+  /**
+   * Update the Identity tab label and, when visible, the view
+   */
+  function updateIdentityView() {
+    const identityTab = [...elements.viewTabs].find(tab => tab.dataset.view === 'identityView');
+    if (identityTab) {
+      const flagCount = state.identity.flags.length;
+      identityTab.textContent = flagCount > 0 ? `Identity (${flagCount} ⚠)` : 'Identity';
+    }
+    if (elements.currentEcid) {
+      elements.currentEcid.textContent = state.identity.currentEcid || 'none yet';
+    }
+    if (state.activeView === 'identityView') {
+      renderIdentity();
+    }
+  }
+  
+  /**
+   * Build a pretty table from rows of cell markup
+   * @param {string[]} headings - The column headings
+   * @param {string[][]} rows - The cells of each row, already escaped
+   * @returns {string} The table markup
+   */
+  function buildTable(headings, rows) {
+    return `
+      <table class="pretty-table">
+        <thead><tr>${headings.map(heading => `<th>${escapeHtml(heading)}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map((cells, index) => `
+          <tr class="${index % 2 === 1 ? 'alt-row' : ''}">${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>
+        `).join('')}</tbody>
+      </table>
+    `;
+  }
+  
+  /**
+   * Render ECID history, identityMap namespaces, cookies and flags
+   */
+  function renderIdentity() {
+    if (!elements.identityContent) return;
+    
+    const identity = state.identity;
+    const time = (timestamp) => escapeHtml(new Date(timestamp).toLocaleTimeString());
+    
+    // Cookies that disagree with the events are flagged next to the tracked changes
+    const cookieFlags = state.identityCookies
+      .filter(cookie => cookie.ecid && identity.currentEcid && cookie.ecid !== identity.currentEcid)
+      .map(cookie => ({ message: `${cookie.name} holds ECID ${cookie.ecid}, events use ${identity.currentEcid}` }));
+    const flags = [...identity.flags, ...cookieFlags];
+    
+    const namespaceRows = [];
+    Object.keys(identity.namespaces).sort().forEach(namespace => {
+      const ids = identity.namespaces[namespace].ids;
+      Object.keys(ids).forEach(id => {
+        const entry = ids[id];
+        namespaceRows.push([
+          escapeHtml(namespace),
+          `<code>${escapeHtml(id)}</code>`,
+          entry.primary ? 'yes' : 'no',
+          escapeHtml(entry.authenticatedState),
+          escapeHtml(entry.eventTypes.join(', ')),
+          time(entry.lastSeen)
+        ]);
+      });
+    });
+    
+    elements.identityContent.innerHTML = `
+      <div class="identity-section">
+        <h4>Flags</h4>
+        ${flags.length === 0 ? 'No identity changes or disagreements.' : `
+          <ul class="validation-issues">
+            ${flags.map(flag => `
+              <li class="warning">⚠ ${flag.capturedAt ? `${time(flag.capturedAt)} ` : ''}${flag.eventType ? `<code>${escapeHtml(flag.eventType)}</code>: ` : ''}${escapeHtml(flag.message)}</li>
+            `).join('')}
+          </ul>
+        `}
+      </div>
+      <div class="identity-section">
+        <h4>ECID history</h4>
+        ${identity.ecids.length === 0 ? 'No ECID seen yet.' : buildTable(
+          ['ECID', 'First seen', 'Last seen', 'Sightings', 'Seen in'],
+          identity.ecids.map(entry => [
+            `<code>${escapeHtml(entry.ecid)}</code>${entry.ecid === identity.currentEcid ? ' (current)' : ''}`,
+            time(entry.firstSeen),
+            time(entry.lastSeen),
+            escapeHtml(entry.count),
+            escapeHtml(entry.sources.join(', '))
+          ])
+        )}
+      </div>
+      <div class="identity-section">
+        <h4>identityMap</h4>
+        ${namespaceRows.length === 0 ? 'No identityMap seen yet.' : buildTable(
+          ['Namespace', 'ID', 'Primary', 'authenticatedState', 'Event types', 'Last seen'],
+          namespaceRows
+        )}
+      </div>
+      <div class="identity-section">
+        <h4>Cookies</h4>
+        ${state.identityCookies.length === 0 ? 'No kndctr_ or AMCV_ cookies readable by the page (HttpOnly cookies are not shown).' : buildTable(
+          ['Cookie', 'Org ID', 'ECID', 'Value'],
+          state.identityCookies.map(cookie => [
+            escapeHtml(cookie.name),
+            escapeHtml(cookie.orgId),
+            cookie.ecid ? `<code>${escapeHtml(cookie.ecid)}</code>` : '',
+            `<code title="${escapeHtml(cookie.value)}">${escapeHtml(cookie.value.length > 60 ? `${cookie.value.slice(0, 60)}…` : cookie.value)}</code>`
+          ])
+        )}
+      </div>
+    `;
+  }
+  
+  /**
+   * Create an empty consent timeline
+   * @returns {Object} Object with timeline, counts by consent state, events captured without consent and seen responses
+   */
+  function createConsentState() {
+    return {
+      timeline: [],
+      counts: { in: 0, out: 0, pending: 0, unknown: 0 },
+      withoutConsent: [],
+      seenResponses: new Set()
+    };
+  }
+  
+  /**
+   * Get the consent state after the latest timeline entry
+   * @returns {string} in, out, pending or unknown
+   */
+  function getCurrentConsent() {
+    const timeline = state.consent.timeline;
+    return timeline.length > 0 ? timeline[timeline.length - 1].state : 'unknown';
+  }
+  
+  /**
+   * Add set-consent calls to the timeline and count events by the consent they were captured under
+   * @param {Object} record - The result record
+   * @param {Object} requestInfo - Information about the request
+   * @param {Object} response - The Edge response, if already captured
+   */
+  function trackConsent(record, requestInfo, response) {
+    const change = requestInfo.consentChange;
+    if (change) {
+      state.consent.timeline.push({
+        at: record.capturedAt,
+        source: 'set-consent',
+        state: change.state,
+        previousState: change.previousState,
+        entries: change.entries
+      });
+    } else if (requestInfo.consent) {
+      const consentState = requestInfo.consent.state;
+      state.consent.counts[consentState] = (state.consent.counts[consentState] || 0) + 1;
+      if (consentState === 'pending' || consentState === 'out') {
+        state.consent.withoutConsent.push({ ...record, consentState });
+      }
+    }
+    
+    if (response) {
+      recordConsentPreferences(response, record.requestId, record.capturedAt);
+    }
+    updateConsentView();
+  }
+  
+  /**
+   * Add the consent Edge reports in consent:preferences handles when it differs from the timeline
+   * @param {Object} response - The parsed Edge response body
+   * @param {string} requestId - The Edge request ID
+   * @param {number} at - When the response was captured
+   */
+  function recordConsentPreferences(response, requestId, at) {
+    if (requestId) {
+      if (state.consent.seenResponses.has(requestId)) return;
+      state.consent.seenResponses.add(requestId);
+    }
+    
+    const preferences = decodeEdgeResponse(response).handles['consent:preferences'];
+    if (!preferences || preferences.length === 0) return;
+    
+    const entries = ConsentDecoder.decode(preferences);
+    const consentState = ConsentDecoder.combine(entries);
+    if (consentState === getCurrentConsent()) return;
+    
+    state.consent.timeline.push({
+      at,
+      source: 'Edge response',
+      state: consentState,
+      previousState: getCurrentConsent(),
+      entries
+    });
+  }
+  
+  /**
+   * Build the consent label for a result
+   * @param {Object} requestInfo - Information about the request
+   * @returns {string} The label markup, or an empty string for events sent with consent
+   */
+  function getConsentLabel(requestInfo) {
+    if (!requestInfo) return '';
+    
+    if (requestInfo.consentChange) {
+      const change = requestInfo.consentChange;
+      return `<div class="consent-label consent-${escapeHtml(change.state)}" title="Was ${escapeHtml(change.previousState)}">consent → ${escapeHtml(change.state)}</div>`;
+    }
+    
+    const consentState = requestInfo.consent && requestInfo.consent.state;
+    if (consentState === 'pending') {
+      return '<div class="consent-label consent-pending" title="Captured before consent was given">consent pending</div>';
+    }
+    if (consentState === 'out') {
+      return '<div class="consent-label consent-out" title="Captured after consent was declined">consent declined</div>';
+    }
+    return '';
+  }
+  
+  /**
+   * Update the Consent tab label and, when visible, the view
+   */
+  function updateConsentView() {
+    const consentTab = [...elements.viewTabs].find(tab => tab.dataset.view === 'consentView');
+    if (consentTab) {
+      const count = state.consent.withoutConsent.length;
+      consentTab.textContent = count > 0 ? `Consent (${count} ⚠)` : 'Consent';
+    }
+    if (elements.currentConsent) {
+      const current = getCurrentConsent();
+      elements.currentConsent.className = `consent-label consent-${current}`;
+      elements.currentConsent.textContent = current;
+    }
+    if (state.activeView === 'consentView') {
+      renderConsent();
+    }
+  }
+  
+  /**
+   * Describe a decoded consent entry, naming the TCF purposes
+   * @param {Object} entry - The decoded entry
+   * @returns {string} The description markup
+   */
+  function describeConsentEntry(entry) {
+    const purposes = entry.details && Array.isArray(entry.details.purposesConsent)
+      ? `<ul>${entry.details.purposesConsent.map(purpose => `<li>${escapeHtml(purpose)}. ${escapeHtml(ConsentDecoder.getPurposeName(purpose))}</li>`).join('')}</ul>`
+      : '';
+    return `<div><strong>${escapeHtml(`${entry.standard} ${entry.version}`)}</strong>: ${escapeHtml(entry.summary)}${purposes}</div>`;
+  }
+  
+  /**
+   * Render the consent timeline and the events captured without consent
+   */
+  function renderConsent() {
+    if (!elements.consentContent) return;
+    
+    const consent = state.consent;
+    const time = (timestamp) => escapeHtml(new Date(timestamp).toLocaleTimeString());
+    const stateLabel = (value) => `<span class="consent-label consent-${escapeHtml(value)}">${escapeHtml(value)}</span>`;
+    
+    elements.consentContent.innerHTML = `
+      <div class="identity-section">
+        <h4>Events by consent state</h4>
+        ${Object.keys(consent.counts).map(key => `${stateLabel(key)} ${escapeHtml(consent.counts[key])}`).join(' ')}
+      </div>
+      <div class="identity-section">
+        <h4>Timeline</h4>
+        ${consent.timeline.length === 0 ? 'No set-consent call or consent:preferences handle seen yet.' : buildTable(
+          ['Time', 'Source', 'Change', 'Details'],
+          consent.timeline.map(entry => [
+            time(entry.at),
+            escapeHtml(entry.source),
+            `${stateLabel(entry.previousState)} → ${stateLabel(entry.state)}`,
+            entry.entries.map(describeConsentEntry).join('')
+          ])
+        )}
+      </div>
+      <div class="identity-section">
+        <h4>Events captured without consent</h4>
+        ${consent.withoutConsent.length === 0 ? 'None - no event was captured while consent was pending or declined.' : buildTable(
+          ['Time', 'Event type', 'Consent', 'Request ID'],
+          consent.withoutConsent.map(record => [
+            time(record.capturedAt),
+            escapeHtml(record.eventType),
+            stateLabel(record.consentState),
+            `<code>${escapeHtml(record.requestId || '')}</code>`
+          ])
+        )}
+      </div>
+    `;
+  }
+  
+  /**
+   * Feed a new result's display and interact notifications and its response decisions to the proposition tracker
+   * @param {Object} record - The result record
+   * @param {Object} response - The Edge response, if already captured
+   */
+  function trackPropositions(record, response) {
+    const context = { eventType: record.eventType, capturedAt: record.capturedAt, requestId: record.requestId };
+    
+    // Decisions come back before the notifications of the events that render them
+    if (response) {
+      PropositionTracker.recordResponse(state.propositions, response, context);
+    }
+    PropositionTracker.recordEvent(state.propositions, { ...context, xdm: record.fullXdm });
+    updatePersonalizationView();
+  }
+  
+  /**
+   * Update the Personalization tab label and, when visible, the view
+   */
+  function updatePersonalizationView() {
+    const personalizationTab = [...elements.viewTabs].find(tab => tab.dataset.view === 'personalizationView');
+    if (personalizationTab) {
+      const undisplayed = PropositionTracker.list(state.propositions).filter(entry => entry.returned && entry.displays.length === 0).length;
+      personalizationTab.textContent = undisplayed > 0 ? `Personalization (${undisplayed} not displayed)` : 'Personalization';
+    }
+    if (state.activeView === 'personalizationView') {
+      renderPersonalization();
+    }
+  }
+  
+  /**
+   * Summarize the items of a proposition
+   * @param {Object[]} items - The proposition items
+   * @returns {string} The items markup, with the raw items expandable
+   */
+  function describePropositionItems(items) {
+    if (!items || items.length === 0) return 'no items';
+    
+    const summary = items.map(item => {
+      const schema = String(item.schema || '').split('/').pop();
+      const format = item.data && item.data.format ? ` (${item.data.format})` : '';
+      return `${item.id}${schema ? ` · ${schema}` : ''}${format}`;
+    });
+    return `
+      <details>
+        <summary>${escapeHtml(summary.join(', '))}</summary>
+        <pre>${escapeHtml(JSON.stringify(items, null, 2))}</pre>
+      </details>
+    `;
+  }
+  
+  /**
+   * Render the returned propositions with their display and click notifications
+   */
+  function renderPersonalization() {
+    if (!elements.personalizationContent) return;
+    
+    const time = (timestamp) => escapeHtml(new Date(timestamp).toLocaleTimeString());
+    const all = PropositionTracker.list(state.propositions);
+    const undisplayedOnly = elements.undisplayedOnlyToggle && elements.undisplayedOnlyToggle.checked;
+    const shown = undisplayedOnly ? all.filter(entry => entry.displays.length === 0) : all;
+    
+    const counts = {
+      returned: all.filter(entry => entry.returned).length,
+      displayed: all.filter(entry => entry.displays.length > 0).length,
+      clicked: all.filter(entry => entry.interactions.length > 0).length,
+      undisplayed: all.filter(entry => entry.returned && entry.displays.length === 0).length
+    };
+    
+    elements.personalizationContent.innerHTML = `
+      <div class="identity-section">
+        ${escapeHtml(`${counts.returned} returned · ${counts.displayed} displayed · ${counts.clicked} clicked · ${counts.undisplayed} returned without a display notification`)}
+      </div>
+      ${shown.length === 0 ? 'No propositions yet.' : buildTable(
+        ['Status', 'Scope', 'Activity', 'Experience', 'Items', 'Returned', 'Displayed', 'Clicked'],
+        shown.map(entry => {
+          const activity = entry.scopeDetails.activity || {};
+          const experience = entry.scopeDetails.experience || {};
+          const interactions = entry.interactions.map(interaction => {
+            const label = interaction.action && (interaction.action.label || interaction.action.id);
+            return `${time(interaction.at)}${label ? ` (${escapeHtml(label)})` : ''}`;
+          });
+          
+          return [
+            `<span class="proposition-status proposition-${escapeHtml(entry.status)}" title="Proposition ${escapeHtml(entry.id)}">${escapeHtml(entry.status.replace('-', ' '))}</span>`,
+            `<code>${escapeHtml(entry.scope || '')}</code>`,
+            escapeHtml(activity.id || activity.name || ''),
+            escapeHtml(experience.id || experience.name || ''),
+            describePropositionItems(entry.items),
+            entry.returned
+              ? `${time(entry.returned.at)}${entry.returned.eventType ? ` with ${escapeHtml(entry.returned.eventType)}` : ''}${entry.renderAttempted ? ' · auto-rendered' : ''}`
+              : 'not in a captured response',
+            entry.displays.length > 0 ? `${entry.displays.length}× first at ${time(entry.displays[0].at)}` : '<strong>never</strong>',
+            interactions.length > 0 ? interactions.join('<br>') : ''
+          ];
+        })
+      )}
+    `;
+  }
+  
+  /**
+   * Store a new or updated alloy() command from the page
+   * @param {Object} command - The command record from the page hooks
+   */
+  function trackAlloyCommand(command) {
+    // Updates for a command replace its earlier record
+    const tracked = { ...state.alloyCommands.get(command.id), ...command };
+    state.alloyCommands.set(command.id, tracked);
+    if (tracked.requestId) {
+      state.commandsByRequestId.set(tracked.requestId, tracked.id);
+    }
+    
+    // Only the results whose link changed need their label redrawn
+    const linksBefore = new Map(state.commandResultIds);
+    if (state.alloyCommands.size > CONFIG.MAX_ALLOY_COMMANDS) {
+      const oldest = state.alloyCommands.values().next().value;
+      state.alloyCommands.delete(oldest.id);
+      if (oldest.requestId) state.commandsByRequestId.delete(oldest.requestId);
+      setCommandLink(oldest.id, null);
+    }
+    linkCommand(tracked);
+    
+    const changed = new Set([state.commandResultIds.get(tracked.id)]);
+    new Set([...linksBefore.keys(), ...state.commandResultIds.keys()]).forEach(commandId => {
+      if (linksBefore.get(commandId) !== state.commandResultIds.get(commandId)) {
+        changed.add(linksBefore.get(commandId));
+        changed.add(state.commandResultIds.get(commandId));
+      }
+    });
+    const elementsByKey = state.resultsList.getElements();
+    changed.forEach(resultId => {
+      const record = resultId !== undefined ? state.resultRecords.get(resultId) : null;
+      if (record) addCommandLabel(record, elementsByKey.get(`result-${record.id}`));
+    });
+    updateCommandsView();
+  }
+  
+  /**
+   * Get the event type a command's options ask for
+   * @param {Object} command - The command record
+   * @returns {string|null} The event type, if the options set one
+   */
+  function getCommandEventType(command) {
+    const options = command.options || {};
+    return options.type || (options.xdm && options.xdm.eventType) || null;
+  }
+  
+  /**
+   * Check whether a result fits a command that has no request ID, by event type and time
+   * @param {Object} command - The command record
+   * @param {Object} record - The result record
+   * @returns {boolean} True if the command could have sent the result
+   */
+  function isTimeMatch(command, record) {
+    if (command.command !== 'sendEvent' && command.command !== 'setConsent') return false;
+    if (state.commandsByRequestId.has(record.requestId)) return false;
+    
+    const eventType = command.command === 'setConsent' ? 'set-consent' : getCommandEventType(command);
+    return record.capturedAt >= command.startedAt &&
+      record.capturedAt <= getCommandMatchEnd(command) &&
+      (!eventType || record.eventType === eventType);
+  }
+  
+  /**
+   * Link a command and a result, replacing the earlier links of both
+   * @param {string} commandId - The command ID
+   * @param {Object|null} record - The result record, or null to unlink the command
+   */
+  function setCommandLink(commandId, record) {
+    const previous = state.resultRecords.get(state.commandResultIds.get(commandId));
+    if (previous && previous.commandId === commandId) previous.commandId = null;
+    state.commandResultIds.delete(commandId);
+    if (!record) return;
+    
+    if (record.commandId && record.commandId !== commandId) {
+      state.commandResultIds.delete(record.commandId);
+    }
+    record.commandId = commandId;
+    state.commandResultIds.set(commandId, record.id);
+  }
+  
+  /**
+   * Work out the result of a command when it is added or updated
+   *
+   * Commands linked by an alloy monitor are matched on request ID. Without
+   * monitors, a sendEvent or setConsent command is matched to the first
+   * result of the same event type captured while it was pending.
+   *
+   * @param {Object} command - The command record
+   */
+  function linkCommand(command) {
+    if (command.requestId) {
+      const record = state.resultsByRequestId.get(command.requestId) || null;
+      const displaced = record && record.commandId && record.commandId !== command.id ? record.commandId : null;
+      setCommandLink(command.id, record);
+      // A command matched by time loses its result to the linked one, so it may fit another
+      if (displaced && state.alloyCommands.has(displaced)) linkCommand(state.alloyCommands.get(displaced));
+      return;
+    }
+    
+    const current = state.resultRecords.get(state.commandResultIds.get(command.id));
+    if (current && isTimeMatch(command, current)) return;
+    
+    let match = null;
+    for (const record of state.resultRecords.values()) {
+      if (!record.commandId && isTimeMatch(command, record)) {
+        match = record;
+        break;
+      }
+    }
+    setCommandLink(command.id, match);
+  }
+  
+  /**
+   * Work out the command of a result when it is added
+   * @param {Object} record - The result record
+   */
+  function linkResult(record) {
+    const commandId = state.commandsByRequestId.get(record.requestId);
+    if (commandId !== undefined) {
+      if (!state.commandResultIds.has(commandId)) setCommandLink(commandId, record);
+      return;
+    }
+    
+    for (const command of state.alloyCommands.values()) {
+      if (!command.requestId && !state.commandResultIds.has(command.id) && isTimeMatch(command, record)) {
+        setCommandLink(command.id, record);
+        return;
+      }
+    }
+  }
+  
+  /**
+   * Find the result of the Edge request a command sent
+   * @param {Object} command - The command record
+   * @returns {Object|null} The result record
+   */
+  function findResultForCommand(command) {
+    const resultId = state.commandResultIds.get(command.id);
+    return resultId !== undefined ? state.resultRecords.get(resultId) || null : null;
+  }
+  
+  /**
+   * Get the latest capture time of a result a command without a request ID can be matched to
+   * @param {Object} command - The command record
+   * @returns {number} The time, Infinity while the command is pending
+   */
+  function getCommandMatchEnd(command) {
+    return command.durationMs === null
+      ? Infinity
+      : command.startedAt + command.durationMs + CONFIG.COMMAND_MATCH_SLACK_MS;
+  }
+  
+  /**
+   * Find the alloy() command that sent a result
+   * @param {Object} record - The result record
+   * @returns {Object|null} The command record
+   */
+  function findCommandForResult(record) {
+    return record.commandId ? state.alloyCommands.get(record.commandId) || null : null;
+  }
+  
+  /**
+   * Label a displayed result with the alloy() command that sent it, replacing an outdated label
+   * @param {Object} record - The result record
+   * @param {HTMLElement} resultElement - The result element, looked up if not given
+   */
+  function addCommandLabel(record, resultElement = null) {
+    const element = resultElement || document.querySelector(`.result[data-result-id="${record.id}"]`);
+    const header = element && element.querySelector('.result-header');
+    if (!header) return;
+    
+    const existing = header.querySelector('.command-label');
+    if (existing) existing.remove();
+    
+    const command = findCommandForResult(record);
+    if (!command) return;
+    
+    const title = `${command.instance}("${command.command}") ${command.status}${command.durationMs !== null ? ` in ${command.durationMs} ms` : ''}${command.requestId ? '' : ' - matched by event type and time'}`;
+    header.querySelector('.timestamp').insertAdjacentHTML('beforebegin',
+      `<div class="command-label" title="${escapeHtml(title)}">${escapeHtml(`${command.instance}("${command.command}")`)}</div>`);
+  }
+  
+  /**
+   * Update the Commands tab label and, when visible, the view
+   */
+  function updateCommandsView() {
+    const commandsTab = [...elements.viewTabs].find(tab => tab.dataset.view === 'commandsView');
+    if (commandsTab) {
+      const rejected = [...state.alloyCommands.values()].filter(command => command.status === 'rejected').length;
+      commandsTab.textContent = rejected > 0 ? `Commands (${rejected} rejected)` : 'Commands';
+    }
+    if (state.activeView === 'commandsView') {
+      renderCommands();
+    }
+  }
+  
+  /**
+   * Build an expandable JSON preview
+   * @param {*} value - The value to show
+   * @returns {string} The markup, empty for null and undefined
+   */
+  function describeJson(value) {
+    if (value === null || value === undefined) return '';
+    
+    const json = JSON.stringify(value, null, 2);
+    const preview = JSON.stringify(value);
+    return `
+      <details>
+        <summary><code>${escapeHtml(preview.length > 60 ? `${preview.slice(0, 60)}…` : preview)}</code></summary>
+        <pre>${escapeHtml(json)}</pre>
+      </details>
+    `;
+  }
+  
+  /**
+   * Render the alloy() commands with their outcome and the request they sent
+   */
+  function renderCommands() {
+    if (!elements.commandsContent) return;
+    
+    const commands = [...state.alloyCommands.values()];
+    elements.commandsContent.innerHTML = commands.length === 0
+      ? 'No alloy() commands yet. Commands are recorded from page load while the inspector is installed.'
+      : buildTable(
+        ['Time', 'Command', 'Options', 'Status', 'Duration', 'Result', 'Request'],
+        commands.map(command => {
+          const record = findResultForCommand(command);
+          let request = command.requestId ? `<code>${escapeHtml(command.requestId)}</code>` : '';
+          if (command.responseStatus !== null && command.responseStatus !== undefined) {
+            request += ` · ${escapeHtml(command.responseStatus)}`;
+          }
+          if (record) {
+            const hint = command.requestId ? '' : ' (matched by event type and time)';
+            request += ` <button class="show-request" data-result-id="${record.id}">Show ${escapeHtml(record.eventType)}</button>${escapeHtml(hint)}`;
+          }
+          
+          return [
+            escapeHtml(new Date(command.startedAt).toLocaleTimeString()),
+            `<code>${escapeHtml(`${command.instance}("${command.command}")`)}</code>`,
+            describeJson(command.options),
+            `<span class="command-status command-${escapeHtml(command.status)}">${escapeHtml(command.status)}</span>`,
+            command.durationMs !== null ? `${escapeHtml(command.durationMs)} ms` : '',
+            command.error ? `<strong>${escapeHtml(`${command.error.name}: ${command.error.message}`)}</strong>` : describeJson(command.result),
+            request
+          ];
+        }).reverse()
+      );
+  }
+  
+  /**
+   * Show a result in the Results view
+   * @param {number} resultId - The result ID
+   */
+  function showResult(resultId) {
+    revealInResults(`result-${resultId}`);
+  }
+  
+  /**
+   * Switch to the Results view and highlight an item in it
+   * @param {string} key - The key of a result or data layer entry in the history
+   */
+  function revealInResults(key) {
+    showView('resultsView');
+    
+    const element = state.resultsList.scrollToKey(key);
+    if (!element) {
+      updateStatus(state.history.has(key) ? 'Hidden by the filter' : 'No longer in the history');
+      return;
+    }
+    
+    element.classList.add('highlighted');
+    setTimeout(() => element.classList.remove('highlighted'), 2000);
+  }
+  
+  /**
+   * Describe a data layer entry in a few words
+   * @param {Object} entry - The data layer entry
+   * @returns {string} e.g. push "cmp:click" or 3 changes
+   */
+  function describeDataLayerEntry(entry) {
+    if (entry.kind === 'assign') return 'assigned';
+    if (entry.kind === 'change') return `${entry.changes.length} change${entry.changes.length === 1 ? '' : 's'}`;
+    
+    const data = entry.data;
+    if (data && typeof data.event === 'string') return `push "${data.event}"`;
+    if (typeof data === 'string' && data.startsWith('[Function')) return 'push callback';
+    if (data && typeof data === 'object') return `push {${Object.keys(data).slice(0, 3).join(', ')}${Object.keys(data).length > 3 ? ', …' : ''}}`;
+    return 'push';
+  }
+  
+  /**
+   * Show a data layer push or change between the results captured around it
+   * @param {Object} entry - The data layer entry from the page hooks
+   */
+  function addDataLayerEntry(entry) {
+    if (!elements.resultsContainer) return;
+    
+    // ACDL has no state until its library has loaded
+    let changes = [];
+    if (entry.state) {
+      changes = XdmDiff.listChanges(XdmDiff.diff(state.dataLayerStates[entry.source] || {}, entry.state));
+      state.dataLayerStates[entry.source] = entry.state;
+    }
+    const stored = { ...entry, changes, open: false };
+    state.dataLayerEntries.push(stored);
+    state.history.set(`datalayer-${entry.id}`, { kind: 'dataLayer', entry: stored });
+    if (state.dataLayerEntries.length > CONFIG.MAX_DATA_LAYER_ENTRIES) {
+      state.history.delete(`datalayer-${state.dataLayerEntries.shift().id}`);
+    }
+    state.resultsList.update();
+  }
+  
+  /**
+   * Build the element for a data layer entry, with its details built when first opened
+   * @param {Object} entry - The stored data layer entry
+   * @returns {HTMLElement} The entry element
+   */
+  function renderDataLayerEntry(entry) {
+    const format = value => (value === undefined ? '' : escapeHtml(JSON.stringify(value)));
+    const entryElement = document.createElement('div');
+    entryElement.className = 'datalayer-entry';
+    entryElement.dataset.entryId = entry.id;
+    entryElement.innerHTML = `
+      <div class="datalayer-header">
+        <span class="datalayer-source">${escapeHtml(entry.source)}</span>
+        <strong>${escapeHtml(describeDataLayerEntry(entry))}</strong>
+        <span class="timestamp">${escapeHtml(new Date(entry.at).toLocaleTimeString())}</span>
+      </div>
+      <details>
+        <summary>${escapeHtml(`${entry.changes.length} state change${entry.changes.length === 1 ? '' : 's'}`)}</summary>
+      </details>
+    `;
+    
+    const details = entryElement.querySelector('details');
+    details.addEventListener('toggle', () => {
+      entry.open = details.open;
+      if (!details.open || details.children.length > 1) return;
+      details.insertAdjacentHTML('beforeend', `
+        ${entry.data !== null && entry.data !== undefined ? `<pre>${escapeHtml(JSON.stringify(entry.data, null, 2))}</pre>` : ''}
+        ${entry.changes.length > 0 ? buildTable(['Path', 'Before', 'After'], entry.changes.map(change => [
+          `<code>${escapeHtml(change.path)}</code>`,
+          format(change.before),
+          format(change.after)
+        ])) : ''}
+      `);
+    });
+    details.open = entry.open;
+    
+    return entryElement;
+  }
+  
+  /**
+   * Find the data layer entry an Edge event most likely came from
+   *
+   * That is the last push or change before the alloy() command that sent the
+   * event started, or before the event was captured when no command is
+   * known, if it is at most DATA_LAYER_CAUSE_WINDOW_MS earlier.
+   *
+   * @param {Object} record - The result record
+   * @returns {Object|null} The data layer entry
+   */
+  function findDataLayerCause(record) {
+    const command = findCommandForResult(record);
+    const sentAt = command ? command.startedAt : record.capturedAt;
+    
+    for (let i = state.dataLayerEntries.length - 1; i >= 0; i--) {
+      const entry = state.dataLayerEntries[i];
+      if (entry.at <= sentAt) {
+        return sentAt - entry.at <= CONFIG.DATA_LAYER_CAUSE_WINDOW_MS ? entry : null;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Label a displayed result with the data layer entry that caused it
+   * @param {Object} record - The result record, with the cause found when it was added
+   * @param {HTMLElement} resultElement - The result element, looked up if not given
+   */
+  function addCausedByLabel(record, resultElement = null) {
+    const element = resultElement || document.querySelector(`.result[data-result-id="${record.id}"]`);
+    const header = element && element.querySelector('.result-header');
+    const cause = record.cause;
+    if (!header || !cause) return;
+    
+    const label = document.createElement('button');
+    label.className = 'caused-by';
+    label.title = `${cause.source} ${new Date(cause.at).toLocaleTimeString()}, ${record.capturedAt - cause.at} ms before capture`;
+    label.textContent = `caused by ${cause.source} ${describeDataLayerEntry(cause)}`;
+    label.addEventListener('click', () => {
+      revealInResults(`datalayer-${cause.id}`);
+    });
+    header.insertBefore(label, header.querySelector('.timestamp'));
+  }
+  
+  /**
+   * Feed a stream message of the inspected tab to the timeline
+   * @param {Object} message - The message from the background
+   */
+  function trackTimeline(message) {
+    // Offsets from another tab's navigation start would be meaningless
+    if (message.tabId !== undefined && message.tabId !== state.inspectedTabId) return;
+    
+    const timeline = state.timeline;
+    if (message.action === 'displayResults' && message.requestInfo) {
+      Timeline.recordRequest(timeline, {
+        requestId: message.requestInfo.requestId,
+        eventType: message.results && message.results.eventType,
+        url: message.url,
+        capturedAt: message.capturedAt
+      });
+    } else if (message.action === 'requestTiming' && message.timing) {
+      Timeline.recordTiming(timeline, message.timing);
+    } else if (message.action === 'pageMarker' && message.marker) {
+      const marker = message.marker;
+      if (marker.kind === 'navigation') {
+        Timeline.recordNavigation(timeline, marker);
+      } else {
+        Timeline.recordMarker(timeline, {
+          id: `page-${marker.kind}-${marker.at}`,
+          kind: marker.kind,
+          label: marker.kind === 'route' ? `route ${marker.url} (${marker.detail})` : marker.kind,
+          at: marker.at,
+          url: marker.url
+        });
+      }
+    } else if (message.action === 'alloyCommand' && message.command) {
+      const command = message.command;
+      Timeline.recordMarker(timeline, {
+        id: `command-${command.id}`,
+        kind: 'command',
+        label: `${command.instance}("${command.command}") ${command.status}`,
+        at: command.startedAt,
+        duration: command.durationMs
+      });
+    } else if (message.action === 'dataLayerEvent' && message.entry) {
+      const entry = message.entry;
+      const event = entry.data && typeof entry.data.event === 'string' ? ` "${entry.data.event}"` : '';
+      Timeline.recordMarker(timeline, {
+        id: `datalayer-${entry.id}`,
+        kind: 'datalayer',
+        label: `${entry.source} ${entry.kind}${event}`,
+        at: entry.at
+      });
+    } else {
+      return;
+    }
+    
+    updateTimelineView();
+  }
+  
+  /**
+   * Re-render the timeline when it is visible
+   */
+  function updateTimelineView() {
+    if (state.activeView === 'timelineView') {
+      renderTimeline();
+    }
+  }
+  
+  /**
+   * Fill the page session picker, keeping the current choice
+   * @param {Object[]} sessions - Sessions from Timeline.getSessions()
+   */
+  function updateTimelineSessions(sessions) {
+    if (!elements.timelineSessionSelect) return;
+    
+    elements.timelineSessionSelect.innerHTML = [
+      '<option value="">Latest page</option>',
+      ...sessions.map(session => {
+        const label = `${new Date(session.start).toLocaleTimeString()} ${session.url || 'before the first navigation seen'}`;
+        return `<option value="${session.index}">${escapeHtml(label)}</option>`;
+      })
+    ].join('');
+    elements.timelineSessionSelect.value = state.timelineSession === null ? '' : String(state.timelineSession);
+  }
+  
+  /**
+   * Render the selected page session as a waterfall with a list of offsets below
+   */
+  function renderTimeline() {
+    if (!elements.timelineContent) return;
+    
+    const sessions = Timeline.getSessions(state.timeline);
+    updateTimelineSessions(sessions);
+    const session = sessions[state.timelineSession === null ? sessions.length - 1 : state.timelineSession];
+    if (!session) {
+      elements.timelineContent.innerHTML = 'No timeline yet. Reload the page to record it from navigation start.';
+      return;
+    }
+    
+    const layout = Timeline.build(state.timeline, session, state.timelineZoom);
+    const offset = ms => `+${ms.toFixed(1)} ms`;
+    const laneHeight = 22;
+    if (elements.timelineRange) {
+      elements.timelineRange.textContent = `${offset(layout.from)} to ${offset(layout.to)}`;
+    }
+    
+    const bars = layout.bars.map(bar => {
+      const label = bar.eventTypes.length > 0 ? bar.eventTypes.join(', ') : 'request';
+      const failed = bar.error || bar.statusCode >= 400;
+      const title = [
+        label,
+        `sent ${offset(bar.from)}`,
+        bar.responseOffset !== null ? `response ${offset(bar.responseOffset)}` : null,
+        bar.pending ? 'not completed' : `completed ${offset(bar.to)}`,
+        bar.duration !== null ? `duration ${bar.duration.toFixed(1)} ms` : null,
+        bar.error || (bar.statusCode ? `status ${bar.statusCode}` : null)
+      ].filter(Boolean).join('\n');
+      const response = bar.responseLeft === null ? '' : `<span class="timeline-response" style="left: ${((bar.responseLeft - bar.left) / bar.width) * 100}%;"></span>`;
+      
+      return `
+        <div class="timeline-bar${failed ? ' timeline-bar-error' : ''}${bar.pending ? ' timeline-bar-pending' : ''}"
+          style="left: ${bar.left}%; width: ${bar.width}%; top: ${bar.lane * laneHeight}px;" title="${escapeHtml(title)}">
+          ${response}<span class="timeline-bar-label">${escapeHtml(label)}${bar.duration !== null ? ` ${escapeHtml(Timeline.formatOffset(bar.duration))}` : ''}</span>
+        </div>
+      `;
+    }).join('');
+    
+    const markers = layout.markers.map(marker => `
+      <span class="timeline-marker timeline-marker-${escapeHtml(marker.kind)}"
+        style="left: ${marker.left}%;${marker.width ? ` width: ${marker.width}%;` : ''}"
+        title="${escapeHtml(`${marker.label} ${offset(marker.from)}`)}"></span>
+    `).join('');
+    
+    const rows = [
+      ...layout.bars.map(bar => ({
+        at: bar.from,
+        cells: [
+          'request',
+          escapeHtml(bar.eventTypes.join(', ') || bar.requestId),
+          bar.duration !== null ? `${bar.duration.toFixed(1)} ms` : (bar.pending ? 'pending' : ''),
+          escapeHtml(bar.error || bar.statusCode || '')
+        ]
+      })),
+      ...layout.markers.map(marker => ({
+        at: marker.from,
+        cells: [escapeHtml(marker.kind), escapeHtml(marker.label), marker.duration !== null ? `${marker.duration.toFixed(1)} ms` : '', '']
+      }))
+    ].sort((a, b) => a.at - b.at);
+    
+    elements.timelineContent.innerHTML = `
+      <div class="timeline" data-from="${layout.from}" data-to="${layout.to}">
+        <div class="timeline-axis">
+          ${layout.ticks.map(tick => `<span class="timeline-tick" style="left: ${tick.left}%;">${escapeHtml(Timeline.formatOffset(tick.offset))}</span>`).join('')}
+        </div>
+        <div class="timeline-markers">${markers}</div>
+        <div class="timeline-lanes" style="height: ${Math.max(layout.laneCount, 1) * laneHeight}px;">${bars}</div>
+        <div class="timeline-selection" style="display: none;"></div>
+      </div>
+      ${buildTable(['Offset', 'Kind', 'What', 'Duration', 'Status'], rows.map(row => [offset(row.at), ...row.cells]))}
+    `;
+  }
+  
+  /**
+   * Zoom the timeline into the range dragged across it
+   * @param {MouseEvent} event - The mousedown event
+   */
+  function startTimelineZoom(event) {
+    const plot = event.target.closest('.timeline');
+    if (!plot || event.button !== 0) return;
+    event.preventDefault();
+    
+    const rect = plot.getBoundingClientRect();
+    const selection = plot.querySelector('.timeline-selection');
+    const startX = event.clientX - rect.left;
+    const clamp = x => Math.min(Math.max(x, 0), rect.width);
+    
+    const onMove = (moveEvent) => {
+      const x = clamp(moveEvent.clientX - rect.left);
+      selection.style.display = '';
+      selection.style.left = `${Math.min(startX, x)}px`;
+      selection.style.width = `${Math.abs(x - startX)}px`;
+    };
+    const onUp = (upEvent) => {
+      document.removeEventListener('mousemove', onMove);
+      document.removeEventListener('mouseup', onUp);
+      selection.style.display = 'none';
+      
+      const endX = clamp(upEvent.clientX - rect.left);
+      if (Math.abs(endX - startX) < 5) return;
+      
+      const from = Number(plot.dataset.from);
+      const to = Number(plot.dataset.to);
+      const toOffset = x => from + (x / rect.width) * (to - from);
+      state.timelineZoom = { from: toOffset(Math.min(startX, endX)), to: toOffset(Math.max(startX, endX)) };
+      renderTimeline();
+    };
+    
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+  }
+  
+  /**
+   * Get the combined rule and schema validation status of an event
+   * @param {Object} requestInfo - Information about the request
+   * @returns {string} pass, warning or error
+   */
+  function getValidationStatus(requestInfo) {
+    if (countSchemaViolations(requestInfo.schemaValidation) > 0) return 'error';
+    return requestInfo.validation ? requestInfo.validation.status : 'pass';
+  }
+  
+  /**
+   * Store the status code of a completed request on its results
+   * @param {Object} timing - The request timing from the background
+   */
+  function updateResultStatus(timing) {
+    if (!timing.statusCode) return;
+    
+    state.resultRecords.forEach(record => {
+      if (record.requestId !== timing.requestId || record.statusCode === timing.statusCode) return;
+      record.statusCode = timing.statusCode;
+      applyFilterToResult(record);
+    });
+    state.resultsList.update();
+    updateFilterCount();
+  }
+  
+  /**
+   * Read the filter bar into state.filter and apply it
+   */
+  function updateFilter() {
+    const parsed = ResultFilter.parse(elements.filterInput ? elements.filterInput.value : '');
+    const checked = kind => [...elements.filterToggles]
+      .filter(toggle => toggle.dataset.kind === kind && toggle.checked)
+      .map(toggle => toggle.value);
+    
+    state.filter = {
+      conditions: parsed.conditions,
+      errors: parsed.errors,
+      statusGroups: checked('status'),
+      validationStatuses: checked('validation')
+    };
+    applyFilter();
+  }
+  
+  /**
+   * Check a result against the filter; the results list only shows those that match
+   * @param {Object} record - The result record
+   */
+  function applyFilterToResult(record) {
+    record.matchesFilter = ResultFilter.matches(state.filter, record);
+  }
+  
+  /**
+   * Apply the filter to every result in the history
+   */
+  function applyFilter() {
+    state.resultRecords.forEach(applyFilterToResult);
+    state.resultsList.update();
+    updateFilterCount();
+  }
+  
+  /**
+   * Show how many results match the filter, and any errors in the query
+   */
+  function updateFilterCount() {
+    if (!elements.filterCount) return;
+    
+    const errors = state.filter.errors || [];
+    const total = state.resultRecords.size;
+    const matched = [...state.resultRecords.values()].filter(record => record.matchesFilter !== false).length;
+    
+    elements.filterCount.classList.toggle('filter-error', errors.length > 0);
+    if (errors.length > 0) {
+      elements.filterCount.textContent = errors.map(error => `${error.term}: ${error.message}`).join('; ');
+    } else if (ResultFilter.isActive(state.filter)) {
+      elements.filterCount.textContent = `${matched} of ${total} result${total === 1 ? '' : 's'} match`;
+    } else {
+      elements.filterCount.textContent = `${total} result${total === 1 ? '' : 's'}`;
+    }
+  }
+  
+  /**
+   * Remove all displayed results
+   */
+  function clearResults() {
+    if (!elements.resultsContainer) return;
+    
+    state.resultRecords.clear();
+    state.resultsByRequestId.clear();
+    state.history.clear();
+    state.resultsList.reset();
+    state.diffSelection = [];
+    updateCompareButton();
+    closeDiff();
+    
+    state.faultHits.clear();
+    if (elements.faultHits) {
+      elements.faultHits.innerHTML = 'No requests affected yet.';
+    }
+    
+    state.identity = IdentityTracker.createState();
+    updateIdentityView();
+    
+    state.consent = createConsentState();
+    updateConsentView();
+    
+    state.propositions = PropositionTracker.createState();
+    updatePersonalizationView();
+    
+    state.alloyCommands.clear();
+    state.commandsByRequestId.clear();
+    state.commandResultIds.clear();
+    updateCommandsView();
+    
+    state.dataLayerEntries = [];
+    state.dataLayerStates = {};
+    
+    updateFilterCount();
+    
+    // Keep the navigations so offsets still count from the page's navigation start
+    const navigations = state.timeline.navigations;
+    state.timeline = Timeline.createState();
+    navigations.forEach(navigation => Timeline.recordNavigation(state.timeline, navigation));
+    updateTimelineView();
+  }
+  
   /**
    * Update status message
    * @param {string} message - The message to display
@@ -701,6 +3673,15 @@
    * Initialize the panel
    */
   function init() {
+    // Only the results near the viewport are rendered, so the whole history can be kept
+    if (elements.resultsContainer) {
+      state.resultsList = VirtualList.create(elements.resultsContainer, {
+        getKeys: getVisibleHistoryKeys,
+        renderItem: renderHistoryItem,
+        emptyMessage: 'No results yet. Start listening to see data here.'
+      });
+    }
+    
     // Force default paths
     forceClearAndSetDefaults();
     
@@ -717,22 +3698,25 @@
   function forceClearAndSetDefaults() {
     const forcedPaths = getDefaultPaths();
     
-    chrome.storage.local.clear(() => {
-      // Set our defaults
-      chrome.storage.local.set({
-        targetPaths: forcedPaths,
-        extensionVersion: CONFIG.DEFAULT_EXTENSION_VERSION,
-        isListening: false,
-        debugMode: true
-      }, () => {
-        // Update the UI if pathsInput is available
-        if (elements.pathsInput) {
-          state.targetPaths = forcedPaths;
-          elements.pathsInput.value = forcedPaths.join('\n');
-        }
-        
-        // Notify background script
-        sendPathsToBackground(forcedPaths, false);
+    chrome.storage.local.get(CONFIG.PRESERVED_STORAGE_KEYS, (preserved) => {
+      chrome.storage.local.clear(() => {
+        // Set our defaults, keeping user-managed settings
+        chrome.storage.local.set({
+          ...preserved,
+          targetPaths: forcedPaths,
+          extensionVersion: CONFIG.DEFAULT_EXTENSION_VERSION,
+          isListening: false,
+          debugMode: true
+        }, () => {
+          // Update the UI if pathsInput is available
+          if (elements.pathsInput) {
+            state.targetPaths = forcedPaths;
+            elements.pathsInput.value = forcedPaths.join('\n');
+          }
+          
+          // Notify background script
+          sendPathsToBackground(forcedPaths, false);
+        });
       });
     });
   }
@@ -749,6 +3733,10 @@
       elements.saveButton.addEventListener('click', savePaths);
     }
     
+    if (elements.pathsInput) {
+      elements.pathsInput.addEventListener('input', validatePaths);
+    }
+    
     if (elements.debugToggle) {
       elements.debugToggle.addEventListener('click', toggleDebugMode);
     }
@@ -756,6 +3744,118 @@
     if (elements.clearButton) {
       elements.clearButton.addEventListener('click', resetPathsToDefaults);
     }
+    
+    if (elements.newSessionButton) {
+      elements.newSessionButton.addEventListener('click', startNewSession);
+    }
+    
+    if (elements.loadSessionButton) {
+      elements.loadSessionButton.addEventListener('click', loadSelectedSession);
+    }
+    
+    if (elements.deleteSessionButton) {
+      elements.deleteSessionButton.addEventListener('click', deleteSelectedSession);
+    }
+    
+    if (elements.harFileInput) {
+      elements.harFileInput.addEventListener('change', importHarFile);
+    }
+    
+    if (elements.exportHarButton) {
+      elements.exportHarButton.addEventListener('click', () => exportSelectedSession('har'));
+    }
+    
+    if (elements.exportJsonButton) {
+      elements.exportJsonButton.addEventListener('click', () => exportSelectedSession('json'));
+    }
+    
+    if (elements.exportCsvButton) {
+      elements.exportCsvButton.addEventListener('click', () => exportSelectedSession('csv'));
+    }
+    
+    if (elements.saveRetentionButton) {
+      elements.saveRetentionButton.addEventListener('click', saveRetention);
+    }
+    
+    if (elements.allTabsToggle) {
+      elements.allTabsToggle.addEventListener('change', toggleAllTabs);
+    }
+    
+    if (elements.saveEndpointsButton) {
+      elements.saveEndpointsButton.addEventListener('click', saveEndpointPatterns);
+    }
+    
+    if (elements.saveOverridesButton) {
+      elements.saveOverridesButton.addEventListener('click', saveDatastreamOverrides);
+    }
+    
+    if (elements.saveFaultsButton) {
+      elements.saveFaultsButton.addEventListener('click', saveFaultRules);
+    }
+    
+    if (elements.rulesInput) {
+      elements.rulesInput.addEventListener('input', validateRules);
+    }
+    
+    if (elements.saveRulesButton) {
+      elements.saveRulesButton.addEventListener('click', saveValidationRules);
+    }
+    
+    if (elements.compareButton) {
+      elements.compareButton.addEventListener('click', compareSelected);
+    }
+    
+    elements.viewTabs.forEach(tab => {
+      tab.addEventListener('click', () => showView(tab.dataset.view));
+    });
+    
+    if (elements.refreshCookiesButton) {
+      elements.refreshCookiesButton.addEventListener('click', refreshIdentityCookies);
+    }
+    
+    if (elements.undisplayedOnlyToggle) {
+      elements.undisplayedOnlyToggle.addEventListener('change', renderPersonalization);
+    }
+    
+    if (elements.filterInput) {
+      elements.filterInput.addEventListener('input', updateFilter);
+    }
+    elements.filterToggles.forEach(toggle => toggle.addEventListener('change', updateFilter));
+    
+    if (elements.timelineContent) {
+      elements.timelineContent.addEventListener('mousedown', startTimelineZoom);
+    }
+    if (elements.timelineSessionSelect) {
+      elements.timelineSessionSelect.addEventListener('change', () => {
+        const value = elements.timelineSessionSelect.value;
+        state.timelineSession = value === '' ? null : Number(value);
+        state.timelineZoom = null;
+        renderTimeline();
+      });
+    }
+    if (elements.resetZoomButton) {
+      elements.resetZoomButton.addEventListener('click', () => {
+        state.timelineZoom = null;
+        renderTimeline();
+      });
+    }
+    
+    if (elements.commandsContent) {
+      elements.commandsContent.addEventListener('click', (event) => {
+        const button = event.target.closest('.show-request');
+        if (button) {
+          showResult(Number(button.dataset.resultId));
+        }
+      });
+    }
+    
+    if (elements.schemaFileInput) {
+      elements.schemaFileInput.addEventListener('change', importSchemaFiles);
+    }
+    
+    if (elements.saveSandboxesButton) {
+      elements.saveSandboxesButton.addEventListener('click', saveSandboxDatastreams);
+    }
   }
   
   /**
@@ -802,6 +3902,9 @@
     // Continue with initialization
     initializeUI();
     connectToBackgroundPage();
+    captureEdgeResponses();
+    refreshSessions();
+    refreshSchemas();
   }
   
   // Start the module
@@ -0,0 +1,431 @@
+// Path expressions for Adobe Web SDK Inspector
+// Shared by the background service worker, the popup and the DevTools panel
+
+/**
+ * Target path syntax
+ *
+ *   web.webPageDetails.URL                   plain dot path
+ *   commerce.productListItems[0].SKU         array index (negative counts from the end)
+ *   commerce.productListItems[*].SKU         wildcard over array items or object values
+ *   ..SKU                                    recursive descent, at any depth
+ *   identityMap.ECID[?primary==true].id      filter on a relative path (==, !=, <, <=, >, >=)
+ *   items[?sku.codes[0]=='A1'].name          filter paths may use indices and quoted keys
+ *   tags[?@=='sale']                         filter on the item itself, for arrays of plain values
+ *   identityMap['some.namespace']            quoted key for names with dots or spaces
+ *
+ * Paths without wildcards, recursion or filters resolve to a single value,
+ * all others resolve to an array of every match.
+ */
+self.PathExpression = (function PathExpression() {
+  // Parsed expressions are reused - the same target paths run against every event
+  const cache = new Map();
+  const MAX_CACHE_SIZE = 500;
+  
+  /**
+   * Syntax error with the character position it was found at
+   */
+  class PathSyntaxError extends Error {
+    constructor(message, position) {
+      super(position !== undefined ? `${message} at position ${position + 1}` : message);
+      this.name = 'PathSyntaxError';
+      this.position = position;
+    }
+  }
+  
+  /**
+   * Parse a filter literal (true, false, null, number, quoted or bare string)
+   * @param {string} text - The literal source
+   * @returns {*} The literal value
+   */
+  function parseLiteral(text) {
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (text === 'null') return null;
+    if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+    
+    const quoted = text.match(/^(['"])(.*)\1$/);
+    return quoted ? quoted[2].replace(/\\(.)/g, '$1') : text;
+  }
+  
+  /**
+   * Parse the inside of a `[?...]` filter
+   * @param {string} text - The filter source without brackets
+   * @param {number} position - Position of the filter in the expression
+   * @returns {Object} The filter segment
+   */
+  function parseFilter(text, position) {
+    // Operands may match empty here so that a missing one is reported rather than read as part of the path
+    const match = text.match(/^\s*(@\.?)?(.*?)\s*(?:(==|!=|<=|>=|<|>)\s*(.*?))?\s*$/);
+    const [, prefix, path, operator, literal] = match || [];
+    if (!match || (!prefix && !path && !operator)) {
+      throw new PathSyntaxError('Empty filter', position);
+    }
+    if (!path && prefix !== '@') {
+      throw new PathSyntaxError(`Expected a path ${operator ? `before "${operator}"` : 'after "@."'}`, position);
+    }
+    if (operator && !literal) {
+      throw new PathSyntaxError(`Expected a value after "${operator}"`, position);
+    }
+    
+    // A bare @ is the item itself
+    let target = { segments: [], definite: true };
+    if (path) {
+      try {
+        target = parse(path);
+      } catch (e) {
+        throw new PathSyntaxError(`Invalid filter path "${path}"`, position);
+      }
+    }
+    if (!target.definite) {
+      throw new PathSyntaxError('Filter paths cannot use wildcards or filters', position);
+    }
+    
+    return {
+      type: 'filter',
+      target,
+      operator: operator || null,
+      literal: operator ? parseLiteral(literal) : undefined
+    };
+  }
+  
+  /**
+   * Parse a path expression into segments
+   * @param {string} expression - The path expression
+   * @returns {Object} Object with segments and definite (resolves to one value)
+   */
+  function parse(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+      throw new PathSyntaxError('Path is empty');
+    }
+    
+    const source = expression.trim();
+    const segments = [];
+    let pos = 0;
+    
+    const readName = () => {
+      const start = pos;
+      while (pos < source.length && !/[.[\]\s]/.test(source[pos])) {
+        pos++;
+      }
+      if (pos === start) {
+        throw new PathSyntaxError('Expected a property name', start);
+      }
+      const name = source.slice(start, pos);
+      return name === '*' ? { type: 'wildcard' } : { type: 'key', key: name };
+    };
+    
+    const readBracket = () => {
+      const start = pos;
+      pos++; // [
+      
+      // Filter - read up to the matching closing bracket outside of quotes
+      if (source[pos] === '?') {
+        let quote = null;
+        let depth = 0;
+        let end = pos + 1;
+        for (; end < source.length; end++) {
+          const ch = source[end];
+          if (quote) {
+            if (ch === '\\') end++;
+            else if (ch === quote) quote = null;
+          } else if (ch === '\'' || ch === '"') {
+            quote = ch;
+          } else if (ch === '[') {
+            depth++;
+          } else if (ch === ']') {
+            if (depth === 0) break;
+            depth--;
+          }
+        }
+        if (end >= source.length) {
+          throw new PathSyntaxError('Unclosed filter', start);
+        }
+        const segment = parseFilter(source.slice(pos + 1, end), start);
+        pos = end + 1;
+        return segment;
+      }
+      
+      const rest = source.slice(pos);
+      let match = rest.match(/^\s*\*\s*\]/);
+      if (match) {
+        pos += match[0].length;
+        return { type: 'wildcard' };
+      }
+      
+      match = rest.match(/^\s*(-?\d+)\s*\]/);
+      if (match) {
+        pos += match[0].length;
+        return { type: 'index', index: Number(match[1]) };
+      }
+      
+      match = rest.match(/^\s*(['"])((?:\\.|(?!\1).)*)\1\s*\]/);
+      if (match) {
+        pos += match[0].length;
+        return { type: 'key', key: match[2].replace(/\\(.)/g, '$1') };
+      }
+      
+      throw new PathSyntaxError('Expected an index, *, quoted key or filter inside []', start);
+    };
+    
+    // An optional leading $ stands for the root object
+    if (source[0] === '$') {
+      pos = 1;
+    } else if (source[0] !== '.' && source[0] !== '[') {
+      segments.push(readName());
+    }
+    
+    while (pos < source.length) {
+      const ch = source[pos];
+      
+      if (ch === '.' && source[pos + 1] === '.') {
+        pos += 2;
+        segments.push({ type: 'recursive' });
+        segments.push(source[pos] === '[' ? readBracket() : readName());
+      } else if (ch === '.') {
+        pos++;
+        segments.push(readName());
+      } else if (ch === '[') {
+        segments.push(readBracket());
+      } else {
+        throw new PathSyntaxError(`Unexpected "${ch}"`, pos);
+      }
+    }
+    
+    if (segments.length === 0) {
+      throw new PathSyntaxError('Path has no segments');
+    }
+    
+    return {
+      segments,
+      definite: segments.every(segment => segment.type === 'key' || segment.type === 'index')
+    };
+  }
+  
+  /**
+   * Parse an expression, reusing earlier results
+   * @param {string} expression - The path expression
+   * @returns {Object} The parsed expression
+   */
+  function compile(expression) {
+    if (cache.has(expression)) return cache.get(expression);
+    
+    const compiled = parse(expression);
+    if (cache.size >= MAX_CACHE_SIZE) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(expression, compiled);
+    return compiled;
+  }
+  
+  /**
+   * Check whether a value can have child properties
+   * @param {*} value - The value to check
+   * @returns {boolean} True for objects and arrays
+   */
+  function isContainer(value) {
+    return value !== null && typeof value === 'object';
+  }
+  
+  /**
+   * List the children of an object or array with their keys
+   * @param {*} value - The parent value
+   * @returns {Array[]} Array of [key, child] pairs
+   */
+  function children(value) {
+    if (Array.isArray(value)) return value.map((child, index) => [index, child]);
+    if (isContainer(value)) return Object.entries(value);
+    return [];
+  }
+  
+  /**
+   * Test a filter against a candidate value
+   * @param {Object} filter - The filter segment
+   * @param {*} candidate - The value being filtered
+   * @returns {boolean} True if the candidate passes
+   */
+  function testFilter(filter, candidate) {
+    const matches = run(candidate, filter.target.segments);
+    if (matches.length === 0) return false;
+    
+    const actual = matches[0].value;
+    const expected = filter.literal;
+    
+    switch (filter.operator) {
+      case null:
+        return actual !== undefined && actual !== null && actual !== false;
+      case '==':
+        return actual === expected || (typeof actual !== typeof expected && String(actual) === String(expected));
+      case '!=':
+        return !(actual === expected || (typeof actual !== typeof expected && String(actual) === String(expected)));
+      case '<':
+        return actual < expected;
+      case '<=':
+        return actual <= expected;
+      case '>':
+        return actual > expected;
+      case '>=':
+        return actual >= expected;
+      default:
+        return false;
+    }
+  }
+  
+  /**
+   * Apply one segment to a node, collecting the resulting nodes
+   * @param {Object} segment - The segment to apply
+   * @param {Object} node - Object with keys (path so far) and value
+   * @param {Object[]} output - Collects the resulting nodes
+   */
+  function applySegment(segment, node, output) {
+    const { value, keys } = node;
+    
+    switch (segment.type) {
+      case 'key':
+        if (isContainer(value) && Object.prototype.hasOwnProperty.call(value, segment.key) &&
+            value[segment.key] !== undefined) {
+          output.push({ keys: [...keys, segment.key], value: value[segment.key] });
+        }
+        break;
+      
+      case 'index':
+        if (Array.isArray(value)) {
+          const index = segment.index < 0 ? value.length + segment.index : segment.index;
+          if (index >= 0 && index < value.length && value[index] !== undefined) {
+            output.push({ keys: [...keys, index], value: value[index] });
+          }
+        }
+        break;
+      
+      case 'wildcard':
+        children(value).forEach(([key, child]) => {
+          if (child !== undefined) output.push({ keys: [...keys, key], value: child });
+        });
+        break;
+      
+      case 'filter':
+        children(value).forEach(([key, child]) => {
+          if (testFilter(segment, child)) output.push({ keys: [...keys, key], value: child });
+        });
+        break;
+      
+      case 'recursive': {
+        // The node itself and every descendant, in document order
+        const visit = (current) => {
+          output.push(current);
+          children(current.value).forEach(([key, child]) => {
+            visit({ keys: [...current.keys, key], value: child });
+          });
+        };
+        visit(node);
+        break;
+      }
+    }
+  }
+  
+  /**
+   * Run parsed segments against a value
+   * @param {*} root - The value to search
+   * @param {Object[]} segments - The parsed segments
+   * @returns {Object[]} The matching nodes with keys and value
+   */
+  function run(root, segments) {
+    let nodes = [{ keys: [], value: root }];
+    for (const segment of segments) {
+      const next = [];
+      nodes.forEach(node => applySegment(segment, node, next));
+      nodes = next;
+      if (nodes.length === 0) break;
+    }
+    return nodes;
+  }
+  
+  /**
+   * Format a list of keys as a path expression
+   * @param {Array<string|number>} keys - The property names and array indices
+   * @returns {string} The path, e.g. identityMap.ECID[0].id
+   */
+  function formatPath(keys) {
+    return keys.map((key, index) => {
+      if (typeof key === 'number') return `[${key}]`;
+      if (/^[A-Za-z_$@][\w$@:-]*$/.test(key)) return index === 0 ? key : `.${key}`;
+      return `['${String(key).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}']`;
+    }).join('');
+  }
+  
+  /**
+   * Find every match of an expression with its concrete path
+   * @param {*} obj - The value to search
+   * @param {string} expression - The path expression
+   * @returns {Object[]} Array of { path, value }, empty if the path is invalid
+   */
+  function query(obj, expression) {
+    try {
+      return run(obj, compile(expression).segments)
+        .map(node => ({ path: formatPath(node.keys), value: node.value }));
+    } catch (e) {
+      return [];
+    }
+  }
+  
+  /**
+   * Evaluate an expression against an object
+   * @param {*} obj - The value to search
+   * @param {string} expression - The path expression
+   * @returns {*} The value for definite paths, an array of matches otherwise, or undefined
+   */
+  function evaluate(obj, expression) {
+    if (obj === undefined || obj === null || !expression) return undefined;
+    
+    try {
+      const compiled = compile(expression);
+      const matches = run(obj, compiled.segments);
+      if (matches.length === 0) return undefined;
+      return compiled.definite ? matches[0].value : matches.map(node => node.value);
+    } catch (e) {
+      return undefined;
+    }
+  }
+  
+  /**
+   * Validate an expression
+   * @param {string} expression - The path expression
+   * @returns {string|null} The error message, or null if valid
+   */
+  function validate(expression) {
+    try {
+      compile(expression);
+      return null;
+    } catch (e) {
+      return e.message;
+    }
+  }
+  
+  /**
+   * Validate a list of expressions, one per line
+   * @param {string[]} lines - The path expressions
+   * @returns {Object[]} Array of { line, path, message } for invalid lines
+   */
+  function validateLines(lines) {
+    const errors = [];
+    lines.forEach((line, index) => {
+      const path = line.trim();
+      if (!path) return;
+      
+      const message = validate(path);
+      if (message) {
+        errors.push({ line: index + 1, path, message });
+      }
+    });
+    return errors;
+  }
+  
+  return {
+    PathSyntaxError,
+    parse,
+    evaluate,
+    query,
+    validate,
+    validateLines,
+    formatPath
+  };
+})();
@@ -80,8 +80,23 @@ function toggleListening() {
   });
 }
 
+// Check the path syntax of every line and show the first error
+function validatePaths() {
+  const errors = window.PathExpression.validateLines(pathsInput.value.split('\n'));
+  
+  pathsInput.classList.toggle('invalid', errors.length > 0);
+  if (errors.length > 0) {
+    statusElement.textContent = `Line ${errors[0].line}: ${errors[0].message}`;
+  }
+  
+  return errors.length === 0;
+}
+
 // Save target paths
 function savePaths() {
+  // Refuse to save paths the background could never match
+  if (!validatePaths()) return;
+  
   const input = pathsInput.value.trim();
   
   if (input) {
@@ -127,6 +142,7 @@ function savePaths() {
 // Event listeners
 toggleButton.addEventListener('click', toggleListening);
 saveButton.addEventListener('click', savePaths);
+pathsInput.addEventListener('input', validatePaths);
 
 // Initialize the UI when popup is opened
 document.addEventListener('DOMContentLoaded', initializeUI); 
\ No newline at end of file
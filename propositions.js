@@ -0,0 +1,158 @@
+// Proposition tracking for Adobe Web SDK Inspector
+// Used by the DevTools panel to follow personalization decisions from response to display and click
+
+/**
+ * Proposition state is a plain object from createState(). recordResponse
+ * adds the propositions of personalization:decisions handles and
+ * recordEvent counts the display and interact notifications found in
+ * `_experience.decisioning.propositions` of outgoing XDM. Propositions are
+ * matched by ID; notifications for a proposition that was never seen in a
+ * response are kept too, marked as not returned.
+ */
+self.PropositionTracker = (function PropositionTracker() {
+  /**
+   * Create an empty proposition state
+   * @returns {Object} The proposition state
+   */
+  function createState() {
+    return {
+      propositions: new Map(), // proposition ID -> tracked proposition
+      seenResponses: new Set()
+    };
+  }
+  
+  /**
+   * Get or create the tracked entry for a proposition
+   * @param {Object} propositionState - The proposition state
+   * @param {Object} proposition - The proposition from a response or event
+   * @returns {Object} The tracked proposition
+   */
+  function getEntry(propositionState, proposition) {
+    const id = String(proposition.id);
+    if (!propositionState.propositions.has(id)) {
+      propositionState.propositions.set(id, {
+        id,
+        scope: proposition.scope || null,
+        scopeDetails: proposition.scopeDetails || {},
+        items: [],
+        returned: null, // { at, requestId, eventType }
+        renderAttempted: false,
+        displays: [], // { at, requestId, eventType }
+        interactions: [] // { at, requestId, eventType, action }
+      });
+    }
+    return propositionState.propositions.get(id);
+  }
+  
+  /**
+   * Record the propositions of personalization:decisions handles
+   * @param {Object} propositionState - The proposition state
+   * @param {Object} response - The parsed Edge response body
+   * @param {Object} context - eventType, capturedAt and requestId of the request
+   * @returns {Object[]} The propositions added by this response
+   */
+  function recordResponse(propositionState, response, context = {}) {
+    if (!response || !Array.isArray(response.handle)) return [];
+    
+    // The same response can reach the panel from the background and the network panel
+    if (context.requestId) {
+      if (propositionState.seenResponses.has(context.requestId)) return [];
+      propositionState.seenResponses.add(context.requestId);
+    }
+    
+    const added = [];
+    response.handle
+      .filter(handle => handle && handle.type === 'personalization:decisions' && Array.isArray(handle.payload))
+      .forEach(handle => handle.payload.forEach(proposition => {
+        if (!proposition || proposition.id === undefined) return;
+        
+        const entry = getEntry(propositionState, proposition);
+        entry.scope = proposition.scope || entry.scope;
+        entry.scopeDetails = proposition.scopeDetails || entry.scopeDetails;
+        entry.items = Array.isArray(proposition.items) ? proposition.items : entry.items;
+        entry.renderAttempted = proposition.renderAttempted === true;
+        entry.returned = {
+          at: context.capturedAt || Date.now(),
+          requestId: context.requestId || null,
+          eventType: context.eventType || null
+        };
+        added.push(entry);
+      }));
+    
+    return added;
+  }
+  
+  /**
+   * Work out whether an event notifies a display or an interaction
+   * @param {Object} decisioning - The event's _experience.decisioning
+   * @param {string} eventType - The event's eventType
+   * @returns {string} display or interact
+   */
+  function getNotificationType(decisioning, eventType) {
+    const propositionEventType = decisioning.propositionEventType || {};
+    if (propositionEventType.interact === 1) return 'interact';
+    if (propositionEventType.display === 1) return 'display';
+    if (eventType === 'decisioning.propositionInteract') return 'interact';
+    
+    // Older alloy versions attach rendered propositions to the next event, e.g. a page view
+    return 'display';
+  }
+  
+  /**
+   * Record display and interact notifications of an outgoing event
+   * @param {Object} propositionState - The proposition state
+   * @param {Object} event - Object with xdm, eventType, capturedAt and requestId
+   * @returns {Object[]} The propositions the event notified about
+   */
+  function recordEvent(propositionState, event) {
+    const decisioning = event.xdm && event.xdm._experience && event.xdm._experience.decisioning;
+    if (!decisioning || !Array.isArray(decisioning.propositions)) return [];
+    
+    const type = getNotificationType(decisioning, event.eventType);
+    const notification = {
+      at: event.capturedAt || Date.now(),
+      requestId: event.requestId || null,
+      eventType: event.eventType || null
+    };
+    
+    return decisioning.propositions
+      .filter(proposition => proposition && proposition.id !== undefined)
+      .map(proposition => {
+        const entry = getEntry(propositionState, proposition);
+        if (type === 'interact') {
+          entry.interactions.push({ ...notification, action: decisioning.propositionAction || null });
+        } else {
+          entry.displays.push(notification);
+        }
+        return entry;
+      });
+  }
+  
+  /**
+   * Get the status of a tracked proposition
+   * @param {Object} entry - The tracked proposition
+   * @returns {string} clicked, displayed, not-displayed or not-returned
+   */
+  function getStatus(entry) {
+    if (!entry.returned) return 'not-returned';
+    if (entry.interactions.length > 0) return 'clicked';
+    if (entry.displays.length > 0) return 'displayed';
+    return 'not-displayed';
+  }
+  
+  /**
+   * List tracked propositions in the order they were first seen, with their status
+   * @param {Object} propositionState - The proposition state
+   * @returns {Object[]} The tracked propositions with a status field
+   */
+  function list(propositionState) {
+    return [...propositionState.propositions.values()].map(entry => ({ ...entry, status: getStatus(entry) }));
+  }
+  
+  return {
+    createState,
+    recordResponse,
+    recordEvent,
+    list
+  };
+})();
@@ -0,0 +1,450 @@
+// XDM validation rules for Adobe Web SDK Inspector
+// Shared by the background service worker and the DevTools panel
+
+/**
+ * Rules are a JSON array, one entry per eventType:
+ *
+ *   {
+ *     "eventType": "commerce.purchases",       // also "*", "commerce.*" or an array
+ *     "severity": "error",                      // default for the rule: error or warning
+ *     "required": ["commerce.order.purchaseID"],
+ *     "types": { "commerce.order.priceTotal": "number" },
+ *     "patterns": { "commerce.order.currencyCode": "^[A-Z]{3}$" },
+ *     "enum": { "web.webPageDetails.siteSection": ["home", "shop"] },
+ *     "when": [{
+ *       "if": { "path": "commerce.order.paymentType", "equals": "credit_card" },
+ *       "then": { "required": ["commerce.order.payments[0].transactionID"] }
+ *     }]
+ *   }
+ *
+ * Any check can be an object with its own "severity" and "message", e.g.
+ * "required": [{ "path": "web.webPageDetails.name", "severity": "warning" }].
+ * Paths use the target path syntax, so wildcards check every match.
+ */
+self.ValidationRules = (function ValidationRules() {
+  const SEVERITIES = ['error', 'warning'];
+  const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+  const CONDITION_KEYS = ['equals', 'notEquals', 'exists', 'matches', 'in'];
+  
+  /**
+   * Get the JSON type name of a value
+   * @param {*} value - The value
+   * @returns {string} string, number, boolean, object, array or null
+   */
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+  
+  /**
+   * Check a value against a type name
+   * @param {*} value - The value
+   * @param {string} type - The expected type
+   * @returns {boolean} True if the value has that type
+   */
+  function hasType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    return typeOf(value) === type;
+  }
+  
+  /**
+   * Split a check into its value and options
+   * @param {*} check - A plain check value or an object with severity/message
+   * @param {string} valueKey - The option holding the value when check is an object
+   * @returns {Object} Object with value, severity and message
+   */
+  function readCheck(check, valueKey) {
+    if (check && typeof check === 'object' && !Array.isArray(check) && valueKey in check) {
+      return { value: check[valueKey], severity: check.severity, message: check.message };
+    }
+    return { value: check, severity: undefined, message: undefined };
+  }
+  
+  /**
+   * Check that a path uses valid syntax
+   * @param {string} path - The path expression
+   * @param {string} where - Location description for the error
+   * @param {string[]} errors - Collects problems
+   */
+  function checkPath(path, where, errors) {
+    const message = typeof path === 'string' ? PathExpression.validate(path) : 'Path must be a string';
+    if (message) {
+      errors.push(`${where}: ${message}`);
+    }
+  }
+  
+  /**
+   * Check whether a value is a plain JSON object
+   * @param {*} value - The value
+   * @returns {boolean} True for objects that are not arrays
+   */
+  function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+  
+  /**
+   * Check the structure of a set of checks (required/types/patterns/enum)
+   * @param {Object} checks - The checks
+   * @param {string} where - Location description for errors
+   * @param {string[]} errors - Collects problems
+   */
+  function checkChecks(checks, where, errors) {
+    if (!isObject(checks)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    const invalid = ['types', 'patterns', 'enum'].filter(key => checks[key] !== undefined && !isObject(checks[key]));
+    if (invalid.length > 0) {
+      invalid.forEach(key => errors.push(`${where}.${key} must be an object`));
+      return;
+    }
+    
+    if (checks.required !== undefined) {
+      if (!Array.isArray(checks.required)) {
+        errors.push(`${where}.required must be an array`);
+      } else {
+        checks.required.forEach((check, index) => {
+          checkPath(readCheck(check, 'path').value, `${where}.required[${index}]`, errors);
+        });
+      }
+    }
+    
+    Object.entries(checks.types || {}).forEach(([path, check]) => {
+      checkPath(path, `${where}.types`, errors);
+      const { value } = readCheck(check, 'type');
+      const types = Array.isArray(value) ? value : [value];
+      types.forEach(type => {
+        if (!TYPES.includes(type)) {
+          errors.push(`${where}.types["${path}"]: unknown type "${type}"`);
+        }
+      });
+    });
+    
+    Object.entries(checks.patterns || {}).forEach(([path, check]) => {
+      checkPath(path, `${where}.patterns`, errors);
+      const { value } = readCheck(check, 'pattern');
+      try {
+        new RegExp(value, check && check.flags);
+      } catch (e) {
+        errors.push(`${where}.patterns["${path}"]: ${e.message}`);
+      }
+    });
+    
+    Object.entries(checks.enum || {}).forEach(([path, check]) => {
+      checkPath(path, `${where}.enum`, errors);
+      if (!Array.isArray(readCheck(check, 'values').value)) {
+        errors.push(`${where}.enum["${path}"] must be an array of allowed values`);
+      }
+    });
+    
+    if (checks.severity !== undefined && !SEVERITIES.includes(checks.severity)) {
+      errors.push(`${where}.severity must be "error" or "warning"`);
+    }
+  }
+  
+  /**
+   * Find the line each element of a top-level JSON array starts on
+   * @param {string} text - Valid JSON text for an array
+   * @returns {number[]} Line numbers by element index
+   */
+  function findElementLines(text) {
+    const lines = [];
+    let line = 1;
+    let depth = 0;
+    let inString = false;
+    let expectElement = false;
+    
+    for (let index = 0; index < text.length; index++) {
+      const char = text[index];
+      if (char === '\n') line++;
+      if (inString) {
+        if (char === '\\') {
+          index++; // Escapes never hide a line break in valid JSON
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+      if (/\s/.test(char)) continue;
+      
+      if (depth === 1 && expectElement && char !== ']') {
+        lines.push(line);
+        expectElement = false;
+      }
+      if (char === '"') {
+        inString = true;
+      } else if (char === '[' || char === '{') {
+        depth++;
+        if (depth === 1) expectElement = true;
+      } else if (char === ']' || char === '}') {
+        depth--;
+      } else if (char === ',' && depth === 1) {
+        expectElement = true;
+      }
+    }
+    
+    return lines;
+  }
+  
+  /**
+   * Get the line a JSON syntax error points at
+   * @param {string} text - The JSON text
+   * @param {Error} error - The error thrown by JSON.parse
+   * @returns {number} The line, 1 when the message has no position
+   */
+  function getErrorLine(text, error) {
+    const lineMatch = /line (\d+)/.exec(error.message);
+    if (lineMatch) return Number(lineMatch[1]);
+    const positionMatch = /position (\d+)/.exec(error.message);
+    return positionMatch ? text.slice(0, Number(positionMatch[1])).split('\n').length : 1;
+  }
+  
+  /**
+   * Check the structure of one rule
+   * @param {Object} rule - The rule
+   * @param {string} where - Location description for errors
+   * @param {string[]} errors - Collects problems
+   */
+  function checkRule(rule, where, errors) {
+    if (!isObject(rule)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (rule.eventType === undefined) {
+      errors.push(`${where}.eventType is required (use "*" for every event)`);
+    }
+    
+    checkChecks(rule, where, errors);
+    
+    if (rule.when === undefined) return;
+    if (!Array.isArray(rule.when)) {
+      errors.push(`${where}.when must be an array`);
+      return;
+    }
+    rule.when.forEach((branch, branchIndex) => {
+      const branchWhere = `${where}.when[${branchIndex}]`;
+      if (!isObject(branch)) {
+        errors.push(`${branchWhere} must be an object with "if" and "then"`);
+        return;
+      }
+      
+      const conditions = Array.isArray(branch.if) ? branch.if : [branch.if];
+      conditions.forEach(condition => {
+        if (!isObject(condition)) {
+          errors.push(`${branchWhere}.if must be an object`);
+          return;
+        }
+        checkPath(condition.path, `${branchWhere}.if`, errors);
+        if (!CONDITION_KEYS.some(key => key in condition)) {
+          errors.push(`${branchWhere}.if needs one of ${CONDITION_KEYS.join(', ')}`);
+        }
+        if ('matches' in condition) {
+          try {
+            new RegExp(condition.matches);
+          } catch (e) {
+            errors.push(`${branchWhere}.if.matches: ${e.message}`);
+          }
+        }
+        if ('in' in condition && !Array.isArray(condition.in)) {
+          errors.push(`${branchWhere}.if.in must be an array`);
+        }
+      });
+      checkChecks(branch.then === undefined ? {} : branch.then, `${branchWhere}.then`, errors);
+    });
+  }
+  
+  /**
+   * Parse and check rules
+   * @param {string|Object[]} input - Rules as JSON text or an already parsed array
+   * @returns {Object} Object with rules and errors ({ line, message }) arrays; line is where
+   *   the rule starts in JSON text, or the rule's position when an array is passed
+   */
+  function parseRules(input) {
+    let rules = input;
+    let lines = [];
+    if (typeof input === 'string') {
+      if (!input.trim()) return { rules: [], errors: [] };
+      try {
+        rules = JSON.parse(input);
+      } catch (e) {
+        return { rules: [], errors: [{ line: getErrorLine(input, e), message: `Invalid JSON: ${e.message}` }] };
+      }
+      if (Array.isArray(rules)) lines = findElementLines(input);
+    }
+    
+    if (!Array.isArray(rules)) {
+      return { rules: [], errors: [{ line: 1, message: 'Rules must be a JSON array' }] };
+    }
+    
+    const errors = [];
+    rules.forEach((rule, index) => {
+      const where = `rules[${index}]`;
+      const ruleErrors = [];
+      try {
+        checkRule(rule, where, ruleErrors);
+      } catch (e) {
+        ruleErrors.push(`${where}: ${e.message}`);
+      }
+      ruleErrors.forEach(message => errors.push({ line: lines[index] || index + 1, message }));
+    });
+    
+    return { rules: errors.length === 0 ? rules : [], errors };
+  }
+  
+  /**
+   * Check whether a rule applies to an eventType
+   * @param {Object} rule - The rule
+   * @param {string} eventType - The event's eventType
+   * @returns {boolean} True if the rule applies
+   */
+  function appliesTo(rule, eventType) {
+    const patterns = Array.isArray(rule.eventType) ? rule.eventType : [rule.eventType];
+    return patterns.some(pattern => {
+      if (pattern === '*') return true;
+      if (typeof pattern !== 'string') return false;
+      if (pattern.endsWith('*')) return String(eventType || '').startsWith(pattern.slice(0, -1));
+      return pattern === eventType;
+    });
+  }
+  
+  /**
+   * Evaluate a `when` condition
+   * @param {Object} xdm - The event
+   * @param {Object} condition - The condition
+   * @returns {boolean} True if the condition holds
+   */
+  function testCondition(xdm, condition) {
+    const matches = PathExpression.query(xdm, condition.path);
+    const values = matches.map(match => match.value);
+    
+    if ('exists' in condition) {
+      return (values.length > 0) === !!condition.exists;
+    }
+    if (values.length === 0) {
+      return 'notEquals' in condition;
+    }
+    if ('equals' in condition) {
+      return values.some(value => value === condition.equals);
+    }
+    if ('notEquals' in condition) {
+      return values.every(value => value !== condition.notEquals);
+    }
+    if ('in' in condition) {
+      return values.some(value => Array.isArray(condition.in) && condition.in.includes(value));
+    }
+    if ('matches' in condition) {
+      const regex = new RegExp(condition.matches);
+      return values.some(value => regex.test(String(value)));
+    }
+    return false;
+  }
+  
+  /**
+   * Run one set of checks against an event
+   * @param {Object} xdm - The event
+   * @param {Object} checks - The checks
+   * @param {string} defaultSeverity - Severity for checks without their own
+   * @param {string} ruleName - The rule label used in issues
+   * @param {Object[]} issues - Collects failures
+   */
+  function runChecks(xdm, checks, defaultSeverity, ruleName, issues) {
+    const report = (path, message, options) => {
+      issues.push({
+        severity: options.severity || defaultSeverity,
+        path,
+        message: options.message || message,
+        rule: ruleName
+      });
+    };
+    
+    (checks.required || []).forEach(check => {
+      const options = readCheck(check, 'path');
+      const matches = PathExpression.query(xdm, options.value);
+      const present = matches.some(match => match.value !== null && match.value !== '');
+      if (!present) {
+        report(options.value, 'Required field is missing', options);
+      }
+    });
+    
+    Object.entries(checks.types || {}).forEach(([path, check]) => {
+      const options = readCheck(check, 'type');
+      const types = Array.isArray(options.value) ? options.value : [options.value];
+      PathExpression.query(xdm, path).forEach(match => {
+        if (!types.some(type => hasType(match.value, type))) {
+          report(match.path, `Expected ${types.join(' or ')}, got ${typeOf(match.value)}`, options);
+        }
+      });
+    });
+    
+    Object.entries(checks.patterns || {}).forEach(([path, check]) => {
+      const options = readCheck(check, 'pattern');
+      const regex = new RegExp(options.value, check && check.flags);
+      PathExpression.query(xdm, path).forEach(match => {
+        if (!regex.test(String(match.value))) {
+          report(match.path, `Value "${match.value}" does not match /${options.value}/`, options);
+        }
+      });
+    });
+    
+    Object.entries(checks.enum || {}).forEach(([path, check]) => {
+      const options = readCheck(check, 'values');
+      PathExpression.query(xdm, path).forEach(match => {
+        if (!options.value.includes(match.value)) {
+          report(match.path, `Value "${match.value}" is not one of ${JSON.stringify(options.value)}`, options);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Validate an event against every rule for its eventType
+   * @param {Object} xdm - The event's XDM object
+   * @param {Object[]} rules - Parsed rules
+   * @returns {Object|null} Object with status (pass, warning, error), issues and ruleCount; null if no rule applies
+   */
+  function validateEvent(xdm, rules) {
+    if (!xdm || !Array.isArray(rules) || rules.length === 0) return null;
+    
+    const applicable = rules.filter(rule => appliesTo(rule, xdm.eventType));
+    if (applicable.length === 0) return null;
+    
+    const issues = [];
+    applicable.forEach(rule => {
+      const ruleName = rule.name || (Array.isArray(rule.eventType) ? rule.eventType.join(', ') : rule.eventType);
+      const severity = rule.severity || 'error';
+      
+      try {
+        runChecks(xdm, rule, severity, ruleName, issues);
+        
+        (rule.when || []).forEach(branch => {
+          const conditions = Array.isArray(branch.if) ? branch.if : [branch.if];
+          if (conditions.every(condition => testCondition(xdm, condition))) {
+            runChecks(xdm, branch.then || {}, (branch.then && branch.then.severity) || severity, ruleName, issues);
+          }
+        });
+      } catch (e) {
+        issues.push({ severity: 'error', path: '', message: `Rule failed to run: ${e.message}`, rule: ruleName });
+      }
+    });
+    
+    return { status: getStatus(issues), issues, ruleCount: applicable.length };
+  }
+  
+  /**
+   * Get the overall status for a list of issues
+   * @param {Object[]} issues - The validation issues
+   * @returns {string} pass, warning or error
+   */
+  function getStatus(issues) {
+    if (issues.some(issue => issue.severity === 'error')) return 'error';
+    if (issues.length > 0) return 'warning';
+    return 'pass';
+  }
+  
+  return {
+    parseRules,
+    validateEvent,
+    getStatus
+  };
+})();
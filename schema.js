@@ -0,0 +1,469 @@
+// XDM JSON Schema validation for Adobe Web SDK Inspector
+// Used by the background service worker on every captured event
+
+/**
+ * Validates events against schemas exported from AEP as JSON Schema.
+ *
+ * Supports the keywords AEP exports use: type, properties, required,
+ * additionalProperties, patternProperties, items, enum, const, format,
+ * pattern, min/max bounds, allOf/anyOf/oneOf and $ref. References are
+ * resolved within the schema (#/definitions/...) or against other imported
+ * schemas by $id, so validation works without network access.
+ *
+ * Objects that declare properties are closed: fields that no schema in the
+ * allOf chain declares are reported as unknown, except for XDM maps.
+ */
+self.XdmSchema = (function XdmSchema() {
+  // Guards against reference cycles
+  const MAX_DEPTH = 64;
+  
+  const FORMATS = {
+    'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) &&
+      !Number.isNaN(Date.parse(value)),
+    'date': value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+    'uri': value => /^[a-z][a-z0-9+.-]*:/i.test(value) && isParsableUrl(value),
+    'uri-reference': value => isParsableUrl(value, 'http://base.invalid/'),
+    'email': value => /^[^\s@]+@[^\s@]+$/.test(value)
+  };
+  
+  /**
+   * Check whether a string parses as a URL
+   * @param {string} value - The string to check
+   * @param {string} base - Optional base for relative references
+   * @returns {boolean} True if the URL constructor accepts it
+   */
+  function isParsableUrl(value, base) {
+    try {
+      new URL(value, base);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+  
+  /**
+   * Escape a key for use in a JSON pointer
+   * @param {string|number} key - The property name or array index
+   * @returns {string} The escaped reference token
+   */
+  function escapePointer(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+  
+  /**
+   * Resolve a JSON pointer fragment inside a document
+   * @param {Object} document - The schema document
+   * @param {string} fragment - The pointer, e.g. /definitions/address
+   * @returns {*} The referenced value, or undefined
+   */
+  function resolvePointer(document, fragment) {
+    if (!fragment) return document;
+    
+    return fragment.split('/').slice(1).reduce((node, token) => {
+      if (node === undefined || node === null) return undefined;
+      const key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+      return node[key];
+    }, document);
+  }
+  
+  /**
+   * Get the JSON type name of a value
+   * @param {*} value - The value
+   * @returns {string} string, number, boolean, object, array or null
+   */
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+  
+  /**
+   * Check a value against a JSON Schema type
+   * @param {*} value - The value
+   * @param {string} type - The schema type
+   * @returns {boolean} True if the value has that type
+   */
+  function hasType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOf(value) === type;
+  }
+  
+  /**
+   * Create a resolver for $ref values across a set of schemas
+   * @param {Object[]} schemas - All imported schema documents
+   * @returns {Function} Resolves (ref, currentRoot) to { schema, root } or null
+   */
+  function createResolver(schemas) {
+    const byId = new Map();
+    schemas.forEach(schema => {
+      if (schema && typeof schema.$id === 'string') {
+        byId.set(schema.$id.replace(/#$/, ''), schema);
+      }
+    });
+    
+    return (ref, root) => {
+      const hashIndex = ref.indexOf('#');
+      const base = hashIndex === -1 ? ref : ref.slice(0, hashIndex);
+      const fragment = hashIndex === -1 ? '' : ref.slice(hashIndex + 1);
+      
+      const document = base ? byId.get(base) : root;
+      if (!document) return null;
+      
+      const schema = resolvePointer(document, fragment);
+      return schema === undefined ? null : { schema, root: document };
+    };
+  }
+  
+  /**
+   * Flatten a schema with its $ref and allOf members into one list
+   * @param {Object} schema - The schema
+   * @param {Object} root - The document the schema belongs to
+   * @param {Object} context - The validation context
+   * @param {number} depth - Current reference depth
+   * @returns {Object[]} Array of { schema, root } entries
+   */
+  function flatten(schema, root, context, depth = 0) {
+    if (!schema || typeof schema !== 'object' || depth > MAX_DEPTH) return [];
+    
+    const entries = [{ schema, root }];
+    
+    if (typeof schema.$ref === 'string') {
+      const resolved = context.resolve(schema.$ref, root);
+      if (resolved) {
+        entries.push(...flatten(resolved.schema, resolved.root, context, depth + 1));
+      } else {
+        context.unresolved.add(schema.$ref);
+      }
+    }
+    
+    (Array.isArray(schema.allOf) ? schema.allOf : []).forEach(member => {
+      entries.push(...flatten(member, root, context, depth + 1));
+    });
+    
+    return entries;
+  }
+  
+  /**
+   * Validate a value against a schema, collecting violations
+   * @param {*} value - The value to check
+   * @param {Object|boolean} schema - The schema
+   * @param {Object} root - The document the schema belongs to
+   * @param {string} pointer - JSON pointer of the value
+   * @param {Object} context - The validation context
+   * @param {number} depth - Current nesting depth
+   */
+  function validateNode(value, schema, root, pointer, context, depth) {
+    if (schema === true || schema === undefined) return;
+    if (schema === false) {
+      report(context, pointer, 'false', 'Value is not allowed here');
+      return;
+    }
+    if (depth > MAX_DEPTH) return;
+    
+    const chain = flatten(schema, root, context);
+    
+    chain.forEach(entry => checkScalarKeywords(value, entry.schema, pointer, context));
+    
+    chain.forEach(entry => checkCombinators(value, entry.schema, entry.root, pointer, context, depth));
+    
+    if (typeOf(value) === 'object') {
+      checkObject(value, chain, pointer, context, depth);
+    } else if (Array.isArray(value)) {
+      chain.forEach(entry => checkArray(value, entry.schema, entry.root, pointer, context, depth));
+    }
+  }
+  
+  /**
+   * Record a violation
+   * @param {Object} context - The validation context
+   * @param {string} pointer - JSON pointer of the value
+   * @param {string} keyword - The failing schema keyword
+   * @param {string} message - Description of the problem
+   */
+  function report(context, pointer, keyword, message) {
+    context.violations.push({ pointer: pointer || '/', keyword, message });
+  }
+  
+  /**
+   * Check type, enum, const, format and range keywords
+   * @param {*} value - The value
+   * @param {Object} schema - One schema of the chain
+   * @param {string} pointer - JSON pointer of the value
+   * @param {Object} context - The validation context
+   */
+  function checkScalarKeywords(value, schema, pointer, context) {
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => hasType(value, type))) {
+        report(context, pointer, 'type', `Expected ${types.join(' or ')}, got ${typeOf(value)}`);
+        // Further checks on a value of the wrong type only add noise
+        return;
+      }
+    }
+    
+    if (Array.isArray(schema.enum) && !schema.enum.some(option => deepEqual(option, value))) {
+      report(context, pointer, 'enum', `Value ${JSON.stringify(value)} is not one of ${JSON.stringify(schema.enum)}`);
+    }
+    
+    if ('const' in schema && !deepEqual(schema.const, value)) {
+      report(context, pointer, 'const', `Value must be ${JSON.stringify(schema.const)}`);
+    }
+    
+    if (typeof value === 'string') {
+      if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+        report(context, pointer, 'format', `"${value}" is not a valid ${schema.format}`);
+      }
+      if (typeof schema.pattern === 'string') {
+        try {
+          if (!new RegExp(schema.pattern, 'u').test(value)) {
+            report(context, pointer, 'pattern', `"${value}" does not match /${schema.pattern}/`);
+          }
+        } catch (e) {
+          // Patterns JavaScript cannot compile are skipped
+        }
+      }
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        report(context, pointer, 'minLength', `Shorter than ${schema.minLength} characters`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        report(context, pointer, 'maxLength', `Longer than ${schema.maxLength} characters`);
+      }
+    }
+    
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        report(context, pointer, 'minimum', `${value} is less than ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        report(context, pointer, 'maximum', `${value} is greater than ${schema.maximum}`);
+      }
+    }
+  }
+  
+  /**
+   * Check anyOf and oneOf branches
+   * @param {*} value - The value
+   * @param {Object} schema - One schema of the chain
+   * @param {Object} root - The document the schema belongs to
+   * @param {string} pointer - JSON pointer of the value
+   * @param {Object} context - The validation context
+   * @param {number} depth - Current nesting depth
+   */
+  function checkCombinators(value, schema, root, pointer, context, depth) {
+    ['anyOf', 'oneOf'].forEach(keyword => {
+      if (!Array.isArray(schema[keyword])) return;
+      
+      const attempts = schema[keyword].map(branch => {
+        const branchContext = { ...context, violations: [] };
+        validateNode(value, branch, root, pointer, branchContext, depth + 1);
+        return branchContext.violations;
+      });
+      const passing = attempts.filter(violations => violations.length === 0).length;
+      
+      if (passing === 0) {
+        // Report the closest branch so the message points at a real field
+        const closest = attempts.reduce((best, current) => current.length < best.length ? current : best);
+        report(context, pointer, keyword, `Value does not match any ${keyword} branch`);
+        context.violations.push(...closest);
+      } else if (keyword === 'oneOf' && passing > 1) {
+        report(context, pointer, keyword, `Value matches ${passing} oneOf branches, expected exactly one`);
+      }
+    });
+  }
+  
+  /**
+   * Check required, known and unknown properties of an object
+   * @param {Object} value - The object
+   * @param {Object[]} chain - The flattened schema chain
+   * @param {string} pointer - JSON pointer of the object
+   * @param {Object} context - The validation context
+   * @param {number} depth - Current nesting depth
+   */
+  function checkObject(value, chain, pointer, context, depth) {
+    const properties = new Map();
+    const patterns = [];
+    const additional = [];
+    let declaresProperties = false;
+    let open = false;
+    
+    chain.forEach(({ schema, root }) => {
+      if (schema.properties && typeof schema.properties === 'object') {
+        declaresProperties = true;
+        Object.entries(schema.properties).forEach(([name, propertySchema]) => {
+          if (!properties.has(name)) properties.set(name, []);
+          properties.get(name).push({ schema: propertySchema, root });
+        });
+      }
+      
+      Object.entries(schema.patternProperties || {}).forEach(([pattern, propertySchema]) => {
+        try {
+          patterns.push({ regex: new RegExp(pattern, 'u'), schema: propertySchema, root });
+        } catch (e) {
+          // Patterns JavaScript cannot compile are skipped
+        }
+      });
+      
+      if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        additional.push({ schema: schema.additionalProperties, root });
+      } else if (schema.additionalProperties === true || schema['meta:xdmType'] === 'map') {
+        open = true;
+      } else if (schema.additionalProperties === false) {
+        declaresProperties = true;
+      }
+      
+      (Array.isArray(schema.required) ? schema.required : []).forEach(name => {
+        if (value[name] === undefined) {
+          report(context, `${pointer}/${escapePointer(name)}`, 'required', 'Required field is missing');
+        }
+      });
+    });
+    
+    Object.keys(value).forEach(key => {
+      const childPointer = `${pointer}/${escapePointer(key)}`;
+      const declared = properties.get(key) || [];
+      const patterned = patterns.filter(pattern => pattern.regex.test(key));
+      
+      declared.concat(patterned).forEach(entry => {
+        validateNode(value[key], entry.schema, entry.root, childPointer, context, depth + 1);
+      });
+      
+      if (declared.length > 0 || patterned.length > 0) return;
+      
+      if (additional.length > 0) {
+        additional.forEach(entry => validateNode(value[key], entry.schema, entry.root, childPointer, context, depth + 1));
+      } else if (declaresProperties && !open) {
+        report(context, childPointer, 'additionalProperties', 'Unknown field, not defined in the schema');
+      }
+    });
+  }
+  
+  /**
+   * Check array items and length
+   * @param {Array} value - The array
+   * @param {Object} schema - One schema of the chain
+   * @param {Object} root - The document the schema belongs to
+   * @param {string} pointer - JSON pointer of the array
+   * @param {Object} context - The validation context
+   * @param {number} depth - Current nesting depth
+   */
+  function checkArray(value, schema, root, pointer, context, depth) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report(context, pointer, 'minItems', `Fewer than ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report(context, pointer, 'maxItems', `More than ${schema.maxItems} items`);
+    }
+    
+    if (Array.isArray(schema.items)) {
+      schema.items.forEach((itemSchema, index) => {
+        if (index < value.length) {
+          validateNode(value[index], itemSchema, root, `${pointer}/${index}`, context, depth + 1);
+        }
+      });
+    } else if (schema.items !== undefined) {
+      value.forEach((item, index) => {
+        validateNode(item, schema.items, root, `${pointer}/${index}`, context, depth + 1);
+      });
+    }
+  }
+  
+  /**
+   * Compare two JSON values structurally
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {boolean} True if equal
+   */
+  function deepEqual(a, b) {
+    if (a === b) return true;
+    if (typeOf(a) !== typeOf(b) || typeof a !== 'object' || a === null) return false;
+    
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]));
+  }
+  
+  /**
+   * Validate a value against a schema document
+   * @param {*} value - The value, usually an event's XDM object
+   * @param {Object} schema - The schema document
+   * @param {Object[]} allSchemas - Every imported document, for cross-schema $ref
+   * @returns {Object} Object with violations ({ pointer, keyword, message }) and unresolvedRefs
+   */
+  function validate(value, schema, allSchemas = []) {
+    const context = {
+      resolve: createResolver([schema, ...allSchemas]),
+      violations: [],
+      unresolved: new Set()
+    };
+    
+    validateNode(value, schema, schema, '', context, 0);
+    
+    return {
+      violations: context.violations,
+      unresolvedRefs: [...context.unresolved]
+    };
+  }
+  
+  /**
+   * List the $ref values of a schema that no imported document provides
+   * @param {Object} schema - The schema document
+   * @param {Object[]} allSchemas - Every imported document
+   * @returns {string[]} The unresolvable references
+   */
+  function findUnresolvedRefs(schema, allSchemas = []) {
+    const resolve = createResolver([schema, ...allSchemas]);
+    const unresolved = new Set();
+    
+    const visit = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (typeof node.$ref === 'string' && !resolve(node.$ref, schema)) {
+        unresolved.add(node.$ref);
+      }
+      Object.values(node).forEach(visit);
+    };
+    visit(schema);
+    
+    return [...unresolved];
+  }
+  
+  /**
+   * Check that a parsed file looks like a JSON Schema
+   * @param {*} schema - The parsed file contents
+   * @returns {string|null} The error message, or null if usable
+   */
+  function checkSchema(schema) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      return 'Schema file must contain a JSON object';
+    }
+    if (!schema.properties && !schema.allOf && !schema.$ref && !schema.type && !schema.definitions) {
+      return 'File does not look like a JSON Schema (no type, properties, allOf or $ref)';
+    }
+    return null;
+  }
+  
+  /**
+   * Find the imported schemas bound to a datastream
+   * @param {Object[]} records - Stored schema records with bindings
+   * @param {string} configId - The datastream ID of the request
+   * @param {Object} sandboxes - Map of sandbox name to datastream IDs
+   * @returns {Object[]} The records that apply
+   */
+  function findBound(records, configId, sandboxes = {}) {
+    return records.filter(record => (record.bindings || []).some(binding => {
+      if (binding === '*') return true;
+      if (binding.startsWith('sandbox:')) {
+        const datastreams = sandboxes[binding.slice('sandbox:'.length)] || [];
+        return !!configId && datastreams.includes(configId);
+      }
+      return !!configId && binding === configId;
+    }));
+  }
+  
+  return {
+    validate,
+    findUnresolvedRefs,
+    checkSchema,
+    findBound
+  };
+})();
@@ -0,0 +1,333 @@
+// Recording session storage for Adobe Web SDK Inspector
+// Keeps captured events and imported XDM schemas in IndexedDB so they survive service worker restarts
+
+self.SessionStore = (function SessionStore() {
+  const DB_NAME = 'adobe-sdk-inspector';
+  const DB_VERSION = 2;
+  
+  // Default retention policy, overridable from the DevTools panel
+  const DEFAULT_RETENTION = {
+    maxAgeDays: 7,
+    maxSessions: 20
+  };
+  
+  let dbPromise = null;
+  
+  /**
+   * Wrap an IndexedDB request in a promise
+   * @param {IDBRequest} request - The request to wrap
+   * @returns {Promise<*>} Resolves with the request result
+   */
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  
+  /**
+   * Wait for a transaction to finish
+   * @param {IDBTransaction} tx - The transaction
+   * @returns {Promise<void>} Resolves when the transaction completes
+   */
+  function whenDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+  
+  /**
+   * Open the database, creating the object stores on first use
+   * @returns {Promise<IDBDatabase>} The open database
+   */
+  function open() {
+    if (dbPromise) return dbPromise;
+    
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        
+        if (!db.objectStoreNames.contains('sessions')) {
+          db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+        }
+        
+        if (!db.objectStoreNames.contains('events')) {
+          const events = db.createObjectStore('events', { keyPath: 'id', autoIncrement: true });
+          events.createIndex('sessionId', 'sessionId');
+          events.createIndex('requestId', 'requestId');
+        }
+        
+        // Added in version 2
+        if (!db.objectStoreNames.contains('schemas')) {
+          db.createObjectStore('schemas', { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+    
+    return dbPromise;
+  }
+  
+  /**
+   * Create a new named recording session
+   * @param {string} name - The session name
+   * @returns {Promise<Object>} The stored session
+   */
+  async function createSession(name) {
+    const db = await open();
+    const now = Date.now();
+    const session = {
+      name: name || `Session ${new Date(now).toLocaleString()}`,
+      createdAt: now,
+      updatedAt: now,
+      eventCount: 0
+    };
+    
+    const tx = db.transaction('sessions', 'readwrite');
+    session.id = await promisify(tx.objectStore('sessions').add(session));
+    await whenDone(tx);
+    return session;
+  }
+  
+  /**
+   * Get a session by ID
+   * @param {number} sessionId - The session ID
+   * @returns {Promise<Object|undefined>} The session, if it exists
+   */
+  async function getSession(sessionId) {
+    const db = await open();
+    return promisify(db.transaction('sessions').objectStore('sessions').get(sessionId));
+  }
+  
+  /**
+   * List all sessions, newest first
+   * @returns {Promise<Object[]>} The sessions
+   */
+  async function listSessions() {
+    const db = await open();
+    const sessions = await promisify(db.transaction('sessions').objectStore('sessions').getAll());
+    return sessions.sort((a, b) => b.createdAt - a.createdAt);
+  }
+  
+  /**
+   * Delete a session and all of its events
+   * @param {number} sessionId - The session ID
+   * @returns {Promise<void>}
+   */
+  async function deleteSession(sessionId) {
+    const db = await open();
+    const tx = db.transaction(['sessions', 'events'], 'readwrite');
+    tx.objectStore('sessions').delete(sessionId);
+    
+    const index = tx.objectStore('events').index('sessionId');
+    const keys = await promisify(index.getAllKeys(IDBKeyRange.only(sessionId)));
+    keys.forEach(key => tx.objectStore('events').delete(key));
+    
+    await whenDone(tx);
+  }
+  
+  /**
+   * Store a captured event in a session
+   * @param {number} sessionId - The session ID
+   * @param {Object} record - The event with url, requestInfo, results, fullXdm, requestBody and response
+   * @returns {Promise<number>} The stored event ID
+   */
+  async function addEvent(sessionId, record) {
+    const db = await open();
+    const tx = db.transaction(['sessions', 'events'], 'readwrite');
+    
+    const event = {
+      ...record,
+      sessionId,
+      requestId: record.requestInfo && record.requestInfo.requestId,
+      capturedAt: record.capturedAt || Date.now()
+    };
+    const id = await promisify(tx.objectStore('events').add(event));
+    
+    const sessions = tx.objectStore('sessions');
+    const session = await promisify(sessions.get(sessionId));
+    if (session) {
+      session.eventCount = (session.eventCount || 0) + 1;
+      session.updatedAt = event.capturedAt;
+      sessions.put(session);
+    }
+    
+    await whenDone(tx);
+    return id;
+  }
+  
+  /**
+   * Attach an Edge response to every stored event of a request
+   * @param {string} requestId - The Edge request ID
+   * @param {Object} response - The parsed response body
+   * @returns {Promise<number>} The number of events updated
+   */
+  async function attachResponse(requestId, response) {
+    if (!requestId) return 0;
+    
+    const db = await open();
+    const tx = db.transaction('events', 'readwrite');
+    const store = tx.objectStore('events');
+    const events = await promisify(store.index('requestId').getAll(IDBKeyRange.only(requestId)));
+    
+    events.forEach(event => {
+      event.response = response;
+      store.put(event);
+    });
+    
+    await whenDone(tx);
+    return events.length;
+  }
+  
+  /**
+   * Attach headers, status and timings to every stored event of a request
+   * @param {string} requestId - The Edge request ID
+   * @param {Object} network - Object with requestHeaders, responseHeaders, statusCode, statusLine, startedAt and completedAt
+   * @returns {Promise<number>} The number of events updated
+   */
+  async function attachNetwork(requestId, network) {
+    if (!requestId) return 0;
+    
+    const db = await open();
+    const tx = db.transaction('events', 'readwrite');
+    const store = tx.objectStore('events');
+    const events = await promisify(store.index('requestId').getAll(IDBKeyRange.only(requestId)));
+    
+    events.forEach(event => {
+      event.network = network;
+      store.put(event);
+    });
+    
+    await whenDone(tx);
+    return events.length;
+  }
+  
+  /**
+   * Get the events of a session in capture order
+   * @param {number} sessionId - The session ID
+   * @returns {Promise<Object[]>} The events
+   */
+  async function getEvents(sessionId) {
+    const db = await open();
+    const index = db.transaction('events').objectStore('events').index('sessionId');
+    const events = await promisify(index.getAll(IDBKeyRange.only(sessionId)));
+    return events.sort((a, b) => a.capturedAt - b.capturedAt);
+  }
+  
+  /**
+   * Get every stored event of a request, across sessions
+   * @param {string} requestId - The Edge request ID
+   * @returns {Promise<Object[]>} The events
+   */
+  async function getRequestEvents(requestId) {
+    const db = await open();
+    const index = db.transaction('events').objectStore('events').index('requestId');
+    return promisify(index.getAll(IDBKeyRange.only(requestId)));
+  }
+  
+  /**
+   * Remove sessions that fall outside the retention policy
+   * @param {Object} retention - Object with maxAgeDays and maxSessions
+   * @param {number} keepSessionId - A session that is never removed (the active one)
+   * @returns {Promise<number[]>} The IDs of removed sessions
+   */
+  async function applyRetention(retention, keepSessionId) {
+    const policy = { ...DEFAULT_RETENTION, ...retention };
+    const sessions = await listSessions();
+    const cutoff = Date.now() - policy.maxAgeDays * 24 * 60 * 60 * 1000;
+    
+    const expired = sessions.filter((session, index) =>
+      session.id !== keepSessionId &&
+      (session.updatedAt < cutoff || index >= policy.maxSessions)
+    );
+    
+    for (const session of expired) {
+      await deleteSession(session.id);
+    }
+    return expired.map(session => session.id);
+  }
+  
+  /**
+   * Store an imported JSON Schema
+   * @param {Object} record - Object with name, schema and bindings
+   * @returns {Promise<Object>} The stored record
+   */
+  async function addSchema(record) {
+    const db = await open();
+    const stored = { bindings: [], ...record, importedAt: Date.now() };
+    
+    const tx = db.transaction('schemas', 'readwrite');
+    stored.id = await promisify(tx.objectStore('schemas').add(stored));
+    await whenDone(tx);
+    return stored;
+  }
+  
+  /**
+   * List all imported schemas, oldest first
+   * @returns {Promise<Object[]>} The schema records
+   */
+  async function listSchemas() {
+    const db = await open();
+    return promisify(db.transaction('schemas').objectStore('schemas').getAll());
+  }
+  
+  /**
+   * Replace the datastream and sandbox bindings of a schema
+   * @param {number} schemaId - The schema record ID
+   * @param {string[]} bindings - configIds, sandbox:<name> entries or *
+   * @returns {Promise<Object|undefined>} The updated record, if it exists
+   */
+  async function updateSchemaBindings(schemaId, bindings) {
+    const db = await open();
+    const tx = db.transaction('schemas', 'readwrite');
+    const store = tx.objectStore('schemas');
+    
+    const record = await promisify(store.get(schemaId));
+    if (record) {
+      record.bindings = bindings;
+      store.put(record);
+    }
+    
+    await whenDone(tx);
+    return record;
+  }
+  
+  /**
+   * Delete an imported schema
+   * @param {number} schemaId - The schema record ID
+   * @returns {Promise<void>}
+   */
+  async function deleteSchema(schemaId) {
+    const db = await open();
+    const tx = db.transaction('schemas', 'readwrite');
+    tx.objectStore('schemas').delete(schemaId);
+    await whenDone(tx);
+  }
+  
+  return {
+    DEFAULT_RETENTION,
+    createSession,
+    getSession,
+    listSessions,
+    deleteSession,
+    addEvent,
+    attachResponse,
+    attachNetwork,
+    getEvents,
+    getRequestEvents,
+    applyRetention,
+    addSchema,
+    listSchemas,
+    updateSchemaBindings,
+    deleteSchema
+  };
+})();
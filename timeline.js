@@ -0,0 +1,276 @@
+// Timeline layout for Adobe Web SDK Inspector
+// Used by the DevTools panel to lay out a page session's requests and markers on a time axis
+
+/**
+ * Timeline state is a plain object from createState(). Requests are merged
+ * by request ID from the captured events and from the browser's timings
+ * (sent, response headers, completed). Markers are points in time, such as
+ * navigations, route changes, alloy() commands and data layer pushes; those
+ * with an ID replace earlier markers with the same ID.
+ *
+ * A page session runs from one navigation to the next. build() turns a
+ * session, optionally zoomed to a range, into positions in percent of the
+ * visible range, with overlapping requests spread over separate lanes.
+ * All offsets are milliseconds since the session's navigation start.
+ */
+self.Timeline = (function Timeline() {
+  const MIN_BAR_WIDTH_PERCENT = 0.3;
+  const NICE_STEPS = [1, 2, 5];
+  
+  /**
+   * Create an empty timeline state
+   * @returns {Object} The timeline state
+   */
+  function createState() {
+    return {
+      navigations: [], // { at, url }, oldest first
+      markers: new Map(), // marker ID -> { id, kind, label, at, duration, url }
+      requests: new Map(), // request ID -> { requestId, eventTypes, capturedAt, sentAt, responseAt, completedAt, statusCode, error }
+      markerCounter: 0
+    };
+  }
+  
+  /**
+   * Record a navigation start
+   * @param {Object} timelineState - The timeline state
+   * @param {Object} navigation - Object with at and url
+   */
+  function recordNavigation(timelineState, navigation) {
+    // A panel reconnecting replays the same navigation
+    if (timelineState.navigations.some(known => known.at === navigation.at)) return;
+    
+    timelineState.navigations.push({ at: navigation.at, url: navigation.url || '' });
+    timelineState.navigations.sort((a, b) => a.at - b.at);
+  }
+  
+  /**
+   * Record a marker
+   * @param {Object} timelineState - The timeline state
+   * @param {Object} marker - Object with kind, label, at and optionally id, duration and url
+   */
+  function recordMarker(timelineState, marker) {
+    const id = marker.id || `marker-${++timelineState.markerCounter}`;
+    timelineState.markers.set(id, {
+      id,
+      kind: marker.kind,
+      label: marker.label || marker.kind,
+      at: marker.at,
+      duration: typeof marker.duration === 'number' ? marker.duration : null,
+      url: marker.url || null
+    });
+  }
+  
+  /**
+   * Get or create the tracked entry for a request
+   * @param {Object} timelineState - The timeline state
+   * @param {string} requestId - The Edge request ID
+   * @returns {Object} The tracked request
+   */
+  function getRequest(timelineState, requestId) {
+    if (!timelineState.requests.has(requestId)) {
+      timelineState.requests.set(requestId, {
+        requestId,
+        eventTypes: [],
+        url: null,
+        capturedAt: null,
+        sentAt: null,
+        responseAt: null,
+        completedAt: null,
+        statusCode: null,
+        error: null
+      });
+    }
+    return timelineState.requests.get(requestId);
+  }
+  
+  /**
+   * Record a captured event of a request
+   * @param {Object} timelineState - The timeline state
+   * @param {Object} event - Object with requestId, eventType, url and capturedAt
+   */
+  function recordRequest(timelineState, event) {
+    if (!event.requestId) return;
+    
+    const request = getRequest(timelineState, event.requestId);
+    if (event.eventType && !request.eventTypes.includes(event.eventType)) {
+      request.eventTypes.push(event.eventType);
+    }
+    request.url = request.url || event.url || null;
+    request.capturedAt = request.capturedAt || event.capturedAt || null;
+  }
+  
+  /**
+   * Record the browser timings of a request
+   * @param {Object} timelineState - The timeline state
+   * @param {Object} timing - Object with requestId, url, sentAt, responseAt, completedAt, statusCode and error
+   */
+  function recordTiming(timelineState, timing) {
+    if (!timing.requestId) return;
+    
+    const request = getRequest(timelineState, timing.requestId);
+    request.url = request.url || timing.url || null;
+    ['sentAt', 'responseAt', 'completedAt', 'statusCode', 'error'].forEach(field => {
+      if (timing[field] !== null && timing[field] !== undefined) request[field] = timing[field];
+    });
+  }
+  
+  /**
+   * Get when a request started, falling back to its capture time
+   * @param {Object} request - The tracked request
+   * @returns {number|null} The start time
+   */
+  function getStart(request) {
+    return request.sentAt || request.capturedAt;
+  }
+  
+  /**
+   * List the page sessions, one per navigation, plus one for anything before the first
+   * @param {Object} timelineState - The timeline state
+   * @returns {Object[]} Sessions with start, end (Infinity for the last), url and index
+   */
+  function getSessions(timelineState) {
+    const times = [
+      ...[...timelineState.requests.values()].map(getStart),
+      ...[...timelineState.markers.values()].map(marker => marker.at)
+    ].filter(time => typeof time === 'number');
+    const navigations = timelineState.navigations;
+    
+    const sessions = navigations.map((navigation, index) => ({
+      start: navigation.at,
+      end: index + 1 < navigations.length ? navigations[index + 1].at : Infinity,
+      url: navigation.url
+    }));
+    
+    // Events from before the first navigation we saw, e.g. when the panel opened mid-session
+    const firstNavigation = navigations.length > 0 ? navigations[0].at : Infinity;
+    const earlier = times.filter(time => time < firstNavigation);
+    if (earlier.length > 0) {
+      sessions.unshift({ start: Math.min(...earlier), end: firstNavigation, url: null });
+    }
+    
+    return sessions.map((session, index) => ({ ...session, index }));
+  }
+  
+  /**
+   * Spread bars over lanes so that no two bars in a lane overlap
+   * @param {Object[]} bars - Bars with from and to offsets, sorted by from
+   * @returns {number} The number of lanes used
+   */
+  function assignLanes(bars) {
+    const laneEnds = [];
+    bars.forEach(bar => {
+      let lane = laneEnds.findIndex(end => end <= bar.from);
+      if (lane === -1) {
+        lane = laneEnds.length;
+        laneEnds.push(0);
+      }
+      laneEnds[lane] = Math.max(bar.to, bar.from);
+      bar.lane = lane;
+    });
+    return laneEnds.length;
+  }
+  
+  /**
+   * Pick evenly spaced, round tick offsets for an axis
+   * @param {number} from - The first visible offset
+   * @param {number} to - The last visible offset
+   * @param {number} count - Roughly how many ticks to show
+   * @returns {number[]} The tick offsets
+   */
+  function getTicks(from, to, count = 8) {
+    const span = to - from;
+    if (!(span > 0)) return [from];
+    
+    const rough = span / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = NICE_STEPS.map(nice => nice * magnitude).find(candidate => candidate >= rough) || 10 * magnitude;
+    
+    const ticks = [];
+    for (let tick = Math.ceil(from / step) * step; tick <= to; tick += step) {
+      ticks.push(Math.round(tick * 1000) / 1000);
+    }
+    return ticks;
+  }
+  
+  /**
+   * Format an offset for display
+   * @param {number} ms - Milliseconds
+   * @returns {string} e.g. 850 ms or 1.25 s
+   */
+  function formatOffset(ms) {
+    return Math.abs(ms) < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(2)} s`;
+  }
+  
+  /**
+   * Lay out a page session
+   * @param {Object} timelineState - The timeline state
+   * @param {Object} session - A session from getSessions()
+   * @param {Object} range - Optional { from, to } offsets to zoom into
+   * @returns {Object} Object with from, to, ticks, markers, bars and laneCount, positions in percent of the range
+   */
+  function build(timelineState, session, range = null) {
+    const inSession = time => typeof time === 'number' && time >= session.start && time < session.end;
+    const offset = time => (typeof time === 'number' ? time - session.start : null);
+    
+    const bars = [...timelineState.requests.values()]
+      .filter(request => inSession(getStart(request)))
+      .map(request => {
+        const from = offset(getStart(request));
+        const end = request.completedAt ? offset(request.completedAt) : null;
+        return {
+          ...request,
+          from,
+          to: end === null ? from : end,
+          responseOffset: offset(request.responseAt),
+          duration: request.sentAt && request.completedAt ? request.completedAt - request.sentAt : null,
+          pending: end === null
+        };
+      })
+      .sort((a, b) => a.from - b.from);
+    
+    const markers = [...timelineState.markers.values()]
+      .filter(marker => inSession(marker.at))
+      .map(marker => ({ ...marker, from: offset(marker.at) }))
+      .sort((a, b) => a.from - b.from);
+    
+    const lastOffset = Math.max(0, ...bars.map(bar => bar.to), ...markers.map(marker => marker.from + (marker.duration || 0)));
+    const from = range ? range.from : 0;
+    const to = range ? range.to : Math.max(lastOffset * 1.02, 1);
+    const span = to - from;
+    const percent = value => ((value - from) / span) * 100;
+    
+    const visibleBars = bars.filter(bar => bar.to >= from && bar.from <= to);
+    const laneCount = assignLanes(visibleBars);
+    
+    return {
+      from,
+      to,
+      ticks: getTicks(from, to).map(tick => ({ offset: tick, left: percent(tick) })),
+      markers: markers
+        .filter(marker => marker.from + (marker.duration || 0) >= from && marker.from <= to)
+        .map(marker => ({
+          ...marker,
+          left: percent(marker.from),
+          width: marker.duration ? Math.max((marker.duration / span) * 100, MIN_BAR_WIDTH_PERCENT) : 0
+        })),
+      bars: visibleBars.map(bar => ({
+        ...bar,
+        left: percent(bar.from),
+        width: Math.max(percent(bar.to) - percent(bar.from), MIN_BAR_WIDTH_PERCENT),
+        responseLeft: bar.responseOffset === null ? null : percent(bar.responseOffset)
+      })),
+      laneCount
+    };
+  }
+  
+  return {
+    createState,
+    recordNavigation,
+    recordMarker,
+    recordRequest,
+    recordTiming,
+    getSessions,
+    build,
+    formatOffset
+  };
+})();
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+// Mock Adobe Edge Network endpoint for testing Edit & replay
+//
+// Usage: node tools/mock-edge-server.js [port]
+// Then replay to http://localhost:8080/ee/v1/interact?configId=test
+//
+// Answers /interact and /collect with an Edge-shaped response: an ECID
+// identity handle, a location hint, a state:store handle and one
+// personalization decision per event, echoing what it received.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const port = Number(process.argv[2] || process.env.PORT || 8080);
+
+/**
+ * Build an Edge-like response for a request body
+ * @param {Object} payload - The parsed request body
+ * @param {URL} url - The request URL
+ * @returns {Object} The response body
+ */
+function buildResponse(payload, url) {
+  const events = Array.isArray(payload.events) ? payload.events : [];
+  const ecid = String(Date.now()).padEnd(38, '0');
+  
+  return {
+    requestId: url.searchParams.get('requestId') || crypto.randomUUID(),
+    handle: [
+      {
+        type: 'identity:result',
+        payload: [{ id: ecid, namespace: { code: 'ECID' } }]
+      },
+      {
+        type: 'locationHint:result',
+        payload: [{ scope: 'EdgeNetwork', hint: 'mock', ttlSeconds: 1800 }]
+      },
+      {
+        type: 'state:store',
+        payload: [{ key: 'kndctr_mock_cluster', value: 'mock', maxAge: 1800 }]
+      },
+      {
+        type: 'personalization:decisions',
+        payload: events.map((event, index) => ({
+          id: `mock-decision-${index}`,
+          scope: '__view__',
+          scopeDetails: {
+            activity: { id: 'mock-activity' },
+            eventType: event.xdm && event.xdm.eventType
+          },
+          items: []
+        }))
+      }
+    ],
+    _mock: {
+      configId: url.searchParams.get('configId'),
+      eventTypes: events.map(event => event.xdm && event.xdm.eventType)
+    }
+  };
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${port}`);
+  
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  
+  if (req.method !== 'POST' || !/\/v\d+\/(interact|collect)\/?$/.test(url.pathname)) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ type: 'not-found', title: `No mock for ${req.method} ${url.pathname}` }));
+    return;
+  }
+  
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (e) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ type: 'invalid-json', title: e.message }));
+      return;
+    }
+    
+    console.log(`${new Date().toISOString()} ${url.pathname} configId=${url.searchParams.get('configId')}`);
+    console.log(JSON.stringify(payload, null, 2));
+    
+    // /collect is fire-and-forget, like the real Edge
+    if (url.pathname.includes('/collect')) {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(buildResponse(payload, url)));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Mock Edge endpoint listening on http://localhost:${port}/ee/v1/interact`);
+});
@@ -0,0 +1,287 @@
+// Virtualized list for Adobe Web SDK Inspector
+// Used by the DevTools panel to show the result history; only the items near the viewport are in the DOM
+
+/**
+ * The list asks for its item keys with getKeys() and builds an item's
+ * element with renderItem(key) when it scrolls near the viewport, dropping
+ * it again once it scrolls away. Items may have any height: heights are
+ * measured once rendered, and estimated until then.
+ *
+ * update() and refresh() only mark the list as stale, and the work is done
+ * once per animation frame, so many updates in a burst cost one layout.
+ * While the list is scrolled down, added items and height changes above
+ * the viewport shift the scroll position so the visible items stay put.
+ */
+self.VirtualList = (function VirtualList() {
+  const DEFAULT_ESTIMATED_HEIGHT = 120;
+  const DEFAULT_OVERSCAN_PX = 800;
+  
+  /**
+   * Find the first index whose end offset is past a position
+   * @param {number[]} offsets - Start offsets, with the total height last
+   * @param {number} position - The position
+   * @returns {number} The item index
+   */
+  function findIndex(offsets, position) {
+    let low = 0;
+    let high = offsets.length - 2;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (offsets[middle + 1] > position) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    return Math.max(low, 0);
+  }
+  
+  /**
+   * Create a virtual list in a scrolling element
+   * @param {HTMLElement} scroller - The element that scrolls, emptied and owned by the list
+   * @param {Object} options - Object with getKeys() (keys in display order), renderItem(key),
+   *   emptyMessage, estimatedHeight and overscan (pixels rendered beyond the viewport)
+   * @returns {Object} The list, with update, refresh, reset, scrollToKey and getElements
+   */
+  function create(scroller, options) {
+    const estimatedHeight = options.estimatedHeight || DEFAULT_ESTIMATED_HEIGHT;
+    const overscan = options.overscan === undefined ? DEFAULT_OVERSCAN_PX : options.overscan;
+    
+    let keys = [];
+    let offsets = [0];
+    const indexes = new Map(); // key -> index in keys
+    const heights = new Map(); // key -> measured height
+    const mounted = new Map(); // key -> wrapper element
+    let frame = null;
+    let keysStale = true;
+    
+    // Expanding a section changes an item's height, and resizing the panel changes the viewport
+    const resizeObserver = new ResizeObserver(() => schedule());
+    
+    scroller.innerHTML = '';
+    scroller.style.overflowAnchor = 'none'; // We keep the scroll position ourselves
+    if (getComputedStyle(scroller).position === 'static') {
+      scroller.style.position = 'relative'; // So offsets of the spacers are measured from the scroller
+    }
+    
+    const emptyElement = document.createElement('div');
+    emptyElement.className = 'no-results';
+    emptyElement.textContent = options.emptyMessage || '';
+    const topSpacer = document.createElement('div');
+    const bottomSpacer = document.createElement('div');
+    scroller.appendChild(emptyElement);
+    scroller.appendChild(topSpacer);
+    scroller.appendChild(bottomSpacer);
+    
+    /**
+     * Get the height used for an item
+     * @param {string} key - The item key
+     * @returns {number} The measured or estimated height
+     */
+    const heightOf = key => (heights.has(key) ? heights.get(key) : estimatedHeight);
+    
+    /**
+     * Recompute the start offset of every item
+     */
+    const computeOffsets = () => {
+      offsets = new Array(keys.length + 1);
+      offsets[0] = 0;
+      keys.forEach((key, index) => {
+        offsets[index + 1] = offsets[index] + heightOf(key);
+      });
+    };
+    
+    /**
+     * Get the scroll position relative to the first item
+     * @returns {number} Pixels scrolled past the top of the first item
+     */
+    const getScrollOffset = () => scroller.scrollTop - topSpacer.offsetTop;
+    
+    /**
+     * Find the item at the top of the viewport and how far it is scrolled past
+     * @returns {Object|null} Object with key and delta, or null at the very top
+     */
+    const getAnchor = () => {
+      const position = getScrollOffset();
+      if (position <= 0 || keys.length === 0) return null;
+      const index = findIndex(offsets, position);
+      return { key: keys[index], delta: position - offsets[index] };
+    };
+    
+    /**
+     * Scroll so that an anchor item is back where it was
+     * @param {Object|null} anchor - The anchor from getAnchor()
+     */
+    const restoreAnchor = (anchor) => {
+      if (!anchor || !indexes.has(anchor.key)) return;
+      const target = offsets[indexes.get(anchor.key)] + anchor.delta + topSpacer.offsetTop;
+      if (Math.abs(scroller.scrollTop - target) >= 1) {
+        scroller.scrollTop = target;
+      }
+    };
+    
+    /**
+     * Remove a rendered item from the DOM
+     * @param {string} key - The item key
+     */
+    const unmount = (key) => {
+      const wrapper = mounted.get(key);
+      resizeObserver.unobserve(wrapper);
+      wrapper.remove();
+      mounted.delete(key);
+    };
+    
+    /**
+     * Render the items in and near the viewport and drop the rest
+     */
+    const renderWindow = () => {
+      const position = getScrollOffset();
+      const first = keys.length > 0 ? findIndex(offsets, position - overscan) : 0;
+      const last = keys.length > 0 ? findIndex(offsets, position + scroller.clientHeight + overscan) : -1;
+      
+      const wanted = new Set(keys.slice(first, last + 1));
+      mounted.forEach((wrapper, key) => {
+        if (!wanted.has(key)) unmount(key);
+      });
+      
+      let previous = topSpacer;
+      for (let index = first; index <= last; index++) {
+        const key = keys[index];
+        let wrapper = mounted.get(key);
+        if (!wrapper) {
+          wrapper = document.createElement('div');
+          wrapper.className = 'virtual-item';
+          wrapper.appendChild(options.renderItem(key));
+          mounted.set(key, wrapper);
+          resizeObserver.observe(wrapper);
+        }
+        if (previous.nextSibling !== wrapper) {
+          scroller.insertBefore(wrapper, previous.nextSibling);
+        }
+        previous = wrapper;
+      }
+      
+      topSpacer.style.height = `${keys.length > 0 ? offsets[first] : 0}px`;
+      bottomSpacer.style.height = `${keys.length > 0 ? offsets[keys.length] - offsets[last + 1] : 0}px`;
+    };
+    
+    /**
+     * Store the heights of the rendered items
+     * @returns {boolean} True if any height changed
+     */
+    const measure = () => {
+      let changed = false;
+      mounted.forEach((wrapper, key) => {
+        const height = wrapper.offsetHeight;
+        if (height > 0 && height !== heights.get(key)) {
+          heights.set(key, height);
+          changed = true;
+        }
+      });
+      return changed;
+    };
+    
+    /**
+     * Bring the rendered items in line with the keys and the scroll position
+     */
+    const layout = () => {
+      frame = null;
+      // Nothing can be measured while the list is hidden; layout again once it is shown
+      if (scroller.clientHeight === 0) return;
+      
+      const anchor = getAnchor();
+      if (keysStale) {
+        keys = options.getKeys();
+        indexes.clear();
+        keys.forEach((key, index) => indexes.set(key, index));
+        keysStale = false;
+      }
+      emptyElement.style.display = keys.length === 0 ? '' : 'none';
+      
+      computeOffsets();
+      restoreAnchor(anchor);
+      renderWindow();
+      
+      // Newly rendered items replace their estimates, which can move what is on screen
+      for (let pass = 0; pass < 3 && measure(); pass++) {
+        computeOffsets();
+        restoreAnchor(anchor);
+        renderWindow();
+      }
+    };
+    
+    /**
+     * Lay out in the next animation frame
+     */
+    const schedule = () => {
+      if (frame === null) {
+        frame = requestAnimationFrame(layout);
+      }
+    };
+    
+    resizeObserver.observe(scroller);
+    scroller.addEventListener('scroll', schedule, { passive: true });
+    
+    return {
+      /**
+       * Read the keys again, e.g. after items were added or filtered
+       */
+      update() {
+        keysStale = true;
+        schedule();
+      },
+      
+      /**
+       * Render an item again the next time it is laid out
+       * @param {string} key - The item key
+       */
+      refresh(key) {
+        if (!mounted.has(key)) return;
+        unmount(key);
+        schedule();
+      },
+      
+      /**
+       * Drop every rendered item and measured height
+       */
+      reset() {
+        [...mounted.keys()].forEach(unmount);
+        heights.clear();
+        scroller.scrollTop = 0;
+        keysStale = true;
+        schedule();
+      },
+      
+      /**
+       * Scroll an item to the top of the viewport and render it
+       * @param {string} key - The item key
+       * @returns {HTMLElement|null} The item's element, or null if the key is not listed
+       */
+      scrollToKey(key) {
+        keysStale = true;
+        layout();
+        if (!indexes.has(key)) return null;
+        
+        // Estimated heights above the item settle as they render, so aim again
+        for (let pass = 0; pass < 3; pass++) {
+          scroller.scrollTop = offsets[indexes.get(key)] + topSpacer.offsetTop;
+          layout();
+        }
+        const wrapper = mounted.get(key);
+        return wrapper ? wrapper.firstChild : null;
+      },
+      
+      /**
+       * Get the rendered item elements
+       * @returns {Map} Key -> item element, for the items currently in the DOM
+       */
+      getElements() {
+        return new Map([...mounted].map(([key, wrapper]) => [key, wrapper.firstChild]));
+      }
+    };
+  }
+  
+  return {
+    create
+  };
+})();